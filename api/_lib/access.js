@@ -0,0 +1,258 @@
+/**
+ * Access control for the API routes, apart from the session and metrics
+ * endpoints and the cron-only monitor
+ * Callers must come from an allowed origin and present a short-lived
+ * session token from /api/session. Quotas are counted per token subject
+ * rather than per IP, so people sharing an address each get their own.
+ * Renewing with the previous token keeps its subject, while brand new
+ * subjects are limited per IP. So that minting fresh subjects doesn't
+ * multiply an address's quota, each IP also has a coarse daily cap
+ * (RATE_LIMIT_PER_IP_PER_DAY in rate-limit.js) over all its tokens.
+ *
+ * Tokens are `<payload>.<signature>`: base64url JSON { sub, iat, exp } and
+ * its HMAC-SHA256 under SESSION_SECRET. Configured through:
+ *   ALLOWED_ORIGINS          comma-separated origins, e.g. https://commute.example.com
+ *                            (default: the host the request was sent to)
+ *   SESSION_SECRET           signing key; required on Vercel, made up per
+ *                            process when running locally
+ *   SESSION_TTL_SECONDS      how long a token lasts (default 3600)
+ *   SESSION_RENEW_SECONDS    how long after expiry a token can still be
+ *                            renewed into the same subject (default 7 days)
+ *   SESSION_ISSUE_PER_HOUR   new subjects per IP per hour (default 30)
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import {
+    DAY_MS,
+    RATE_LIMIT,
+    checkRateLimit,
+    checkSpendCeiling,
+    consumeQuota,
+    getClientIp,
+    setRateLimitHeaders
+} from './rate-limit.js';
+import { logger } from './log.js';
+
+export const SESSION = {
+    ttlSeconds: Number(process.env.SESSION_TTL_SECONDS) || 60 * 60,
+    renewSeconds: Number(process.env.SESSION_RENEW_SECONDS) || 7 * 24 * 60 * 60,
+    issuePerHour: Number(process.env.SESSION_ISSUE_PER_HOUR) || 30
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const SUBJECT_PATTERN = /^[a-f0-9]{32}$/;
+
+let localSecret = null;
+
+// null when a deployment is missing SESSION_SECRET. Locally a random secret
+// is fine; tokens just stop working when the process restarts.
+export function getSessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    if (process.env.VERCEL) return null;
+
+    if (!localSecret) {
+        localSecret = randomBytes(32).toString('hex');
+    }
+    return localSecret;
+}
+
+function sign(payload, secret) {
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Sign a token for a subject (a new one unless given).
+ * Returns { token, subject, expiresAt } with expiresAt in epoch ms.
+ */
+export function issueToken(secret, subject = randomBytes(16).toString('hex'), now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000);
+    const payload = Buffer.from(JSON.stringify({
+        sub: subject,
+        iat: issuedAt,
+        exp: issuedAt + SESSION.ttlSeconds
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload, secret)}`,
+        subject,
+        expiresAt: (issuedAt + SESSION.ttlSeconds) * 1000
+    };
+}
+
+/**
+ * Check a token's signature and expiry. graceSeconds accepts tokens that
+ * expired at most that long ago (for renewal).
+ * Returns { subject, expiresAt }, or { error } with INVALID_TOKEN or
+ * TOKEN_EXPIRED.
+ */
+export function verifyToken(token, secret, { graceSeconds = 0, now = Date.now() } = {}) {
+    const [payload, signature, extra] = String(token).split('.');
+    if (!payload || !signature || extra !== undefined) {
+        return { error: 'INVALID_TOKEN' };
+    }
+
+    const expected = Buffer.from(sign(payload, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        return { error: 'INVALID_TOKEN' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return { error: 'INVALID_TOKEN' };
+    }
+    if (!SUBJECT_PATTERN.test(claims?.sub) || !Number.isInteger(claims.exp)) {
+        return { error: 'INVALID_TOKEN' };
+    }
+    if (claims.exp + graceSeconds <= Math.floor(now / 1000)) {
+        return { error: 'TOKEN_EXPIRED' };
+    }
+
+    return { subject: claims.sub, expiresAt: claims.exp * 1000 };
+}
+
+export function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+// Origin header, or the origin of the Referer for requests browsers send
+// without one (same-origin GETs)
+function getRequestOrigin(req) {
+    if (req.headers.origin) return req.headers.origin;
+
+    try {
+        return new URL(req.headers.referer).origin;
+    } catch {
+        return null;
+    }
+}
+
+function getAllowedOrigins(req) {
+    if (process.env.ALLOWED_ORIGINS) {
+        return process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+    }
+
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return host ? [`https://${host}`, `http://${host}`] : [];
+}
+
+// Keeps other sites from running lookups through our key from their
+// visitors' browsers. Scripts can send any Origin they like, which is what
+// the tokens and quotas are for.
+export function isOriginAllowed(req) {
+    const origin = getRequestOrigin(req);
+    return origin !== null && getAllowedOrigins(req).includes(origin);
+}
+
+/**
+ * Hand out a token. A valid (or recently expired) bearer token keeps its
+ * subject; otherwise a new subject is made, which counts toward the
+ * caller's IP's hourly issue limit.
+ * Returns { token, expiresAt }, or { code, message, retryAfter? } for
+ * sendError.
+ */
+export async function createSession(req, secret) {
+    const previous = getBearerToken(req);
+    const renewed = previous && verifyToken(previous, secret, { graceSeconds: SESSION.renewSeconds });
+    if (renewed && !renewed.error) {
+        const { token, expiresAt } = issueToken(secret, renewed.subject);
+        return { token, expiresAt };
+    }
+
+    try {
+        const quota = await consumeQuota(`session:${getClientIp(req)}`, 1, SESSION.issuePerHour, HOUR_MS);
+        if (!quota.allowed) {
+            return {
+                code: 'RATE_LIMITED',
+                message: `Too many new sessions. Try again in ${Math.ceil(quota.retryAfter / 60)} minutes.`,
+                retryAfter: quota.retryAfter
+            };
+        }
+    } catch (error) {
+        // Same as checkRateLimit: a failing store doesn't lock everyone out
+        logger.error('Session limit store error', { error });
+    }
+
+    const { token, expiresAt } = issueToken(secret);
+    return { token, expiresAt };
+}
+
+// The per-IP daily cap; fails open like checkRateLimit
+async function checkIpQuota(req, cost) {
+    try {
+        return await consumeQuota(`ip:${getClientIp(req)}`, cost, RATE_LIMIT.ipDailyLimit, DAY_MS);
+    } catch (error) {
+        logger.error('IP quota store error', { error });
+        return { allowed: true };
+    }
+}
+
+/**
+ * Gate a request: allowed origin, valid token, within the token's quota
+ * for cost (sets the RateLimit headers) and within its IP's daily cap.
+ * lookups, the calls it will make to the routing provider right away, also
+ * count toward the global spend ceiling; routes that don't spend any pass 0.
+ * Returns null when the request may go ahead, otherwise { code, message }
+ * for sendError.
+ */
+export async function checkAccess(req, res, cost = 1, { lookups = cost } = {}) {
+    if (!isOriginAllowed(req)) {
+        return { code: 'ORIGIN_NOT_ALLOWED', message: 'Requests from this origin are not allowed' };
+    }
+
+    const secret = getSessionSecret();
+    if (!secret) {
+        logger.error('SESSION_SECRET environment variable not set');
+        return { code: 'CONFIGURATION_ERROR', message: 'Server configuration error' };
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+        return { code: 'MISSING_TOKEN', message: 'A session token is required. Get one from /api/session.' };
+    }
+    const session = verifyToken(token, secret);
+    if (session.error) {
+        return {
+            code: session.error,
+            message: session.error === 'TOKEN_EXPIRED' ? 'Session token has expired' : 'Session token is not valid'
+        };
+    }
+
+    const rateCheck = await checkRateLimit(`token:${session.subject}`, cost);
+    setRateLimitHeaders(res, rateCheck);
+    if (rateCheck.tooLarge) {
+        return { code: 'REQUEST_TOO_LARGE', message: rateCheck.reason };
+    }
+    if (!rateCheck.allowed) {
+        return { code: 'RATE_LIMITED', message: rateCheck.reason };
+    }
+
+    const ipCheck = await checkIpQuota(req, cost);
+    if (!ipCheck.allowed) {
+        res.setHeader('Retry-After', ipCheck.retryAfter);
+        return { code: 'RATE_LIMITED', message: 'Daily limit for your network exceeded. Try again tomorrow.' };
+    }
+
+    if (lookups > 0) {
+        const spend = await checkSpendCeiling(lookups);
+        if (!spend.allowed) {
+            res.setHeader('Retry-After', spend.retryAfter);
+            return { code: 'SPEND_CEILING', message: spend.reason };
+        }
+    }
+
+    return null;
+}
+
+// Subject of the request's token, for requests checkAccess let through
+export function getSessionSubject(req) {
+    const secret = getSessionSecret();
+    const token = getBearerToken(req);
+    if (!secret || !token) return null;
+
+    const session = verifyToken(token, secret);
+    return session.error ? null : session.subject;
+}
@@ -0,0 +1,186 @@
+/**
+ * Departure window evaluation shared by the batch routes
+ * Builds the departure slots for a window and fans out to the
+ * Directions API with bounded concurrency
+ */
+
+import { fetchDirectionsCached } from './cache.js';
+
+export const BATCH_LIMITS = {
+    maxConcurrency: 6,        // Parallel Directions API calls per batch
+    maxSlots: 96,             // 24 hours at 15 minute intervals
+    minIntervalMinutes: 5,
+    maxIntervalMinutes: 60,
+    maxTimezoneOffset: 840    // Minutes either side of UTC, i.e. UTC-14 to UTC+14
+};
+
+/**
+ * Schema rules (see schema.js) for the window fields both batch routes take.
+ * Whether the date and times exist is left to buildDepartureSlots.
+ */
+export const WINDOW_TIME_SCHEMA = {
+    date: { type: 'string', required: true, maxLength: 10 },
+    startTime: { type: 'string', required: true, maxLength: 5 },
+    endTime: { type: 'string', required: true, maxLength: 5 },
+    intervalMinutes: {
+        type: 'integer',
+        validate: intervalMinutes =>
+            intervalMinutes < BATCH_LIMITS.minIntervalMinutes || intervalMinutes > BATCH_LIMITS.maxIntervalMinutes
+                ? { code: 'INVALID_FIELD', message: `intervalMinutes must be between ${BATCH_LIMITS.minIntervalMinutes} and ${BATCH_LIMITS.maxIntervalMinutes}` }
+                : null
+    },
+    timezoneOffset: {
+        type: 'integer',
+        validate: timezoneOffset =>
+            Math.abs(timezoneOffset) > BATCH_LIMITS.maxTimezoneOffset
+                ? { code: 'INVALID_FIELD', message: `timezoneOffset must be between -${BATCH_LIMITS.maxTimezoneOffset} and ${BATCH_LIMITS.maxTimezoneOffset}` }
+                : null
+    }
+};
+
+function parseTime(timeString) {
+    const match = /^(\d{2}):(\d{2})$/.exec(timeString || '');
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+function formatSlotTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Build departure slots between startTime and endTime (inclusive) on the
+ * given date. Times are wall-clock times in the client's timezone, so
+ * timezoneOffset (minutes, as returned by Date#getTimezoneOffset) is
+ * needed to turn them into absolute instants.
+ * Returns null if the date or times can't be parsed, or the date doesn't
+ * exist.
+ */
+export function buildDepartureSlots({ date, startTime, endTime, intervalMinutes, timezoneOffset = 0 }) {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    const start = parseTime(startTime);
+    const end = parseTime(endTime);
+    if (!dateMatch || start === null || end === null) return null;
+
+    // Date.UTC rolls e.g. February 31st over into March
+    const [, year, month, day] = dateMatch.map(Number);
+    const calendarDate = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDate.getUTCFullYear() !== year || calendarDate.getUTCMonth() !== month - 1 || calendarDate.getUTCDate() !== day) {
+        return null;
+    }
+    const midnightUtc = calendarDate.getTime() + timezoneOffset * 60 * 1000;
+
+    const slots = [];
+    for (let minutes = start; minutes <= end; minutes += intervalMinutes) {
+        slots.push({
+            time: formatSlotTime(minutes),
+            departureTime: new Date(midnightUtc + minutes * 60 * 1000)
+        });
+    }
+
+    return slots;
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * The lookups made for each slot: one per traffic model when driving, one
+ * for every other travel mode. Each is keyed by the model or mode name it
+ * is reported under.
+ */
+export function buildVariants(travelModes, trafficModels) {
+    return travelModes.flatMap(travelMode => travelMode === 'driving'
+        ? trafficModels.map(trafficModel => ({ key: trafficModel, travelMode, trafficModel }))
+        : [{ key: travelMode, travelMode }]
+    );
+}
+
+/**
+ * Fetch every slot x variant combination and pick the optimal slot.
+ * Per-lookup failures are recorded in the matrix as { error, code } (codes
+ * from errors.js) instead of failing the whole batch; the optimal slot is chosen on best_guess when it was
+ * requested, otherwise on the first variant.
+ * Also reports how many lookups were served from the response cache.
+ *
+ * onSlot(slot) is called as each slot's lookups all finish, in whatever
+ * order that happens. Once signal aborts, lookups not yet started are
+ * skipped and recorded as cancelled.
+ */
+export async function evaluateWindow({ origin, destination, waypoints, slots, trafficModels, travelModes = ['driving'] }, apiKey, { onSlot = null, signal = null } = {}) {
+    const variants = buildVariants(travelModes, trafficModels);
+    const lookups = slots.flatMap(slot =>
+        variants.map(variant => ({ slot, variant }))
+    );
+
+    const matrix = slots.map(slot => ({
+        time: slot.time,
+        departureTime: slot.departureTime.toISOString(),
+        results: {}
+    }));
+    const pending = slots.map(() => variants.length);
+
+    let cacheHits = 0;
+    await mapWithConcurrency(lookups, BATCH_LIMITS.maxConcurrency, async ({ slot, variant }, index) => {
+        let result;
+        if (signal?.aborted) {
+            result = { error: 'Cancelled', code: 'CANCELLED' };
+        } else {
+            try {
+                const lookup = await fetchDirectionsCached({
+                    origin,
+                    destination,
+                    waypoints,
+                    departureTime: slot.departureTime,
+                    trafficModel: variant.trafficModel,
+                    travelMode: variant.travelMode
+                }, apiKey);
+                if (lookup.cacheHit) cacheHits++;
+                result = lookup.result;
+            } catch (error) {
+                result = {
+                    error: error.message || 'Failed to fetch directions',
+                    code: error.code || 'UPSTREAM_ERROR'
+                };
+            }
+        }
+
+        const slotIndex = Math.floor(index / variants.length);
+        matrix[slotIndex].results[variant.key] = result;
+        pending[slotIndex]--;
+        if (pending[slotIndex] === 0 && onSlot && !signal?.aborted) {
+            onSlot(matrix[slotIndex]);
+        }
+    });
+
+    const ranking = variants.find(variant => variant.key === 'best_guess') || variants[0];
+    let optimal = null;
+    matrix.forEach(slot => {
+        const duration = slot.results[ranking.key]?.duration;
+        if (duration && (!optimal || duration < optimal.duration)) {
+            optimal = { time: slot.time, travelMode: ranking.travelMode, trafficModel: ranking.trafficModel, duration };
+        }
+    });
+
+    return { slots: matrix, optimal, cache: { hits: cacheHits, lookups: lookups.length } };
+}
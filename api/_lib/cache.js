@@ -0,0 +1,154 @@
+/**
+ * Response cache for directions lookups
+ * Keyed on the routing provider and the normalized query, with a TTL that depends on how far ahead
+ * the departure is: near-term answers follow live traffic and go stale
+ * quickly, far-out answers are historical predictions that rarely change.
+ */
+
+import { createHash } from 'node:crypto';
+import { toTimestamp } from './google.js';
+import { getRoutingProvider, resolvePlaceQueries } from './routing.js';
+import { hashForLog, logger } from './log.js';
+import { recordCacheLookup, recordUpstream } from './metrics.js';
+
+// Departure lead time -> how long a cached answer stays valid
+const CACHE_TTL = [
+    { leadSeconds: 60 * 60, ttlSeconds: 2 * 60 },           // Within the hour: 2 minutes
+    { leadSeconds: 24 * 60 * 60, ttlSeconds: 15 * 60 },     // Within a day: 15 minutes
+    { leadSeconds: Infinity, ttlSeconds: 6 * 60 * 60 }      // Further out: 6 hours
+];
+
+/**
+ * Cache stores are async key/value adapters:
+ *   get(key)                    -> value, or undefined on a miss
+ *   set(key, value, ttlSeconds) -> stores value until the TTL runs out
+ * Values are plain JSON-serializable objects, so a KV/Redis-backed store
+ * only needs to JSON encode them. Install one with setCacheStore().
+ */
+export function createMemoryStore({ maxEntries = 1000 } = {}) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+
+            // Re-insert so the Map stays in least-recently-used order
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+            // Evict the least recently used entries
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+let cacheStore = createMemoryStore();
+
+export function setCacheStore(store) {
+    cacheStore = store;
+}
+
+export function getCacheTtl(departureTimestamp, now = Date.now()) {
+    const leadSeconds = departureTimestamp - Math.floor(now / 1000);
+    return CACHE_TTL.find(tier => leadSeconds <= tier.leadSeconds).ttlSeconds;
+}
+
+function normalizeAddress(address) {
+    const text = String(address).trim();
+    // Place IDs ("place_id:ChIJ...") are case-sensitive
+    if (text.startsWith('place_id:')) return text;
+    return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Hashed so keys stay short for KV stores and addresses aren't stored in the clear
+export function buildCacheKey({ provider = 'google', origin, destination, departureTimestamp, trafficModel, travelMode = 'driving', waypoints = [] }) {
+    const normalized = [
+        provider,
+        normalizeAddress(origin),
+        normalizeAddress(destination),
+        departureTimestamp,
+        travelMode === 'driving' ? trafficModel || 'best_guess' : travelMode,
+        waypoints.map(waypoint => `${normalizeAddress(waypoint.location)}@${waypoint.dwellMinutes || 0}`).join(';')
+    ].join('|');
+
+    return `directions:${createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+// The provider call, timed and counted by its upstream status. Failures
+// are logged with the addresses hashed; the handlers log unexpected ones
+// in full.
+async function fetchFromProvider(provider, query, apiKey) {
+    const { travelMode = 'driving', trafficModel } = query;
+    const started = performance.now();
+    let status = 'OK';
+
+    try {
+        return await provider.fetchDirections(await resolvePlaceQueries(query, provider, apiKey), apiKey);
+    } catch (error) {
+        status = error.upstreamStatus || error.code || 'ERROR';
+        logger.warn('Routing provider lookup failed', {
+            provider: provider.name,
+            status,
+            travelMode,
+            trafficModel,
+            origin: hashForLog(query.origin),
+            destination: hashForLog(query.destination),
+            message: error.message
+        });
+        throw error;
+    } finally {
+        await recordUpstream({
+            provider: provider.name,
+            status,
+            travelMode,
+            trafficModel,
+            seconds: (performance.now() - started) / 1000
+        });
+    }
+}
+
+/**
+ * The routing provider's fetchDirections with a read-through cache. A failing store is treated
+ * as a miss so caching problems never break lookups.
+ * Returns { result, cacheHit }.
+ */
+export async function fetchDirectionsCached(query, apiKey) {
+    const provider = getRoutingProvider();
+    const departureTimestamp = toTimestamp(query.departureTime);
+    const key = buildCacheKey({ ...query, provider: provider.name, departureTimestamp });
+
+    try {
+        const cached = await cacheStore.get(key);
+        if (cached) {
+            await recordCacheLookup(true);
+            return { result: cached, cacheHit: true };
+        }
+    } catch (error) {
+        logger.warn('Cache read failed', { error });
+    }
+
+    await recordCacheLookup(false);
+    const result = await fetchFromProvider(provider, query, apiKey);
+
+    try {
+        await cacheStore.set(key, result, getCacheTtl(departureTimestamp));
+    } catch (error) {
+        logger.warn('Cache write failed', { error });
+    }
+
+    return { result, cacheHit: false };
+}
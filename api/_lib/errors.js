@@ -0,0 +1,46 @@
+/**
+ * Error envelope shared by the API routes
+ * Every error response is { error, code, details? }: `error` is a message
+ * for people, `code` one of ERROR_CODES for programs, and `details` (when
+ * present) says more, e.g. which field was rejected. Documented for
+ * /api/directions in public/openapi.json.
+ */
+
+import { addLogFields } from './log.js';
+
+// Each code and the HTTP status it's sent with
+export const ERROR_CODES = {
+    METHOD_NOT_ALLOWED: 405,
+    ORIGIN_NOT_ALLOWED: 403,      // Origin/Referer isn't in ALLOWED_ORIGINS
+    UNAUTHORIZED: 401,            // Wrong or missing METRICS_TOKEN or CRON_SECRET
+    MISSING_TOKEN: 401,           // No session token from /api/session
+    INVALID_TOKEN: 401,           // Bad signature or malformed
+    TOKEN_EXPIRED: 401,           // Renew it at /api/session
+    RATE_LIMITED: 429,
+    REQUEST_TOO_LARGE: 400,       // More lookups than RATE_LIMIT_PER_MINUTE; retrying won't help
+    SUBSCRIPTION_LIMIT: 403,      // This token already watches SUBSCRIPTIONS_PER_TOKEN routes
+    TEAM_NOT_FOUND: 404,          // No team with that id, or no such member in it
+    NOT_MEMBER_OWNER: 403,        // The team member was added by another session
+    SPEND_CEILING: 503,           // Everyone's lookups for today reached DAILY_SPEND_CEILING_USD
+    INVALID_BODY: 400,            // Body isn't a JSON object
+    MISSING_FIELD: 400,
+    UNKNOWN_FIELD: 400,
+    INVALID_FIELD: 400,           // Wrong type, too long, or not one of the allowed values
+    INVALID_DEPARTURE_TIME: 400,  // Unparseable, in the past, or too far ahead
+    ADDRESS_NOT_FOUND: 400,       // The provider couldn't place an origin, destination or stop
+    ROUTE_NOT_FOUND: 400,         // Places found, but no route between them for the travel mode
+    PLACE_NOT_FOUND: 404,         // /api/places couldn't resolve the address or place ID
+    UPSTREAM_QUOTA: 503,          // The provider's quota for our key is used up
+    UPSTREAM_ERROR: 502,          // The provider refused or failed the request
+    CONFIGURATION_ERROR: 500,
+    INTERNAL_ERROR: 500
+};
+
+export function sendError(res, code, message, details) {
+    addLogFields({ code });
+    return res.status(ERROR_CODES[code]).json({
+        error: message,
+        code,
+        ...(details !== undefined && { details })
+    });
+}
@@ -0,0 +1,274 @@
+/**
+ * Google Directions API client shared by the API routes
+ * Normalizes the response down to the fields the app uses
+ */
+
+const DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+
+export const TRAFFIC_MODELS = ['best_guess', 'optimistic', 'pessimistic'];
+
+// Traffic models only apply to driving
+export const TRAVEL_MODES = ['driving', 'transit', 'bicycling', 'walking'];
+
+export const WAYPOINT_LIMITS = {
+    maxWaypoints: 8,
+    maxDwellMinutes: 240,
+    maxLocationLength: 200
+};
+
+// Directions API statuses and the error codes (see errors.js) they're reported as
+const STATUS_CODES = {
+    NOT_FOUND: 'ADDRESS_NOT_FOUND',
+    ZERO_RESULTS: 'ROUTE_NOT_FOUND',
+    MAX_WAYPOINTS_EXCEEDED: 'INVALID_FIELD',
+    MAX_ROUTE_LENGTH_EXCEEDED: 'ROUTE_NOT_FOUND',
+    INVALID_REQUEST: 'INVALID_FIELD',
+    OVER_QUERY_LIMIT: 'UPSTREAM_QUOTA',
+    OVER_DAILY_LIMIT: 'UPSTREAM_QUOTA',
+    REQUEST_DENIED: 'UPSTREAM_ERROR',
+    UNKNOWN_ERROR: 'UPSTREAM_ERROR'
+};
+
+/**
+ * Error for a request the routing provider answered but could not route
+ * (bad address, no route, quota). code is one of the codes in errors.js,
+ * and sets the HTTP status it's surfaced with. upstreamStatus is the
+ * provider's own status (e.g. ZERO_RESULTS) when it gave one, for metrics.
+ */
+export class DirectionsError extends Error {
+    constructor(message, details, code = 'ROUTE_NOT_FOUND', upstreamStatus = null) {
+        super(message);
+        this.name = 'DirectionsError';
+        this.details = details;
+        this.code = code;
+        this.upstreamStatus = upstreamStatus;
+    }
+}
+
+// Convert departureTime to Unix timestamp if it's an ISO string or Date
+export function toTimestamp(departureTime) {
+    if (departureTime instanceof Date) {
+        return Math.floor(departureTime.getTime() / 1000);
+    }
+    if (typeof departureTime === 'string') {
+        return Math.floor(new Date(departureTime).getTime() / 1000);
+    }
+    return departureTime;
+}
+
+// Returns an error message for a malformed waypoints list, or null if it's usable
+export function validateWaypoints(waypoints) {
+    if (waypoints === undefined) return null;
+    if (!Array.isArray(waypoints)) return 'waypoints must be a list';
+    if (waypoints.length > WAYPOINT_LIMITS.maxWaypoints) {
+        return `At most ${WAYPOINT_LIMITS.maxWaypoints} waypoints are allowed`;
+    }
+
+    // some() rather than find(): a null stop is itself falsy
+    const invalid = waypoints.some(waypoint =>
+        !waypoint || typeof waypoint.location !== 'string' || !waypoint.location.trim() ||
+        waypoint.location.length > WAYPOINT_LIMITS.maxLocationLength ||
+        (waypoint.dwellMinutes !== undefined && !(typeof waypoint.dwellMinutes === 'number' &&
+            waypoint.dwellMinutes >= 0 && waypoint.dwellMinutes <= WAYPOINT_LIMITS.maxDwellMinutes))
+    );
+    if (invalid) {
+        return `Each waypoint needs a location of at most ${WAYPOINT_LIMITS.maxLocationLength} characters and a dwellMinutes between 0 and ${WAYPOINT_LIMITS.maxDwellMinutes}`;
+    }
+
+    return null;
+}
+
+// Transit trips are routed without intermediate stops
+export function validateTravelMode(travelMode, waypoints = []) {
+    if (!TRAVEL_MODES.includes(travelMode)) {
+        return `travelMode must be one of: ${TRAVEL_MODES.join(', ')}`;
+    }
+    if (travelMode === 'transit' && waypoints.length > 0) {
+        return 'Stops are not supported for transit';
+    }
+    return null;
+}
+
+// Same wording Google uses for duration text, e.g. "1 hour 5 mins"
+export function formatDuration(seconds) {
+    const totalMinutes = Math.round(seconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const hoursText = `${hours} hour${hours === 1 ? '' : 's'}`;
+    const minutesText = `${minutes} min${minutes === 1 ? '' : 's'}`;
+
+    if (hours === 0) return minutesText;
+    return minutes === 0 ? hoursText : `${hoursText} ${minutesText}`;
+}
+
+// e.g. "18.2 km"
+export function formatDistance(meters) {
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Look up a drive, optionally through ordered waypoints. Each waypoint is a
+ * stopover with an optional dwell time; the total duration is the sum of
+ * every leg plus the time spent at the stops. Per-leg durations use traffic
+ * when Google reports it for the leg and fall back to the typical duration.
+ *
+ * Alternative routes are requested too (Google only returns them when there
+ * are no waypoints). The top-level fields describe the fastest route and
+ * `routes` summarizes every alternative, fastest first.
+ *
+ * Transit results also carry a `transit` summary, and their duration runs
+ * from the requested departure to arrival so waiting for the next vehicle
+ * counts against the slot.
+ */
+export async function fetchDirections({ origin, destination, departureTime, trafficModel, travelMode = 'driving', waypoints = [] }, apiKey) {
+    const departureTimestamp = toTimestamp(departureTime);
+
+    // Build Google Directions API URL
+    const params = new URLSearchParams({
+        origin: origin,
+        destination: destination,
+        mode: travelMode,
+        departure_time: departureTimestamp,
+        alternatives: 'true',
+        key: apiKey
+    });
+    if (travelMode === 'driving') {
+        params.set('traffic_model', trafficModel || 'best_guess');
+    }
+    if (waypoints.length > 0) {
+        params.set('waypoints', waypoints.map(waypoint => waypoint.location).join('|'));
+    }
+
+    const response = await fetch(`${DIRECTIONS_URL}?${params}`);
+    const data = await response.json();
+
+    if (data.status !== 'OK') {
+        throw new DirectionsError(
+            `Google API error: ${data.status}`,
+            data.error_message || 'No route found',
+            STATUS_CODES[data.status] || 'UPSTREAM_ERROR',
+            data.status
+        );
+    }
+
+    return pickFastest((data.routes || [])
+        .filter(route => route.legs?.length > 0)
+        .map(route => summarizeRoute(route, waypoints, departureTimestamp)));
+}
+
+/**
+ * The response every routing provider returns: the fastest of the
+ * summarized routes at the top level and every alternative under `routes`,
+ * fastest first
+ */
+export function pickFastest(routes) {
+    const sorted = [...routes].sort((a, b) => a.duration - b.duration);
+    if (sorted.length === 0) {
+        throw new DirectionsError('No route found');
+    }
+
+    const [fastest] = sorted;
+    return {
+        ...fastest,
+        routes: sorted.map(({ legs, ...route }) => route)
+    };
+}
+
+// Totals for one of Google's routes, with traffic where it was reported
+function summarizeRoute(route, waypoints, departureTimestamp) {
+    const legs = route.legs.map((leg, index) => ({
+        startAddress: leg.start_address,
+        endAddress: leg.end_address,
+        duration: leg.duration_in_traffic?.value || leg.duration?.value,
+        durationText: leg.duration_in_traffic?.text || leg.duration?.text,
+        distance: leg.distance?.value,
+        distanceText: leg.distance?.text,
+        // Time spent at the stop this leg ends at (none at the destination)
+        dwellSeconds: Math.round((waypoints[index]?.dwellMinutes || 0) * 60)
+    }));
+
+    // Google's label for the main roads taken, e.g. "I-5 N"
+    const summary = route.summary || '';
+
+    const transit = summarizeTransit(route.legs[0]);
+    if (transit) {
+        const duration = Math.max(0, transit.arrivalTimestamp - departureTimestamp);
+        return {
+            summary: summary || transit.lines.join(' → '),
+            duration: duration,
+            durationText: formatDuration(duration),
+            distance: legs[0].distance,
+            distanceText: legs[0].distanceText,
+            transit: transit.details,
+            legs: legs
+        };
+    }
+
+    return summarizeLegs(summary, legs);
+}
+
+/**
+ * Totals for a route from its legs ({ duration, distance, dwellSeconds } and
+ * optional texts). A single leg keeps the provider's own text; multi-stop
+ * totals are summed here.
+ */
+export function summarizeLegs(summary, routeLegs) {
+    const legs = routeLegs.map(leg => ({
+        ...leg,
+        durationText: leg.durationText || formatDuration(leg.duration),
+        distanceText: leg.distanceText || formatDistance(leg.distance || 0)
+    }));
+
+    if (legs.length === 1 && legs[0].dwellSeconds === 0) {
+        return { summary, ...stripLeg(legs[0]), legs };
+    }
+
+    const duration = legs.reduce((total, leg) => total + leg.duration + leg.dwellSeconds, 0);
+    const distance = legs.reduce((total, leg) => total + (leg.distance || 0), 0);
+
+    return {
+        summary: summary,
+        duration: duration,
+        durationText: formatDuration(duration),
+        distance: distance,
+        distanceText: formatDistance(distance),
+        legs: legs
+    };
+}
+
+// Departure/arrival, transfers and walking time for a transit leg, or null
+// when the leg has no scheduled times (every other mode)
+function summarizeTransit(leg) {
+    if (!leg.arrival_time) return null;
+
+    const steps = leg.steps || [];
+    const rides = steps.filter(step => step.travel_mode === 'TRANSIT');
+    const walkingSeconds = steps
+        .filter(step => step.travel_mode === 'WALKING')
+        .reduce((total, step) => total + (step.duration?.value || 0), 0);
+    const lines = rides.map(step => {
+        const line = step.transit_details?.line || {};
+        return line.short_name || line.name || 'Transit';
+    });
+
+    return {
+        arrivalTimestamp: leg.arrival_time.value,
+        lines: lines,
+        details: {
+            departureTime: new Date((leg.departure_time?.value ?? leg.arrival_time.value) * 1000).toISOString(),
+            arrivalTime: new Date(leg.arrival_time.value * 1000).toISOString(),
+            transfers: Math.max(0, rides.length - 1),
+            walkingSeconds: walkingSeconds,
+            lines: lines
+        }
+    };
+}
+
+function stripLeg(leg) {
+    return {
+        duration: leg.duration,
+        durationText: leg.durationText,
+        distance: leg.distance,
+        distanceText: leg.distanceText
+    };
+}
@@ -0,0 +1,95 @@
+/**
+ * Structured logging for the API routes
+ * One JSON object per line, { time, level, msg, requestId?, ...fields },
+ * so log drains can filter on fields instead of parsing text. The request
+ * ID comes from the context instrument() (metrics.js) runs each request
+ * in, so library code logs it without having it passed down.
+ *
+ * Addresses are personal data and never go into logs as they are: pass
+ * them through hashForLog, which keeps repeated lookups of the same place
+ * recognizable without recording where it is. Set LOG_HASH_SECRET so the
+ * hashes match across function instances.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+let localHashSecret = null;
+
+function getHashSecret() {
+    if (process.env.LOG_HASH_SECRET) return process.env.LOG_HASH_SECRET;
+
+    if (!localHashSecret) {
+        localHashSecret = randomBytes(32).toString('hex');
+    }
+    return localHashSecret;
+}
+
+export function hashForLog(text) {
+    if (text === undefined || text === null) return undefined;
+    return createHmac('sha256', getHashSecret()).update(String(text).trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+// Errors don't survive JSON.stringify; keep what helps debugging
+function serialize(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+        key,
+        value instanceof Error
+            ? { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack }
+            : value
+    ]));
+}
+
+export function log(level, msg, fields = {}) {
+    const context = requestContext.getStore();
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(context && { requestId: context.requestId }),
+        ...serialize(fields)
+    });
+
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+export const logger = {
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+};
+
+// The caller's X-Request-Id when it's a sensible one, so a client or proxy
+// can follow its request through our logs, otherwise a new ID
+export function getRequestId(req) {
+    const given = req.headers['x-request-id'];
+    return typeof given === 'string' && REQUEST_ID_PATTERN.test(given) ? given : randomUUID();
+}
+
+/**
+ * Run fn with a request context: { requestId, fields }. Fields added with
+ * addLogFields during the request end up on its summary line.
+ */
+export function runWithRequestContext(requestId, fn) {
+    return requestContext.run({ requestId, fields: {} }, fn);
+}
+
+export function addLogFields(fields) {
+    const context = requestContext.getStore();
+    if (context) {
+        Object.assign(context.fields, fields);
+    }
+}
+
+export function getRequestContext() {
+    return requestContext.getStore();
+}
@@ -0,0 +1,233 @@
+/**
+ * Request and upstream metrics for the proxy, rendered in Prometheus text
+ * format by /api/metrics
+ * Series live in a pluggable store like the rate limit counters: in memory
+ * by default, which only covers the function instance that serves the
+ * scrape, or a Redis hash when REDIS_URL is set so every instance adds to
+ * the same totals. Recording never fails a request; store errors are
+ * logged and the sample dropped.
+ */
+
+import { getSharedRedisClient } from './redis.js';
+import { getRequestContext, getRequestId, log, logger, runWithRequestContext } from './log.js';
+
+const REDIS_KEY = 'metrics';
+
+// Latency buckets in seconds: cache hits at the bottom, slow batches at the top
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const METRICS = {
+    commute_http_requests_total: {
+        type: 'counter',
+        help: 'API requests by route and HTTP status'
+    },
+    commute_http_request_duration_seconds: {
+        type: 'histogram',
+        help: 'Time to answer API requests, by route',
+        buckets: DURATION_BUCKETS
+    },
+    commute_upstream_requests_total: {
+        type: 'counter',
+        help: 'Routing provider lookups by provider, upstream status, travel mode and traffic model'
+    },
+    commute_upstream_duration_seconds: {
+        type: 'histogram',
+        help: 'Routing provider latency by provider, upstream status, travel mode and traffic model',
+        buckets: DURATION_BUCKETS
+    },
+    commute_cache_lookups_total: {
+        type: 'counter',
+        help: 'Directions cache lookups by result (hit or miss)'
+    }
+};
+
+/**
+ * Metric stores are async adapters over numeric series:
+ *   add(field, amount) -> adds amount to a series, creating it at 0
+ *   read()             -> { field: value } for every series
+ * Fields are JSON [name, labels, le?] so they can be grouped back into
+ * metrics when rendering.
+ */
+export function createMemoryMetricsStore() {
+    const series = new Map();
+
+    return {
+        async add(field, amount) {
+            series.set(field, (series.get(field) || 0) + amount);
+        },
+
+        async read() {
+            return Object.fromEntries(series);
+        }
+    };
+}
+
+export function createRedisMetricsStore(client) {
+    return {
+        async add(field, amount) {
+            await client.command('HINCRBYFLOAT', REDIS_KEY, field, amount);
+        },
+
+        async read() {
+            const flat = await client.command('HGETALL', REDIS_KEY) || [];
+            const series = {};
+            for (let i = 0; i < flat.length; i += 2) {
+                series[flat[i]] = Number(flat[i + 1]);
+            }
+            return series;
+        }
+    };
+}
+
+let metricsStore = null;
+
+function getMetricsStore() {
+    if (!metricsStore) {
+        const redis = getSharedRedisClient();
+        metricsStore = redis ? createRedisMetricsStore(redis) : createMemoryMetricsStore();
+    }
+    return metricsStore;
+}
+
+export function setMetricsStore(store) {
+    metricsStore = store;
+}
+
+// Sorted so the same labels always make the same field
+function toField(name, labels, le) {
+    const sorted = Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    return JSON.stringify(le === undefined ? [name, sorted] : [name, sorted, le]);
+}
+
+async function record(additions) {
+    const store = getMetricsStore();
+    try {
+        await Promise.all(additions.map(([field, amount]) => store.add(field, amount)));
+    } catch (error) {
+        logger.warn('Metrics store error', { error });
+    }
+}
+
+export function incrementCounter(name, labels, amount = 1) {
+    return record([[toField(name, labels), amount]]);
+}
+
+// Only the bucket the value falls in is stored; rendering adds them up.
+// Values past the last bucket are only in the count (the +Inf bucket).
+export function observeHistogram(name, labels, value) {
+    const le = METRICS[name].buckets.find(bound => value <= bound);
+    return record([
+        ...(le !== undefined ? [[toField(name, labels, String(le)), 1]] : []),
+        [toField(`${name}_sum`, labels), value],
+        [toField(`${name}_count`, labels), 1]
+    ]);
+}
+
+export function recordRequest({ route, status, seconds }) {
+    const labels = { route, status: String(status) };
+    return Promise.all([
+        incrementCounter('commute_http_requests_total', labels),
+        observeHistogram('commute_http_request_duration_seconds', { route }, seconds)
+    ]);
+}
+
+// status is the provider's own (OK, ZERO_RESULTS, OVER_QUERY_LIMIT, ...)
+// where it has one, otherwise our error code
+export function recordUpstream({ provider, status, travelMode, trafficModel, seconds }) {
+    const labels = {
+        provider,
+        status,
+        travel_mode: travelMode,
+        traffic_model: travelMode === 'driving' ? trafficModel || 'best_guess' : 'none'
+    };
+    return Promise.all([
+        incrementCounter('commute_upstream_requests_total', labels),
+        observeHistogram('commute_upstream_duration_seconds', labels, seconds)
+    ]);
+}
+
+export function recordCacheLookup(hit) {
+    return incrementCounter('commute_cache_lookups_total', { result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Wrap a route handler: each request gets an ID (echoed as X-Request-Id),
+ * one summary log line when it finishes, and its status and duration
+ * recorded. Handlers add to the summary line with addLogFields.
+ */
+export function instrument(route, handler) {
+    return (req, res) => {
+        const requestId = getRequestId(req);
+        res.setHeader('X-Request-Id', requestId);
+
+        return runWithRequestContext(requestId, async () => {
+            const started = performance.now();
+            let threw = false;
+            try {
+                return await handler(req, res);
+            } catch (error) {
+                threw = true;
+                logger.error('Unhandled error', { route, error });
+                throw error;
+            } finally {
+                const seconds = (performance.now() - started) / 1000;
+                const status = threw ? 500 : res.statusCode;
+                log(status >= 500 ? 'error' : 'info', 'request', {
+                    route,
+                    method: req.method,
+                    status,
+                    durationMs: Math.round(seconds * 1000),
+                    ...getRequestContext().fields
+                });
+                await recordRequest({ route, status, seconds });
+            }
+        });
+    };
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Histogram buckets are cumulative in the exposition format
+function renderHistogram(name, { buckets }, fields) {
+    const lines = [];
+    for (const { labels, value: count } of fields.filter(field => field.name === `${name}_count`)) {
+        const key = JSON.stringify(labels);
+        const stored = fields.filter(field => field.name === name && JSON.stringify(field.labels) === key);
+        const sum = fields.find(field => field.name === `${name}_sum` && JSON.stringify(field.labels) === key);
+
+        let cumulative = 0;
+        for (const bound of buckets) {
+            cumulative += stored.find(field => field.le === String(bound))?.value || 0;
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${cumulative}`);
+        }
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum?.value || 0}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+}
+
+// Every series in the store as Prometheus text exposition format (0.0.4)
+export async function renderMetrics() {
+    const fields = Object.entries(await getMetricsStore().read()).map(([field, value]) => {
+        const [name, labels, le] = JSON.parse(field);
+        return { name, labels, le, value };
+    });
+
+    const lines = [];
+    for (const [name, metric] of Object.entries(METRICS)) {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        if (metric.type === 'histogram') {
+            lines.push(...renderHistogram(name, metric, fields));
+        } else {
+            for (const { labels, value } of fields.filter(field => field.name === name)) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
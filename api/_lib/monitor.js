@@ -0,0 +1,184 @@
+/**
+ * Scheduled monitoring of watched routes
+ * Each run looks a short way ahead in every subscription's active window
+ * and pushes a "time to leave" notification once the best departure is
+ * close. Runs from a cron (see /api/monitor), once per direction per day.
+ */
+
+import { buildDepartureSlots, buildVariants, evaluateWindow, mapWithConcurrency } from './batch.js';
+import { PushError, getPushSender } from './push.js';
+import { checkSpendCeiling } from './rate-limit.js';
+import { logger } from './log.js';
+import { getSubscriptionStore } from './subscriptions.js';
+
+export const MONITOR = {
+    leadMinutes: 30,          // Start checking this long before a window opens
+    horizonMinutes: 60,       // How far ahead each check looks
+    intervalMinutes: 10,      // Spacing of the departures checked
+    notifyAheadMinutes: 15,   // Notify once the best departure is this close
+    waitPenaltyMinutes: 5,    // Mention the cost of waiting when it's at least this
+    toleranceMinutes: 1,      // Later departures this close to the fastest still count as "on time"
+    maxConcurrency: 2         // Subscriptions checked in parallel
+};
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function toTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+// Same format the app shows, e.g. "7:40 AM"
+function formatClock(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+// Wall-clock date and minute of day for a subscriber
+function localClock(now, timezoneOffset) {
+    const local = new Date(now - timezoneOffset * 60 * 1000);
+    return {
+        date: local.toISOString().slice(0, 10),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+    };
+}
+
+/**
+ * Pick the departure to recommend from [{ time, duration }] (in order):
+ * the latest one before travel time rises above the fastest, plus how much
+ * worse the worst later departure is.
+ * Returns { time, duration, waitPenaltyMinutes } or null.
+ */
+export function planDeparture(departures) {
+    if (departures.length === 0) return null;
+
+    const fastest = Math.min(...departures.map(departure => departure.duration));
+    const tolerance = MONITOR.toleranceMinutes * 60;
+    let index = departures.findIndex(departure => departure.duration === fastest);
+    while (index + 1 < departures.length && departures[index + 1].duration <= fastest + tolerance) {
+        index++;
+    }
+
+    const leaveBy = departures[index];
+    const worstLater = Math.max(leaveBy.duration, ...departures.slice(index + 1).map(departure => departure.duration));
+
+    return {
+        time: leaveBy.time,
+        duration: leaveBy.duration,
+        waitPenaltyMinutes: Math.round((worstLater - leaveBy.duration) / 60)
+    };
+}
+
+// e.g. "Leave by 7:40 AM — traffic building, +12 min if you wait"
+export function buildNotification(subscription, direction, plan) {
+    const destination = direction === 'morning' ? subscription.route.destination : subscription.route.origin;
+    const travel = `${Math.round(plan.duration / 60)} min to ${destination.split(',')[0]}`;
+    const outlook = plan.waitPenaltyMinutes >= MONITOR.waitPenaltyMinutes
+        ? `traffic building, +${plan.waitPenaltyMinutes} min if you wait`
+        : travel;
+
+    return {
+        title: subscription.route.name || 'Time to leave',
+        body: `Leave by ${formatClock(plan.time)} — ${outlook}`,
+        tag: `${subscription.routeId}:${direction}`,
+        url: '/'
+    };
+}
+
+/**
+ * Check one subscription's windows and notify where it's time to leave.
+ * Returns { lookups, notified } and records notified directions on the
+ * subscription; the caller saves it.
+ */
+export async function checkSubscription(subscription, { now, apiKey, sender }) {
+    const { route, windows, timezoneOffset } = subscription;
+    const clock = localClock(now, timezoneOffset);
+    const { key } = buildVariants([route.travelMode], [route.trafficModel])[0];
+    let lookups = 0;
+    let notified = 0;
+
+    for (const direction of ['morning', 'evening']) {
+        if (subscription.notified[direction] === clock.date) continue;
+
+        const windowStart = toMinutes(windows[direction].start);
+        const windowEnd = toMinutes(windows[direction].end);
+        if (clock.minutes < windowStart - MONITOR.leadMinutes || clock.minutes > windowEnd) continue;
+
+        const nextSlot = Math.ceil((clock.minutes + 1) / MONITOR.intervalMinutes) * MONITOR.intervalMinutes;
+        const first = Math.max(windowStart, nextSlot);
+        const last = Math.min(windowEnd, first + MONITOR.horizonMinutes);
+        if (first > last) continue;
+
+        const slots = buildDepartureSlots({
+            date: clock.date,
+            startTime: toTime(first),
+            endTime: toTime(last),
+            intervalMinutes: MONITOR.intervalMinutes,
+            timezoneOffset
+        });
+
+        // Monitor lookups come out of the same daily budget as everyone else's
+        const spend = await checkSpendCeiling(slots.length);
+        if (!spend.allowed) {
+            throw new Error(spend.reason);
+        }
+
+        // Evening runs the route back, visiting stops in reverse
+        const isMorning = direction === 'morning';
+        const { slots: matrix } = await evaluateWindow({
+            origin: isMorning ? route.origin : route.destination,
+            destination: isMorning ? route.destination : route.origin,
+            waypoints: isMorning ? route.waypoints : [...route.waypoints].reverse(),
+            slots,
+            trafficModels: [route.trafficModel],
+            travelModes: [route.travelMode]
+        }, apiKey);
+        lookups += slots.length;
+
+        const plan = planDeparture(matrix
+            .map(slot => ({ time: slot.time, duration: slot.results[key]?.duration }))
+            .filter(departure => departure.duration));
+        if (!plan || toMinutes(plan.time) - clock.minutes > MONITOR.notifyAheadMinutes) continue;
+
+        await sender.send(subscription, buildNotification(subscription, direction, plan));
+        subscription.notified = { ...subscription.notified, [direction]: clock.date };
+        notified++;
+    }
+
+    return { lookups, notified };
+}
+
+/**
+ * Check every subscription. Expired push subscriptions are removed; other
+ * failures are logged and retried on the next run.
+ * Returns { subscriptions, lookups, notified, removed, failed }.
+ */
+export async function runMonitor({ now = Date.now(), apiKey, store = getSubscriptionStore(), sender = getPushSender() }) {
+    const subscriptions = await store.list();
+    const summary = { subscriptions: subscriptions.length, lookups: 0, notified: 0, removed: 0, failed: 0 };
+
+    await mapWithConcurrency(subscriptions, MONITOR.maxConcurrency, async subscription => {
+        try {
+            const result = await checkSubscription(subscription, { now, apiKey, sender });
+            summary.lookups += result.lookups;
+            summary.notified += result.notified;
+            if (result.notified > 0) {
+                await store.save(subscription);
+            }
+        } catch (error) {
+            if (error instanceof PushError && error.gone) {
+                await store.remove(subscription.id);
+                summary.removed++;
+                return;
+            }
+            logger.error('Monitor check failed', { subscriptionId: subscription.id, error });
+            summary.failed++;
+        }
+    });
+
+    return summary;
+}
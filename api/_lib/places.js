@@ -0,0 +1,103 @@
+/**
+ * Google Places Autocomplete and Geocoding client used by /api/places
+ * Normalizes responses down to what the app stores with a route: the
+ * formatted address, Google's place ID and its coordinates.
+ */
+
+const AUTOCOMPLETE_URL = 'https://maps.googleapis.com/maps/api/place/autocomplete/json';
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+export const PLACES_LIMITS = {
+    minInputLength: 3,        // Shorter inputs match too much to be useful
+    maxInputLength: 200
+};
+
+// Places and Geocoding API statuses and the error codes (see errors.js)
+// they're reported as; anything else is UPSTREAM_ERROR
+const STATUS_CODES = {
+    NOT_FOUND: 'PLACE_NOT_FOUND',
+    ZERO_RESULTS: 'PLACE_NOT_FOUND',
+    INVALID_REQUEST: 'INVALID_FIELD',
+    OVER_QUERY_LIMIT: 'UPSTREAM_QUOTA',
+    OVER_DAILY_LIMIT: 'UPSTREAM_QUOTA'
+};
+
+/**
+ * Error for a lookup Google answered but could not serve. code is one of
+ * the codes in errors.js: PLACE_NOT_FOUND when the address or place ID
+ * doesn't resolve to anywhere.
+ */
+export class PlacesError extends Error {
+    constructor(message, details, code = 'UPSTREAM_ERROR') {
+        super(message);
+        this.name = 'PlacesError';
+        this.details = details;
+        this.code = code;
+    }
+}
+
+function toPlacesError(data) {
+    const code = STATUS_CODES[data.status] || 'UPSTREAM_ERROR';
+    const message = code === 'PLACE_NOT_FOUND' ? 'Address not found' : `Google API error: ${data.status}`;
+    return new PlacesError(message, data.error_message, code);
+}
+
+/**
+ * Suggestions for a partial address, best match first:
+ * [{ placeId, description, mainText, secondaryText }]
+ * Google bills keystrokes sharing a sessionToken as one session.
+ */
+export async function fetchAutocomplete({ input, sessionToken }, apiKey) {
+    const params = new URLSearchParams({ input: input, key: apiKey });
+    if (sessionToken) {
+        params.set('sessiontoken', sessionToken);
+    }
+
+    const response = await fetch(`${AUTOCOMPLETE_URL}?${params}`);
+    const data = await response.json();
+
+    if (data.status === 'ZERO_RESULTS') return [];
+    if (data.status !== 'OK') {
+        throw toPlacesError(data);
+    }
+
+    return (data.predictions || []).map(prediction => ({
+        placeId: prediction.place_id,
+        description: prediction.description,
+        mainText: prediction.structured_formatting?.main_text || prediction.description,
+        secondaryText: prediction.structured_formatting?.secondary_text || ''
+    }));
+}
+
+/**
+ * Resolve a place ID (from a suggestion) or a free-text address to
+ * { placeId, address, location: { lat, lng } }
+ */
+export async function geocode({ placeId, address }, apiKey) {
+    const params = new URLSearchParams({ key: apiKey });
+    if (placeId) {
+        params.set('place_id', placeId);
+    } else {
+        params.set('address', address);
+    }
+
+    const response = await fetch(`${GEOCODE_URL}?${params}`);
+    const data = await response.json();
+
+    if (data.status !== 'OK') {
+        throw toPlacesError(data);
+    }
+    if (!data.results?.length) {
+        throw new PlacesError('Address not found', data.error_message, 'PLACE_NOT_FOUND');
+    }
+
+    const [result] = data.results;
+    return {
+        placeId: result.place_id,
+        address: result.formatted_address,
+        location: {
+            lat: result.geometry.location.lat,
+            lng: result.geometry.location.lng
+        }
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * Push delivery for monitoring notifications
+ * Web Push payloads are encrypted (RFC 8291, aes128gcm) and authorized
+ * with VAPID (RFC 8292) using node:crypto, so no push library is needed.
+ * Senders are pluggable like the cache and rate limit stores: Web Push when
+ * VAPID keys are configured, a local HTTP stand-in when PUSH_STANDIN_URL is
+ * set, and an in-memory outbox otherwise.
+ */
+
+import { createCipheriv, createECDH, createPrivateKey, hkdfSync, randomBytes, sign } from 'node:crypto';
+
+const RECORD_SIZE = 4096;
+const VAPID_TTL_SECONDS = 12 * 60 * 60;
+const PUSH_TTL_SECONDS = 30 * 60;         // A "leave now" alert is useless after half an hour
+
+// Hosts browsers hand out push endpoints on. The monitor POSTs to whatever
+// endpoint a subscription names, so nothing else is accepted.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'web.push.apple.com'];
+const PUSH_SERVICE_DOMAINS = ['.push.services.mozilla.com', '.notify.windows.com'];
+
+/**
+ * Error from a push service. Subscriptions answering 404 or 410 have
+ * expired and should be removed (see `gone`).
+ */
+export class PushError extends Error {
+    constructor(message, statusCode, { gone = statusCode === 404 || statusCode === 410 } = {}) {
+        super(message);
+        this.name = 'PushError';
+        this.statusCode = statusCode;
+        this.gone = gone;
+    }
+}
+
+// An https URL on one of the known push services
+export function isPushServiceEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+
+    return url.protocol === 'https:' && !url.port && (
+        PUSH_SERVICE_HOSTS.includes(url.hostname) ||
+        PUSH_SERVICE_DOMAINS.some(domain => url.hostname.endsWith(domain))
+    );
+}
+
+function base64UrlDecode(value) {
+    return Buffer.from(value, 'base64url');
+}
+
+function base64UrlEncode(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291). Returns the request
+ * body: salt, record size and the sender's public key, then the ciphertext.
+ */
+export function encryptPayload(payload, { p256dh, auth }) {
+    const clientPublicKey = base64UrlDecode(p256dh);
+    const authSecret = base64UrlDecode(auth);
+
+    const serverKeys = createECDH('prime256v1');
+    const serverPublicKey = serverKeys.generateKeys();
+    const sharedSecret = serverKeys.computeSecret(clientPublicKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const inputKey = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    const salt = randomBytes(16);
+    const contentKey = Buffer.from(hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // A single record, terminated by the 0x02 padding delimiter
+    const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// Signed ES256 JWT for the push service's origin
+function createVapidToken(audience, { publicKey, privateKey, subject }) {
+    const rawPublicKey = base64UrlDecode(publicKey);
+    const key = createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: base64UrlEncode(rawPublicKey.subarray(1, 33)),
+            y: base64UrlEncode(rawPublicKey.subarray(33, 65))
+        }
+    });
+
+    const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64UrlEncode(JSON.stringify({
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + VAPID_TTL_SECONDS,
+        sub: subject
+    }));
+    const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `${header}.${claims}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Push senders are async adapters:
+ *   send(subscription, payload) -> resolves once the push is accepted,
+ *                                  throws PushError otherwise
+ * where subscription is a browser PushSubscription ({ endpoint, keys }) and
+ * payload a JSON-serializable notification ({ title, body, tag, url }).
+ */
+export function createWebPushSender(vapid) {
+    return {
+        async send(subscription, payload) {
+            // Subscriptions are checked when they're made; this catches any stored before that
+            if (!isPushServiceEndpoint(subscription.endpoint)) {
+                throw new PushError('Endpoint is not a known push service', null, { gone: true });
+            }
+
+            const body = encryptPayload(JSON.stringify(payload), subscription.keys);
+            const token = createVapidToken(new URL(subscription.endpoint).origin, vapid);
+
+            const response = await fetch(subscription.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `vapid t=${token}, k=${vapid.publicKey}`,
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Type': 'application/octet-stream',
+                    'TTL': String(PUSH_TTL_SECONDS),
+                    'Urgency': 'high'
+                },
+                body: body
+            });
+
+            if (!response.ok) {
+                throw new PushError(`Push service responded ${response.status}`, response.status);
+            }
+        }
+    };
+}
+
+// Posts the unencrypted notification to a local endpoint instead of a push
+// service, for development and tests
+export function createLocalPushSender(url) {
+    return {
+        async send(subscription, payload) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint: subscription.endpoint, payload })
+            });
+
+            if (!response.ok) {
+                throw new PushError(`Push stand-in responded ${response.status}`, response.status);
+            }
+        }
+    };
+}
+
+// Keeps the most recent notifications in `sent` instead of delivering them
+export function createMemoryPushSender({ maxEntries = 100 } = {}) {
+    const sent = [];
+
+    return {
+        sent,
+
+        async send(subscription, payload) {
+            sent.push({ endpoint: subscription.endpoint, payload, sentAt: new Date().toISOString() });
+            if (sent.length > maxEntries) sent.shift();
+        }
+    };
+}
+
+export function getVapidKeys() {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+    return {
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: VAPID_PRIVATE_KEY,
+        subject: VAPID_SUBJECT || 'mailto:admin@example.com'
+    };
+}
+
+let pushSender = null;
+
+export function getPushSender() {
+    if (!pushSender) {
+        const vapid = getVapidKeys();
+        if (vapid) {
+            pushSender = createWebPushSender(vapid);
+        } else if (process.env.PUSH_STANDIN_URL) {
+            pushSender = createLocalPushSender(process.env.PUSH_STANDIN_URL);
+        } else {
+            pushSender = createMemoryPushSender();
+        }
+    }
+    return pushSender;
+}
+
+export function setPushSender(sender) {
+    pushSender = sender;
+}
@@ -0,0 +1,251 @@
+/**
+ * Shared rate limiting for the API routes
+ * Quotas are kept per subject: a session token for the routes that spend
+ * the Google key (see access.js), the client IP for the rest. Requests are
+ * weighted by cost so a batch counts as the number of Directions API calls
+ * it makes, and every lookup also counts toward a global daily spend
+ * ceiling. Counters live in a pluggable store: in-memory by default, Redis
+ * when REDIS_URL is set so limits survive cold starts and are shared
+ * across function instances.
+ *
+ * Limits come from the environment:
+ *   RATE_LIMIT_PER_MINUTE     lookups per subject per minute (default 120)
+ *   RATE_LIMIT_PER_DAY        lookups per subject per day (default 1000)
+ *   RATE_LIMIT_PER_IP_PER_DAY lookups per IP per day across all of its tokens
+ *                             (default 5000)
+ *   RATE_LIMIT_ALGORITHM      'sliding' (default) or 'fixed'
+ *   DAILY_SPEND_CEILING_USD   what all lookups together may cost per UTC day (default 50)
+ *   LOOKUP_COST_USD           what one lookup costs us (default 0.005)
+ */
+
+import { getSharedRedisClient } from './redis.js';
+import { logger } from './log.js';
+
+export const RATE_LIMIT = {
+    windowMs: 60 * 1000,      // 1 minute window
+    maxRequests: Number(process.env.RATE_LIMIT_PER_MINUTE) || 120,  // Enough for 1 stacked analysis of both directions
+    dailyLimit: Number(process.env.RATE_LIMIT_PER_DAY) || 1000,     // ~10 stacked analyses
+    ipDailyLimit: Number(process.env.RATE_LIMIT_PER_IP_PER_DAY) || 5000,  // A handful of people sharing an office NAT
+    algorithm: process.env.RATE_LIMIT_ALGORITHM === 'fixed' ? 'fixed' : 'sliding'
+};
+
+export const SPEND_CEILING = {
+    dailyUsd: Number(process.env.DAILY_SPEND_CEILING_USD) || 50,
+    lookupCostUsd: Number(process.env.LOOKUP_COST_USD) || 0.005
+};
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rate limit stores are async counter adapters:
+ *   get(key)                       -> current count (0 if missing)
+ *   increment(key, amount, ttlMs)  -> count after adding amount; the key
+ *                                     expires ttlMs after it is first written
+ */
+export function createMemoryRateLimitStore() {
+    const counters = new Map();
+
+    function read(key) {
+        const entry = counters.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    return {
+        async get(key) {
+            return read(key)?.value || 0;
+        },
+
+        async increment(key, amount, ttlMs) {
+            const entry = read(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+            entry.value += amount;
+            counters.set(key, entry);
+            return entry.value;
+        }
+    };
+}
+
+export function createRedisRateLimitStore(client) {
+    return {
+        async get(key) {
+            return Number(await client.command('GET', key)) || 0;
+        },
+
+        async increment(key, amount, ttlMs) {
+            const value = await client.command('INCRBY', key, amount);
+            // First write created the key; start its expiry clock
+            if (value === amount) {
+                await client.command('PEXPIRE', key, ttlMs);
+            }
+            return value;
+        }
+    };
+}
+
+let rateLimitStore = null;
+
+function getRateLimitStore() {
+    if (!rateLimitStore) {
+        const redis = getSharedRedisClient();
+        rateLimitStore = redis ? createRedisRateLimitStore(redis) : createMemoryRateLimitStore();
+    }
+    return rateLimitStore;
+}
+
+export function setRateLimitStore(store) {
+    rateLimitStore = store;
+}
+
+// x-real-ip and the last x-forwarded-for hop are set by our own proxy;
+// earlier x-forwarded-for entries come from the client and can be anything
+export function getClientIp(req) {
+    return req.headers['x-real-ip'] ||
+        req.headers['x-forwarded-for']?.split(',').at(-1).trim() ||
+        req.socket?.remoteAddress ||
+        'unknown';
+}
+
+/**
+ * Usage of the per-minute window. The sliding algorithm weights the
+ * previous window by how much of it still overlaps the last windowMs,
+ * which avoids the burst a fixed window allows at its boundary.
+ * Returns { currentKey, used, resetMs, msUntilAvailable(cost) }.
+ */
+async function readMinuteWindow(store, subject, now) {
+    const { windowMs, maxRequests, algorithm } = RATE_LIMIT;
+    const windowIndex = Math.floor(now / windowMs);
+    const elapsed = now - windowIndex * windowMs;
+    const currentKey = `ratelimit:${subject}:m:${windowIndex}`;
+
+    const current = await store.get(currentKey);
+    const previous = algorithm === 'sliding'
+        ? await store.get(`ratelimit:${subject}:m:${windowIndex - 1}`)
+        : 0;
+    const weight = 1 - elapsed / windowMs;
+
+    return {
+        currentKey,
+        used: Math.floor(previous * weight) + current,
+        msUntilAvailable(cost) {
+            if (algorithm === 'fixed') return windowMs - elapsed;
+
+            // Still room in this window once enough of the previous one decays
+            const headroom = maxRequests - current - cost;
+            if (headroom >= 0) {
+                return previous > 0 ? Math.max(0, windowMs * (1 - headroom / previous) - elapsed) : 0;
+            }
+
+            // Otherwise wait for this window's count to decay in the next one
+            const nextHeadroom = maxRequests - cost;
+            return (windowMs - elapsed) + Math.max(0, windowMs * (1 - nextHeadroom / current));
+        },
+        resetMs: windowMs - elapsed
+    };
+}
+
+/**
+ * Check and consume cost units for a subject, e.g. `token:<id>` or an IP.
+ * Returns { allowed, reason?, tooLarge?, limit, remaining, resetSeconds, retryAfter? }
+ * where retryAfter (seconds) is set when the request was refused, unless
+ * tooLarge says it never fits in the per-minute limit.
+ * A failing store lets the request through rather than taking the app down.
+ */
+export async function checkRateLimit(subject, cost = 1) {
+    const store = getRateLimitStore();
+    const now = Date.now();
+    const dailyKey = `ratelimit:${subject}:d:${new Date(now).toISOString().split('T')[0]}`; // Subject + date
+    const msUntilTomorrow = DAY_MS - (now % DAY_MS);
+
+    try {
+        const minute = await readMinuteWindow(store, subject, now);
+        const dailyCount = await store.get(dailyKey);
+
+        const status = {
+            limit: RATE_LIMIT.maxRequests,
+            remaining: Math.max(0, Math.min(
+                RATE_LIMIT.maxRequests - minute.used,
+                RATE_LIMIT.dailyLimit - dailyCount
+            )),
+            resetSeconds: Math.ceil(minute.resetMs / 1000)
+        };
+
+        // A single request larger than the window can never be served, so
+        // it's flagged tooLarge rather than given a time to retry at
+        if (cost > RATE_LIMIT.maxRequests) {
+            return { ...status, allowed: false, tooLarge: true, reason: `Request too large: ${cost} lookups exceeds the limit of ${RATE_LIMIT.maxRequests} per minute.` };
+        }
+
+        if (dailyCount + cost > RATE_LIMIT.dailyLimit) {
+            const retryAfter = Math.ceil(msUntilTomorrow / 1000);
+            return { ...status, allowed: false, retryAfter, resetSeconds: retryAfter, reason: 'Daily limit exceeded. Try again tomorrow.' };
+        }
+
+        if (minute.used + cost > RATE_LIMIT.maxRequests) {
+            const retryAfter = Math.max(1, Math.ceil(minute.msUntilAvailable(cost) / 1000));
+            return { ...status, allowed: false, retryAfter, reason: `Too many requests. Try again in ${retryAfter} seconds.` };
+        }
+
+        // Minute keys must outlive the next window so the sliding weight can read them
+        await store.increment(minute.currentKey, cost, RATE_LIMIT.windowMs * 2);
+        await store.increment(dailyKey, cost, msUntilTomorrow);
+
+        return { ...status, allowed: true, remaining: Math.max(0, status.remaining - cost) };
+    } catch (error) {
+        logger.error('Rate limit store error', { error });
+        return { allowed: true, limit: RATE_LIMIT.maxRequests, remaining: RATE_LIMIT.maxRequests, resetSeconds: 0 };
+    }
+}
+
+/**
+ * Add cost to a counter shared by everyone using key, in fixed windows of
+ * windowMs (aligned to the epoch, so daily windows roll over at UTC
+ * midnight). Refused attempts still count.
+ * Returns { allowed, used, retryAfter } with retryAfter in seconds until
+ * the window resets. Store errors are thrown for the caller to decide on.
+ */
+export async function consumeQuota(key, cost, limit, windowMs) {
+    const now = Date.now();
+    const windowIndex = Math.floor(now / windowMs);
+    const used = await getRateLimitStore().increment(`quota:${key}:${windowIndex}`, cost, windowMs);
+
+    return {
+        allowed: used <= limit,
+        used,
+        retryAfter: Math.ceil((windowMs - (now % windowMs)) / 1000)
+    };
+}
+
+/**
+ * Count lookups toward the global daily spend ceiling.
+ * Returns { allowed, reason?, retryAfter? }. Unlike the per-subject limits
+ * this fails closed: if usage can't be counted, nothing is looked up.
+ */
+export async function checkSpendCeiling(lookups) {
+    const limit = Math.floor(SPEND_CEILING.dailyUsd / SPEND_CEILING.lookupCostUsd);
+
+    try {
+        const quota = await consumeQuota('spend', lookups, limit, DAY_MS);
+        if (!quota.allowed) {
+            logger.error('Daily spend ceiling reached', { used: quota.used, limit });
+            return { allowed: false, retryAfter: quota.retryAfter, reason: 'The service has reached its daily lookup budget. Try again tomorrow.' };
+        }
+        return { allowed: true };
+    } catch (error) {
+        logger.error('Spend ceiling store error', { error });
+        return { allowed: false, retryAfter: 60, reason: `Lookups are paused because usage can't be checked right now. Try again shortly.` };
+    }
+}
+
+// IETF RateLimit header fields, plus Retry-After on refusals
+export function setRateLimitHeaders(res, rateCheck) {
+    res.setHeader('RateLimit-Policy', `${RATE_LIMIT.maxRequests};w=${RATE_LIMIT.windowMs / 1000}, ${RATE_LIMIT.dailyLimit};w=86400`);
+    res.setHeader('RateLimit-Limit', rateCheck.limit);
+    res.setHeader('RateLimit-Remaining', rateCheck.remaining);
+    res.setHeader('RateLimit-Reset', rateCheck.resetSeconds);
+    if (rateCheck.retryAfter) {
+        res.setHeader('Retry-After', rateCheck.retryAfter);
+    }
+}
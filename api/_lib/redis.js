@@ -0,0 +1,181 @@
+/**
+ * Minimal Redis client (RESP2 over TCP/TLS)
+ * Covers the handful of commands the API routes need without adding a
+ * driver dependency. Works against Redis, Valkey, KeyDB, Upstash's Redis
+ * endpoint, or any local stand-in that speaks the protocol.
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+
+const COMMAND_TIMEOUT_MS = 2000;
+
+export class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return out;
+}
+
+// Returns { value, offset } or null when the buffer holds an incomplete reply
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Unexpected reply type: ${type}`);
+    }
+}
+
+/**
+ * Create a client for a redis:// or rediss:// URL. The connection is
+ * opened lazily on the first command and reopened after errors.
+ */
+export function createRedisClient(url, { commandTimeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+    const { protocol, hostname, port, username, password, pathname } = new URL(url);
+    const database = pathname && pathname.length > 1 ? pathname.slice(1) : null;
+
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    const pending = [];
+
+    function fail(error) {
+        while (pending.length) {
+            pending.shift().reject(error);
+        }
+        buffer = Buffer.alloc(0);
+        if (socket) {
+            socket.destroy();
+            socket = null;
+        }
+    }
+
+    function onData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (pending.length) {
+            let parsed;
+            try {
+                parsed = parseReply(buffer, 0);
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            if (!parsed) break;
+
+            buffer = buffer.subarray(parsed.offset);
+            const { resolve, reject } = pending.shift();
+            if (parsed.value instanceof RedisError) {
+                reject(parsed.value);
+            } else {
+                resolve(parsed.value);
+            }
+        }
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function connect() {
+        const options = { host: hostname, port: Number(port) || 6379 };
+        const connection = protocol === 'rediss:'
+            ? tls.connect({ ...options, servername: hostname })
+            : net.connect(options);
+        socket = connection;
+
+        // Events from a connection that has since been replaced are ignored
+        const failConnection = error => {
+            if (socket === connection) fail(error);
+        };
+
+        connection.setTimeout(commandTimeoutMs);
+        connection.on('timeout', () => {
+            if (pending.length) failConnection(new RedisError('Redis command timed out'));
+        });
+        connection.on('data', chunk => {
+            if (socket === connection) onData(chunk);
+        });
+        connection.on('error', failConnection);
+        connection.on('close', () => failConnection(new RedisError('Redis connection closed')));
+
+        // Queued ahead of the first command; a failure here fails the connection
+        if (password) {
+            const auth = username
+                ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+                : ['AUTH', decodeURIComponent(password)];
+            send(auth).catch(failConnection);
+        }
+        if (database) {
+            send(['SELECT', database]).catch(failConnection);
+        }
+    }
+
+    return {
+        command(...args) {
+            if (!socket) connect();
+            return send(args);
+        },
+
+        close() {
+            if (socket) {
+                socket.end();
+                socket = null;
+            }
+        }
+    };
+}
+
+let sharedClient = null;
+
+// Client for REDIS_URL, shared across invocations of a warm function
+export function getSharedRedisClient() {
+    if (!process.env.REDIS_URL) return null;
+    if (!sharedClient) {
+        sharedClient = createRedisClient(process.env.REDIS_URL);
+    }
+    return sharedClient;
+}
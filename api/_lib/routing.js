@@ -0,0 +1,420 @@
+/**
+ * Routing providers behind the directions lookups
+ * Every provider answers fetchDirections(query, apiKey) with the response
+ * fetchDirections in google.js established, so the handlers and the app
+ * see the same { duration, durationText, distance, distanceText, ... }
+ * whichever backend answered. ROUTING_PROVIDER picks one:
+ *   google   -> Google Directions API (default, needs GOOGLE_API_KEY)
+ *   osrm     -> a self-hosted OSRM instance at OSRM_URL
+ *   valhalla -> a self-hosted Valhalla instance at VALHALLA_URL
+ *   mock     -> deterministic answers from fixtures, for development and tests
+ *
+ * OSRM and Valhalla have no geocoder or live traffic: locations must be
+ * "lat,lng" coordinates, and every traffic model gets the same answer.
+ * "place_id:..." locations (from /api/places) are resolved to what such a
+ * provider takes before it's asked; see resolvePlaceQueries.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import {
+    DirectionsError,
+    fetchDirections,
+    formatDuration,
+    pickFastest,
+    summarizeLegs,
+    toTimestamp
+} from './google.js';
+import { geocode } from './places.js';
+
+const OSRM_PROFILES = { driving: 'driving', bicycling: 'cycling', walking: 'walking' };
+const VALHALLA_COSTING = { driving: 'auto', bicycling: 'bicycle', walking: 'pedestrian' };
+
+const DEFAULT_FIXTURES = new URL('./fixtures/mock-routes.json', import.meta.url);
+
+const MOCK = {
+    minMinutes: 10,             // Drive time range for pairs without a fixture
+    maxMinutes: 50,
+    kmPerMinute: 0.8,           // Distance for pairs without a fixture
+    transitHeadwayMinutes: 15,
+    transitWalkSeconds: 5 * 60
+};
+
+// Extra time at the peaks for each traffic model, on top of the free-flow time
+const MOCK_TRAFFIC_WEIGHTS = { optimistic: 0.6, best_guess: 1, pessimistic: 1.5 };
+
+// Free-flow time multiplier for the modes without traffic
+const MOCK_MODE_FACTORS = { bicycling: 3, walking: 10, transit: 1.4 };
+
+const PLACE_ID_PREFIX = 'place_id:';
+const MAX_RESOLVED_PLACES = 1000;     // Place IDs remembered per function instance
+
+// Turns a query into the stops the route visits, in order
+function listStops({ origin, destination, waypoints = [] }) {
+    return [origin, ...waypoints.map(waypoint => waypoint.location), destination];
+}
+
+// Time spent at the stop leg `index` ends at (none at the destination)
+function dwellSeconds(waypoints, index) {
+    return Math.round((waypoints[index]?.dwellMinutes || 0) * 60);
+}
+
+// "47.61,-122.33" -> { lat, lng }, or null for anything else
+export function parseLatLng(location) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(location);
+    const lat = match && Number(match[1]);
+    const lng = match && Number(match[2]);
+    return match && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+// Anything but coordinates can't be routed without a geocoder
+function parseCoordinates(location, providerName) {
+    const coordinates = parseLatLng(location);
+    if (!coordinates) {
+        throw new DirectionsError(
+            `${providerName} needs coordinates`,
+            `Use "lat,lng" instead of "${location}"`,
+            'ADDRESS_NOT_FOUND'
+        );
+    }
+    return coordinates;
+}
+
+// The body of a provider's reply. A 5xx is the provider failing, not an
+// unroutable trip, and may not be JSON at all (a proxy's error page), so
+// it's reported as UPSTREAM_ERROR either way.
+async function readProviderReply(response, providerName) {
+    const data = await response.json().catch(() => null);
+    if (response.status >= 500 || data === null) {
+        throw new DirectionsError(
+            `${providerName} error: ${response.status}`,
+            data?.message || data?.error || 'The routing service failed to answer',
+            'UPSTREAM_ERROR',
+            String(response.status)
+        );
+    }
+    return data;
+}
+
+/**
+ * Providers are objects with:
+ *   name                        -> part of the cache key, so answers from
+ *                                  different backends never mix
+ *   requiresApiKey              -> whether GOOGLE_API_KEY must be set
+ *   locations                   -> what it takes for a place: 'place_id'
+ *                                  (the default), 'coordinates' or 'address'
+ *   fetchDirections(query, key) -> normalized response, or a DirectionsError
+ * Install one with setRoutingProvider().
+ */
+export function createGoogleProvider() {
+    return {
+        name: 'google',
+        requiresApiKey: true,
+        locations: 'place_id',
+        fetchDirections
+    };
+}
+
+// OSRM's route service (http://project-osrm.org/docs/v5.24.0/api/#route-service).
+// An instance serves the profile it was built with, so use one per mode.
+export function createOsrmProvider(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: 'osrm',
+        requiresApiKey: false,
+        locations: 'coordinates',
+
+        async fetchDirections(query) {
+            const { travelMode = 'driving', waypoints = [] } = query;
+            const profile = OSRM_PROFILES[travelMode];
+            if (!profile) {
+                throw new DirectionsError(`OSRM can't route ${travelMode} trips`);
+            }
+
+            const stops = listStops(query);
+            const coordinates = stops
+                .map(stop => parseCoordinates(stop, 'OSRM'))
+                .map(({ lat, lng }) => `${lng},${lat}`)
+                .join(';');
+            const params = new URLSearchParams({
+                alternatives: waypoints.length === 0 ? 'true' : 'false',
+                overview: 'false',
+                steps: 'false'
+            });
+
+            const response = await fetch(`${root}/route/v1/${profile}/${coordinates}?${params}`);
+            const data = await readProviderReply(response, 'OSRM');
+
+            if (data.code !== 'Ok') {
+                // NoSegment: a coordinate isn't near any road OSRM knows
+                throw new DirectionsError(
+                    `OSRM error: ${data.code || response.status}`,
+                    data.message || 'No route found',
+                    data.code === 'NoSegment' ? 'ADDRESS_NOT_FOUND' : 'ROUTE_NOT_FOUND',
+                    String(data.code || response.status)
+                );
+            }
+
+            return pickFastest((data.routes || []).map(route => summarizeLegs('', route.legs.map((leg, index) => ({
+                startAddress: stops[index],
+                endAddress: stops[index + 1],
+                duration: Math.round(leg.duration),
+                distance: Math.round(leg.distance),
+                dwellSeconds: dwellSeconds(waypoints, index)
+            })))));
+        }
+    };
+}
+
+// Valhalla's route action (https://valhalla.github.io/valhalla/api/turn-by-turn/api-reference/)
+export function createValhallaProvider(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: 'valhalla',
+        requiresApiKey: false,
+        locations: 'coordinates',
+
+        async fetchDirections(query) {
+            const { travelMode = 'driving', waypoints = [] } = query;
+            const costing = VALHALLA_COSTING[travelMode];
+            if (!costing) {
+                throw new DirectionsError(`Valhalla can't route ${travelMode} trips`);
+            }
+
+            const stops = listStops(query);
+            const response = await fetch(`${root}/route`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    locations: stops.map(stop => {
+                        const { lat, lng } = parseCoordinates(stop, 'Valhalla');
+                        return { lat, lon: lng, type: 'break' };
+                    }),
+                    costing,
+                    // Alternates are only computed between two locations
+                    alternates: waypoints.length === 0 ? 2 : 0,
+                    units: 'kilometers',
+                    directions_type: 'none'
+                })
+            });
+            const data = await readProviderReply(response, 'Valhalla');
+
+            if (!response.ok || !data.trip) {
+                throw new DirectionsError(
+                    `Valhalla error: ${data.error_code || response.status}`,
+                    data.error || 'No route found',
+                    'ROUTE_NOT_FOUND',
+                    String(data.error_code || response.status)
+                );
+            }
+
+            const trips = [data.trip, ...(data.alternates || []).map(alternate => alternate.trip)];
+            return pickFastest(trips.map(trip => summarizeLegs('', trip.legs.map((leg, index) => ({
+                startAddress: stops[index],
+                endAddress: stops[index + 1],
+                duration: Math.round(leg.summary.time),
+                distance: Math.round(leg.summary.length * 1000),
+                dwellSeconds: dwellSeconds(waypoints, index)
+            })))));
+        }
+    };
+}
+
+function normalizeStop(location) {
+    return String(location).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Congestion from 0 to 1 over the day (UTC), peaking around 08:00 and 17:30
+function mockCongestion(timestamp) {
+    const minutes = (timestamp / 60) % (24 * 60);
+    const peak = (center, width) => Math.exp(-(((minutes - center) / width) ** 2));
+    return Math.min(1, peak(8 * 60, 60) + 0.8 * peak(17.5 * 60, 75));
+}
+
+/**
+ * Deterministic answers for development and tests, without any network.
+ * Fixtures ({ origin, destination, durationMinutes, distanceKm, summary })
+ * set the free-flow drive between two stops, in either direction; other
+ * pairs get a stable time derived from their addresses. Driving adds
+ * congestion by departure time and traffic model, and transit leaves on a
+ * fixed headway.
+ */
+export function createMockProvider({ fixtures = [] } = {}) {
+    const fixtureIndex = new Map();
+    fixtures.forEach(fixture => {
+        const pair = [normalizeStop(fixture.origin), normalizeStop(fixture.destination)];
+        fixtureIndex.set(pair.join('|'), fixture);
+        fixtureIndex.set([...pair].reverse().join('|'), fixture);
+    });
+
+    function lookupPair(from, to) {
+        const fixture = fixtureIndex.get(`${normalizeStop(from)}|${normalizeStop(to)}`);
+        if (fixture) {
+            return {
+                summary: fixture.summary || '',
+                seconds: Math.round(fixture.durationMinutes * 60),
+                distance: Math.round(fixture.distanceKm * 1000)
+            };
+        }
+
+        // Sorted so a pair takes the same time in both directions
+        const key = [normalizeStop(from), normalizeStop(to)].sort().join('|');
+        const hash = createHash('sha256').update(key).digest().readUInt32BE(0);
+        const minutes = MOCK.minMinutes + (hash % ((MOCK.maxMinutes - MOCK.minMinutes) * 60)) / 60;
+        return {
+            summary: '',
+            seconds: Math.round(minutes * 60),
+            distance: Math.round(minutes * MOCK.kmPerMinute * 1000)
+        };
+    }
+
+    return {
+        name: 'mock',
+        requiresApiKey: false,
+        locations: 'address',     // Fixtures are written as addresses
+
+        async fetchDirections(query) {
+            const { trafficModel, travelMode = 'driving', waypoints = [] } = query;
+            const departureTimestamp = toTimestamp(query.departureTime);
+            const stops = listStops(query);
+
+            const pairs = stops.slice(1).map((stop, index) => lookupPair(stops[index], stop));
+
+            let elapsed = 0;
+            const legs = pairs.map((pair, index) => {
+                const duration = travelMode === 'driving'
+                    ? Math.round(pair.seconds * (1 + mockCongestion(departureTimestamp + elapsed) * MOCK_TRAFFIC_WEIGHTS[trafficModel || 'best_guess']))
+                    : Math.round(pair.seconds * MOCK_MODE_FACTORS[travelMode]);
+                const leg = {
+                    startAddress: stops[index],
+                    endAddress: stops[index + 1],
+                    duration,
+                    distance: pair.distance,
+                    dwellSeconds: dwellSeconds(waypoints, index)
+                };
+                elapsed += leg.duration + leg.dwellSeconds;
+                return leg;
+            });
+
+            const summary = pairs.map(pair => pair.summary).filter(Boolean).join(', ');
+            const route = summarizeLegs(summary, legs);
+            if (travelMode !== 'transit') {
+                return pickFastest([route]);
+            }
+
+            // Wait for the next departure, ride, then walk the last stretch
+            const headway = MOCK.transitHeadwayMinutes * 60;
+            const boardTimestamp = Math.ceil(departureTimestamp / headway) * headway;
+            const arrivalTimestamp = boardTimestamp + route.duration + MOCK.transitWalkSeconds;
+            const duration = arrivalTimestamp - departureTimestamp;
+
+            return pickFastest([{
+                ...route,
+                summary: route.summary || 'Mock Line',
+                duration,
+                durationText: formatDuration(duration),
+                transit: {
+                    departureTime: new Date(boardTimestamp * 1000).toISOString(),
+                    arrivalTime: new Date(arrivalTimestamp * 1000).toISOString(),
+                    transfers: 0,
+                    walkingSeconds: MOCK.transitWalkSeconds,
+                    lines: ['Mock Line']
+                }
+            }]);
+        }
+    };
+}
+
+// Fixtures file: { "routes": [{ origin, destination, durationMinutes, distanceKm, summary }] }
+export function loadMockFixtures(path = DEFAULT_FIXTURES) {
+    return JSON.parse(readFileSync(path, 'utf8')).routes || [];
+}
+
+let routingProvider = null;
+
+export function getRoutingProvider() {
+    if (!routingProvider) {
+        const name = process.env.ROUTING_PROVIDER || 'google';
+        if (name === 'google') {
+            routingProvider = createGoogleProvider();
+        } else if (name === 'osrm') {
+            routingProvider = createOsrmProvider(process.env.OSRM_URL || 'http://localhost:5000');
+        } else if (name === 'valhalla') {
+            routingProvider = createValhallaProvider(process.env.VALHALLA_URL || 'http://localhost:8002');
+        } else if (name === 'mock') {
+            routingProvider = createMockProvider({ fixtures: loadMockFixtures(process.env.MOCK_ROUTES_FILE) });
+        } else {
+            throw new Error(`Unknown ROUTING_PROVIDER: ${name}`);
+        }
+    }
+    return routingProvider;
+}
+
+export function setRoutingProvider(provider) {
+    routingProvider = provider;
+}
+
+// Place IDs rarely change, so each is geocoded once per instance; the
+// lookup is shared by the slots of a batch asking at the same time
+const resolvedPlaces = new Map();
+
+function resolvePlace(placeId, apiKey) {
+    if (!resolvedPlaces.has(placeId)) {
+        if (resolvedPlaces.size >= MAX_RESOLVED_PLACES) {
+            resolvedPlaces.delete(resolvedPlaces.keys().next().value);
+        }
+        resolvedPlaces.set(placeId, geocode({ placeId }, apiKey).catch(error => {
+            resolvedPlaces.delete(placeId);
+            throw error;
+        }));
+    }
+    return resolvedPlaces.get(placeId);
+}
+
+/**
+ * The query with its "place_id:..." locations swapped for what the provider
+ * takes instead: "lat,lng" for OSRM and Valhalla, the formatted address for
+ * the mock. Place IDs only come from Google, so resolving them needs
+ * GOOGLE_API_KEY; without it they're passed on as they are.
+ */
+export async function resolvePlaceQueries(query, provider, apiKey) {
+    const format = provider.locations || 'place_id';
+    if (format === 'place_id' || !apiKey) return query;
+
+    const resolve = async location => {
+        if (!String(location).startsWith(PLACE_ID_PREFIX)) return location;
+        let place;
+        try {
+            place = await resolvePlace(location.slice(PLACE_ID_PREFIX.length), apiKey);
+        } catch (error) {
+            const code = ['PLACE_NOT_FOUND', 'INVALID_FIELD'].includes(error.code) ? 'ADDRESS_NOT_FOUND' : error.code;
+            throw new DirectionsError('Place not found', error.message, code || 'UPSTREAM_ERROR');
+        }
+        return format === 'coordinates' ? `${place.location.lat},${place.location.lng}` : place.address;
+    };
+
+    const stops = await Promise.all(listStops(query).map(resolve));
+    return {
+        ...query,
+        origin: stops[0],
+        destination: stops[stops.length - 1],
+        waypoints: (query.waypoints || []).map((waypoint, index) => ({ ...waypoint, location: stops[index + 1] }))
+    };
+}
+
+/**
+ * Why the configured provider can't answer in this environment, or null.
+ * Handlers report it as a server configuration error.
+ */
+export function getRoutingConfigError() {
+    try {
+        if (getRoutingProvider().requiresApiKey && !process.env.GOOGLE_API_KEY) {
+            return 'GOOGLE_API_KEY environment variable not set';
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
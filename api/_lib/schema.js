@@ -0,0 +1,80 @@
+/**
+ * Request body validation for the API routes
+ * A schema maps every field a body may have to a rule:
+ *   type      -> 'string', 'integer', 'number', 'array' or 'object', or a list of them
+ *   required  -> must be present (strings must also be non-blank)
+ *   maxLength -> for strings and arrays
+ *   enum      -> the allowed values
+ *   validate  -> (value, body) => error or null, run after the checks above
+ * Fields the schema doesn't list are rejected. Errors are
+ * { code, message, details } using the codes in errors.js.
+ */
+
+// How each type is named in error messages
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    array: 'a list',
+    object: 'an object'
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+function checkField(field, value, rule, body) {
+    const types = [].concat(rule.type);
+    if (!types.some(type => matchesType(value, type))) {
+        return { code: 'INVALID_FIELD', message: `${field} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { code: 'INVALID_FIELD', message: `${field} must be at most ${rule.maxLength} ${typeof value === 'string' ? 'characters' : 'items'}` };
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { code: 'INVALID_FIELD', message: `${field} must be one of: ${rule.enum.join(', ')}` };
+    }
+    return rule.validate?.(value, body) || null;
+}
+
+/**
+ * Check a body against a schema.
+ * Returns the first problem as { code, message, details }, or null.
+ */
+export function validateBody(body, schema) {
+    if (!matchesType(body, 'object')) {
+        return { code: 'INVALID_BODY', message: 'Request body must be a JSON object' };
+    }
+
+    const unknown = Object.keys(body).find(field => !Object.hasOwn(schema, field));
+    if (unknown) {
+        return { code: 'UNKNOWN_FIELD', message: `Unknown field: ${unknown}`, details: { field: unknown } };
+    }
+
+    const missing = Object.keys(schema).filter(field => schema[field].required && isMissing(body[field]));
+    if (missing.length > 0) {
+        return { code: 'MISSING_FIELD', message: `Missing required fields: ${missing.join(', ')}`, details: { fields: missing } };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        if (body[field] === undefined) continue;
+
+        const error = checkField(field, body[field], rule, body);
+        if (error) {
+            return { code: error.code, message: error.message, details: { field, ...error.details } };
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Watched-route subscriptions for background monitoring
+ * One subscription per browser push endpoint and route. Stored in memory
+ * by default, in a Redis hash when REDIS_URL is set so the scheduled
+ * monitor sees subscriptions made through any function instance.
+ *
+ * Each subscription records the session subject (see access.js) that made
+ * it. The monitor looks up every watched route twice a day, so a subject
+ * may only watch SUBSCRIPTIONS_PER_TOKEN routes (default 10).
+ */
+
+import { createHash } from 'node:crypto';
+import { getSharedRedisClient } from './redis.js';
+import { TRAVEL_MODES, TRAFFIC_MODELS, WAYPOINT_LIMITS, validateTravelMode, validateWaypoints } from './google.js';
+import { isPushServiceEndpoint } from './push.js';
+
+export const SUBSCRIPTION_LIMITS = {
+    maxPerOwner: Number(process.env.SUBSCRIPTIONS_PER_TOKEN) || 10
+};
+
+const REDIS_KEY = 'push:subscriptions';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Hashed so the store doesn't need the raw push endpoint as a key
+export function getSubscriptionId(endpoint, routeId) {
+    return createHash('sha256').update(`${endpoint}|${routeId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Subscription stores are async adapters:
+ *   get(id)            -> subscription, or undefined
+ *   save(subscription) -> stores it under subscription.id
+ *   remove(id)         -> deletes it
+ *   list()             -> every subscription
+ */
+export function createMemorySubscriptionStore() {
+    const subscriptions = new Map();
+
+    return {
+        async get(id) {
+            return subscriptions.get(id);
+        },
+
+        async save(subscription) {
+            subscriptions.set(subscription.id, subscription);
+        },
+
+        async remove(id) {
+            subscriptions.delete(id);
+        },
+
+        async list() {
+            return [...subscriptions.values()];
+        }
+    };
+}
+
+export function createRedisSubscriptionStore(client) {
+    return {
+        async get(id) {
+            const value = await client.command('HGET', REDIS_KEY, id);
+            return value ? JSON.parse(value) : undefined;
+        },
+
+        async save(subscription) {
+            await client.command('HSET', REDIS_KEY, subscription.id, JSON.stringify(subscription));
+        },
+
+        async remove(id) {
+            await client.command('HDEL', REDIS_KEY, id);
+        },
+
+        async list() {
+            // HGETALL replies with alternating field/value entries
+            const entries = await client.command('HGETALL', REDIS_KEY) || [];
+            return entries.filter((_, index) => index % 2 === 1).map(value => JSON.parse(value));
+        }
+    };
+}
+
+let subscriptionStore = null;
+
+export function getSubscriptionStore() {
+    if (!subscriptionStore) {
+        const redis = getSharedRedisClient();
+        subscriptionStore = redis ? createRedisSubscriptionStore(redis) : createMemorySubscriptionStore();
+    }
+    return subscriptionStore;
+}
+
+export function setSubscriptionStore(store) {
+    subscriptionStore = store;
+}
+
+export async function countSubscriptions(store, owner) {
+    return (await store.list()).filter(subscription => subscription.owner === owner).length;
+}
+
+const LOCAL_ENDPOINT_PATTERN = /^local:[a-z0-9]{1,64}$/;
+
+function isLocation(value) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= WAYPOINT_LIMITS.maxLocationLength;
+}
+
+function validateWindow(window) {
+    return window && TIME_PATTERN.test(window.start) && TIME_PATTERN.test(window.end) && window.start <= window.end;
+}
+
+/**
+ * Check a subscribe request body:
+ *   { subscription: { endpoint, keys: { p256dh, auth } }, routeId,
+ *     route: { name, origin, destination, waypoints, travelMode, trafficModel },
+ *     windows: { morning: { start, end }, evening: { start, end } },
+ *     timezoneOffset }
+ * With webPush (VAPID keys configured) the endpoint must be an https URL
+ * on a known push service; without, only the app's `local:` placeholders
+ * are accepted, since nothing is delivered to them.
+ * Returns an error message, or null if it's usable.
+ */
+export function validateSubscribeRequest(body, { webPush }) {
+    const { subscription, routeId, route, windows, timezoneOffset } = body || {};
+
+    if (!subscription || typeof subscription.endpoint !== 'string' ||
+        !subscription.keys?.p256dh || !subscription.keys?.auth) {
+        return 'subscription must be a push subscription with an endpoint and keys';
+    }
+    if (webPush ? !isPushServiceEndpoint(subscription.endpoint) : !LOCAL_ENDPOINT_PATTERN.test(subscription.endpoint)) {
+        return webPush
+            ? 'subscription endpoint must be an https URL on a known push service'
+            : 'subscription endpoint must be a local: placeholder when push is not configured';
+    }
+
+    if (!routeId || typeof routeId !== 'string') {
+        return 'Missing required field: routeId';
+    }
+
+    if (!isLocation(route?.origin) || !isLocation(route?.destination)) {
+        return `route.origin and route.destination must be 1-${WAYPOINT_LIMITS.maxLocationLength} characters`;
+    }
+
+    const waypointError = validateWaypoints(route.waypoints);
+    if (waypointError) return waypointError;
+
+    if (route.travelMode !== undefined) {
+        const travelModeError = validateTravelMode(route.travelMode, route.waypoints);
+        if (travelModeError) return travelModeError;
+    }
+
+    if (route.trafficModel !== undefined && !TRAFFIC_MODELS.includes(route.trafficModel)) {
+        return `route.trafficModel must be one of: ${TRAFFIC_MODELS.join(', ')}`;
+    }
+
+    if (!validateWindow(windows?.morning) || !validateWindow(windows?.evening)) {
+        return 'windows.morning and windows.evening need start and end times (HH:MM)';
+    }
+
+    if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+        return 'timezoneOffset must be minutes, as returned by Date#getTimezoneOffset';
+    }
+
+    return null;
+}
+
+// The stored form of a validated subscribe request made by owner
+export function buildSubscription(body, owner, existing = null) {
+    const { subscription, routeId, route, windows, timezoneOffset } = body;
+
+    return {
+        id: getSubscriptionId(subscription.endpoint, routeId),
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        routeId: routeId,
+        owner: owner,
+        route: {
+            name: String(route.name || '').slice(0, 100),
+            origin: route.origin,
+            destination: route.destination,
+            waypoints: route.waypoints || [],
+            travelMode: TRAVEL_MODES.includes(route.travelMode) ? route.travelMode : 'driving',
+            trafficModel: route.trafficModel || 'best_guess'
+        },
+        windows: {
+            morning: { start: windows.morning.start, end: windows.morning.end },
+            evening: { start: windows.evening.start, end: windows.evening.end }
+        },
+        timezoneOffset: timezoneOffset,
+        // Local date each direction was last notified, so alerts go out once a day
+        notified: existing?.notified || {},
+        createdAt: existing?.createdAt || new Date().toISOString()
+    };
+}
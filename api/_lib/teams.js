@@ -0,0 +1,355 @@
+/**
+ * Team workspaces: one shared office destination and each member's
+ * commute origin, so a team can plan in-office days and meeting times
+ * together. Anyone with a team's id can view and join it, so ids are
+ * random and too long to guess; a member can only be changed or removed by
+ * the session that added it. Origins are where people live, so they
+ * never leave the server: teams are sent as toPublicTeam, and commutes are
+ * looked up server-side by /api/team-window.
+ *
+ * Stored in a Redis hash when REDIS_URL is set. Otherwise teams go to a
+ * JSON file (TEAM_STORE_FILE, default .data/teams.json) so they survive
+ * restarts when running locally; deployments without either keep them in
+ * memory, where they last as long as the function instance.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { getSharedRedisClient } from './redis.js';
+import { TRAVEL_MODES } from './google.js';
+
+const REDIS_KEY = 'teams';
+const DEFAULT_FILE = '.data/teams.json';
+const ID_PATTERN = /^[a-f0-9]{16,64}$/;
+const PLACE_ID_PATTERN = /^[\w-]+$/;
+
+export const TEAM_LIMITS = {
+    maxMembers: 50,
+    maxNameLength: 100,
+    maxAddressLength: 200
+};
+
+export function createId() {
+    return randomBytes(16).toString('hex');
+}
+
+export function isId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Team stores are async adapters:
+ *   get(id)            -> team, or undefined
+ *   save(team)         -> stores it under team.id
+ *   update(id, change) -> calls change(team) with the stored team (undefined
+ *                         if there is none) and stores what it returns,
+ *                         unless that's null. Atomic, so concurrent member
+ *                         changes don't overwrite each other; change may be
+ *                         called again if the team changed in between.
+ *                         Resolves to what change returned.
+ *   remove(id)         -> deletes it
+ */
+export function createMemoryTeamStore() {
+    const teams = new Map();
+
+    return {
+        async get(id) {
+            return teams.get(id);
+        },
+
+        async save(team) {
+            teams.set(team.id, team);
+        },
+
+        async update(id, change) {
+            const next = change(teams.get(id));
+            if (next) teams.set(id, next);
+            return next;
+        },
+
+        async remove(id) {
+            teams.delete(id);
+        }
+    };
+}
+
+// Writes ARGV[3] to the team only if it still reads ARGV[2] ('' for none).
+// The client pipelines every request over one connection, so WATCH/MULTI
+// from concurrent requests would interleave; a script runs atomically.
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call('HGET', KEYS[1], ARGV[1]) or '') ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+const MAX_UPDATE_ATTEMPTS = 10;      // Each failed attempt means another change went in
+
+export function createRedisTeamStore(client) {
+    return {
+        async get(id) {
+            const value = await client.command('HGET', REDIS_KEY, id);
+            return value ? JSON.parse(value) : undefined;
+        },
+
+        async save(team) {
+            await client.command('HSET', REDIS_KEY, team.id, JSON.stringify(team));
+        },
+
+        async update(id, change) {
+            for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+                const value = await client.command('HGET', REDIS_KEY, id);
+                const next = change(value ? JSON.parse(value) : undefined);
+                if (!next) return next;
+
+                const written = await client.command('EVAL', COMPARE_AND_SET_SCRIPT, 1, REDIS_KEY, id, value || '', JSON.stringify(next));
+                if (written === 1) return next;
+            }
+            throw new Error(`Team ${id} kept changing during the update`);
+        },
+
+        async remove(id) {
+            await client.command('HDEL', REDIS_KEY, id);
+        }
+    };
+}
+
+// Every team in one JSON object keyed by id. Writes go through a temporary
+// file and a rename so a crash never leaves half a file, and are queued so
+// concurrent requests in this process don't overwrite each other.
+export function createFileTeamStore(path) {
+    let pending = Promise.resolve();
+
+    async function readAll() {
+        try {
+            return JSON.parse(await readFile(path, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    function write(change) {
+        const next = pending.then(async () => {
+            const teams = await readAll();
+            change(teams);
+            await mkdir(dirname(path), { recursive: true });
+            await writeFile(`${path}.tmp`, JSON.stringify(teams, null, 2));
+            await rename(`${path}.tmp`, path);
+        });
+        pending = next.catch(() => {});
+        return next;
+    }
+
+    return {
+        async get(id) {
+            await pending;
+            const teams = await readAll();
+            return Object.hasOwn(teams, id) ? teams[id] : undefined;
+        },
+
+        async save(team) {
+            await write(teams => {
+                teams[team.id] = team;
+            });
+        },
+
+        // Runs inside the write queue, so no other change lands in between
+        async update(id, change) {
+            let next = null;
+            await write(teams => {
+                next = change(Object.hasOwn(teams, id) ? teams[id] : undefined);
+                if (next) teams[id] = next;
+            });
+            return next;
+        },
+
+        async remove(id) {
+            await write(teams => {
+                delete teams[id];
+            });
+        }
+    };
+}
+
+let teamStore = null;
+
+export function getTeamStore() {
+    if (!teamStore) {
+        const redis = getSharedRedisClient();
+        if (redis) {
+            teamStore = createRedisTeamStore(redis);
+        } else if (process.env.TEAM_STORE_FILE || !process.env.VERCEL) {
+            teamStore = createFileTeamStore(process.env.TEAM_STORE_FILE || DEFAULT_FILE);
+        } else {
+            teamStore = createMemoryTeamStore();
+        }
+    }
+    return teamStore;
+}
+
+export function setTeamStore(store) {
+    teamStore = store;
+}
+
+function isText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+function isPlace(place) {
+    return place === undefined || place === null || (
+        typeof place === 'object' &&
+        typeof place.placeId === 'string' && PLACE_ID_PATTERN.test(place.placeId) &&
+        (place.lat === undefined || place.lat === null || Number.isFinite(place.lat)) &&
+        (place.lng === undefined || place.lng === null || Number.isFinite(place.lng))
+    );
+}
+
+function toPlace(place) {
+    if (!place) return null;
+    return {
+        placeId: place.placeId,
+        lat: Number.isFinite(place.lat) ? place.lat : null,
+        lng: Number.isFinite(place.lng) ? place.lng : null
+    };
+}
+
+/**
+ * Check a create-team body: { name, destination, destinationPlace? }.
+ * Returns an error message, or null if it's usable.
+ */
+export function validateTeamRequest(body) {
+    const { name, destination, destinationPlace } = body || {};
+
+    if (!isText(name, TEAM_LIMITS.maxNameLength)) {
+        return `name must be 1-${TEAM_LIMITS.maxNameLength} characters`;
+    }
+    if (!isText(destination, TEAM_LIMITS.maxAddressLength)) {
+        return `destination must be 1-${TEAM_LIMITS.maxAddressLength} characters`;
+    }
+    if (!isPlace(destinationPlace)) {
+        return 'destinationPlace must be { placeId, lat, lng }';
+    }
+
+    return null;
+}
+
+/**
+ * Check a member: { id?, name, origin, originPlace?, travelMode? }.
+ * Returns an error message, or null if it's usable.
+ */
+export function validateMember(member) {
+    if (!member || typeof member !== 'object') {
+        return 'Missing required field: member';
+    }
+    if (member.id !== undefined && !isId(member.id)) {
+        return 'member.id is not a valid id';
+    }
+    if (!isText(member.name, TEAM_LIMITS.maxNameLength)) {
+        return `member.name must be 1-${TEAM_LIMITS.maxNameLength} characters`;
+    }
+    if (!isText(member.origin, TEAM_LIMITS.maxAddressLength)) {
+        return `member.origin must be 1-${TEAM_LIMITS.maxAddressLength} characters`;
+    }
+    if (!isPlace(member.originPlace)) {
+        return 'member.originPlace must be { placeId, lat, lng }';
+    }
+    if (member.travelMode !== undefined && !TRAVEL_MODES.includes(member.travelMode)) {
+        return `member.travelMode must be one of: ${TRAVEL_MODES.join(', ')}`;
+    }
+
+    return null;
+}
+
+// The stored form of a validated create-team request
+export function buildTeam(body) {
+    const now = new Date().toISOString();
+
+    return {
+        id: createId(),
+        name: body.name.trim(),
+        destination: body.destination.trim(),
+        destinationPlace: toPlace(body.destinationPlace),
+        members: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Only the session that added a member may change or remove it
+function ownershipError(member, owner) {
+    return member.owner === owner
+        ? null
+        : { error: 'Only the person who added this member can change it', code: 'NOT_MEMBER_OWNER' };
+}
+
+/**
+ * Add a validated member to a team on behalf of owner (the session subject,
+ * see access.js), or update the one with the same id if owner added it.
+ * Returns { team, memberId }, or { error, code } when the team is full or
+ * the member belongs to someone else.
+ */
+export function upsertMember(team, member, owner) {
+    const existing = member.id && team.members.find(candidate => candidate.id === member.id);
+    if (existing) {
+        const error = ownershipError(existing, owner);
+        if (error) return error;
+    } else if (team.members.length >= TEAM_LIMITS.maxMembers) {
+        return { error: `Teams are limited to ${TEAM_LIMITS.maxMembers} members`, code: 'INVALID_FIELD' };
+    }
+
+    const stored = {
+        id: existing ? existing.id : createId(),
+        owner: owner,
+        name: member.name.trim(),
+        origin: member.origin.trim(),
+        originPlace: toPlace(member.originPlace),
+        travelMode: member.travelMode || 'driving'
+    };
+    const members = existing
+        ? team.members.map(candidate => candidate.id === stored.id ? stored : candidate)
+        : [...team.members, stored];
+
+    return {
+        team: { ...team, members, updatedAt: new Date().toISOString() },
+        memberId: stored.id
+    };
+}
+
+// A team as sent to clients: members by name and travel mode only, without
+// where they live or which session added them
+export function toPublicTeam(team) {
+    return {
+        ...team,
+        members: team.members.map(member => ({
+            id: member.id,
+            name: member.name,
+            travelMode: member.travelMode
+        }))
+    };
+}
+
+// Where a member's lookup starts: the place ID when the address was resolved
+export function getMemberOrigin(member) {
+    return member.originPlace?.placeId ? `place_id:${member.originPlace.placeId}` : member.origin;
+}
+
+export function getTeamDestination(team) {
+    return team.destinationPlace?.placeId ? `place_id:${team.destinationPlace.placeId}` : team.destination;
+}
+
+/**
+ * Remove a member owner added. Returns { team }, or { error, code } when
+ * the member belongs to someone else; removing one that's gone is a no-op.
+ */
+export function removeMember(team, memberId, owner) {
+    const member = team.members.find(candidate => candidate.id === memberId);
+    const error = member && ownershipError(member, owner);
+    if (error) return error;
+
+    return {
+        team: {
+            ...team,
+            members: team.members.filter(candidate => candidate.id !== memberId),
+            updatedAt: new Date().toISOString()
+        }
+    };
+}
@@ -1,141 +1,126 @@
 /**
  * Vercel Serverless Function: Directions API Proxy
- * Securely calls Google Directions API without exposing API key to clients
- * Includes rate limiting to prevent abuse
+ * Calls the configured routing provider (Google by default, see
+ * _lib/routing.js) without exposing API keys to clients
+ * Callers need an allowed origin and a session token (_lib/access.js);
+ * lookups are rate limited per token and cached
+ *
+ * Bodies are checked against DIRECTIONS_SCHEMA before anything is looked
+ * up, and errors use the envelope in _lib/errors.js. The contract is
+ * described in public/openapi.json. Each request is logged as one JSON line
+ * with the addresses hashed (_lib/log.js) and counted in /api/metrics.
  */
 
-// Simple in-memory rate limiter
-// Note: In serverless, this resets on cold starts. For production-scale apps,
-// consider using Vercel KV or Upstash Redis for persistent rate limiting.
-const rateLimitMap = new Map();
-const RATE_LIMIT = {
-    windowMs: 60 * 1000,      // 1 minute window
-    maxRequests: 60,          // Max 60 requests per minute per IP (enough for 1 stacked analysis)
-    dailyLimit: 1000          // Max 1000 requests per day per IP (~20 stacked analyses)
+import { checkAccess } from './_lib/access.js';
+import {
+    DirectionsError,
+    TRAFFIC_MODELS,
+    TRAVEL_MODES,
+    validateTravelMode,
+    validateWaypoints
+} from './_lib/google.js';
+import { fetchDirectionsCached } from './_lib/cache.js';
+import { getRoutingConfigError } from './_lib/routing.js';
+import { sendError } from './_lib/errors.js';
+import { validateBody } from './_lib/schema.js';
+import { instrument } from './_lib/metrics.js';
+import { addLogFields, hashForLog, logger } from './_lib/log.js';
+
+const DIRECTIONS_LIMITS = {
+    maxLocationLength: 200,
+    maxDaysAhead: 365         // Furthest departure that can be asked about
 };
 
-function getRateLimitKey(ip) {
-    return `${ip}_${new Date().toISOString().split('T')[0]}`; // IP + date
-}
+// "2025-01-15T08:30:00Z", with optional seconds, fraction and offset
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
 
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const dailyKey = getRateLimitKey(ip);
+// ISO 8601 strings or Unix seconds, from now up to maxDaysAhead
+function checkDepartureTime(departureTime) {
+    const timestamp = typeof departureTime === 'string'
+        ? (ISO_DATE_TIME.test(departureTime) ? Date.parse(departureTime) : NaN)
+        : departureTime * 1000;
 
-    // Get or create rate limit entry
-    if (!rateLimitMap.has(ip)) {
-        rateLimitMap.set(ip, { count: 0, windowStart: now, dailyKey, dailyCount: 0 });
+    if (!Number.isFinite(timestamp)) {
+        return {
+            code: 'INVALID_DEPARTURE_TIME',
+            message: 'departureTime must be an ISO 8601 date-time with a timezone, or Unix seconds'
+        };
     }
 
-    const entry = rateLimitMap.get(ip);
-
-    // Reset daily count if it's a new day
-    if (entry.dailyKey !== dailyKey) {
-        entry.dailyKey = dailyKey;
-        entry.dailyCount = 0;
-    }
-
-    // Reset window if expired
-    if (now - entry.windowStart > RATE_LIMIT.windowMs) {
-        entry.count = 0;
-        entry.windowStart = now;
+    const now = Date.now();
+    if (timestamp <= now) {
+        return { code: 'INVALID_DEPARTURE_TIME', message: 'departureTime must be in the future' };
     }
-
-    // Check limits
-    if (entry.dailyCount >= RATE_LIMIT.dailyLimit) {
-        return { allowed: false, reason: 'Daily limit exceeded. Try again tomorrow.' };
+    if (timestamp > now + DIRECTIONS_LIMITS.maxDaysAhead * 24 * 60 * 60 * 1000) {
+        return {
+            code: 'INVALID_DEPARTURE_TIME',
+            message: `departureTime must be within ${DIRECTIONS_LIMITS.maxDaysAhead} days`
+        };
     }
+    return null;
+}
 
-    if (entry.count >= RATE_LIMIT.maxRequests) {
-        const retryAfter = Math.ceil((entry.windowStart + RATE_LIMIT.windowMs - now) / 1000);
-        return { allowed: false, reason: `Too many requests. Try again in ${retryAfter} seconds.` };
+const DIRECTIONS_SCHEMA = {
+    origin: { type: 'string', required: true, maxLength: DIRECTIONS_LIMITS.maxLocationLength },
+    destination: { type: 'string', required: true, maxLength: DIRECTIONS_LIMITS.maxLocationLength },
+    departureTime: { type: ['string', 'integer'], required: true, validate: checkDepartureTime },
+    trafficModel: { type: 'string', enum: TRAFFIC_MODELS },
+    travelMode: { type: 'string', enum: TRAVEL_MODES },
+    waypoints: {
+        type: 'array',
+        validate: (waypoints, body) => {
+            const message = validateWaypoints(waypoints) || validateTravelMode(body.travelMode || 'driving', waypoints);
+            return message && { code: 'INVALID_FIELD', message };
+        }
     }
+};
 
-    // Increment counters
-    entry.count++;
-    entry.dailyCount++;
+export default instrument('directions', handler);
 
-    return { allowed: true };
-}
-
-export default async function handler(req, res) {
+async function handler(req, res) {
     // Only allow POST requests
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
-
-    // Get client IP
-    const ip = req.headers['x-forwarded-for']?.split(',')[0] ||
-        req.headers['x-real-ip'] ||
-        req.socket?.remoteAddress ||
-        'unknown';
-
-    // Check rate limit
-    const rateCheck = checkRateLimit(ip);
-    if (!rateCheck.allowed) {
-        return res.status(429).json({ error: rateCheck.reason });
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
     }
 
-    const { origin, destination, departureTime, trafficModel } = req.body;
-
-    // Validate required fields
-    if (!origin || !destination || !departureTime) {
-        return res.status(400).json({
-            error: 'Missing required fields: origin, destination, departureTime'
-        });
+    // Check origin, session token, quota and spend ceiling
+    const denied = await checkAccess(req, res);
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
     }
 
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) {
-        console.error('GOOGLE_API_KEY environment variable not set');
-        return res.status(500).json({ error: 'Server configuration error' });
+    const invalid = validateBody(req.body, DIRECTIONS_SCHEMA);
+    if (invalid) {
+        return sendError(res, invalid.code, invalid.message, invalid.details);
     }
 
-    // Convert departureTime to Unix timestamp if it's an ISO string
-    let departureTimestamp = departureTime;
-    if (typeof departureTime === 'string') {
-        departureTimestamp = Math.floor(new Date(departureTime).getTime() / 1000);
-    }
-
-    // Build Google Directions API URL
-    const params = new URLSearchParams({
-        origin: origin,
-        destination: destination,
-        departure_time: departureTimestamp,
-        traffic_model: trafficModel || 'best_guess',
-        key: apiKey
+    const { origin, destination, departureTime, trafficModel, travelMode = 'driving', waypoints = [] } = req.body;
+    addLogFields({
+        origin: hashForLog(origin),
+        destination: hashForLog(destination),
+        stops: waypoints.length,
+        travelMode,
+        trafficModel
     });
 
-    const url = `https://maps.googleapis.com/maps/api/directions/json?${params}`;
+    const configError = getRoutingConfigError();
+    if (configError) {
+        logger.error('Server configuration error', { reason: configError });
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+    const apiKey = process.env.GOOGLE_API_KEY;
 
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.status !== 'OK') {
-            return res.status(400).json({
-                error: `Google API error: ${data.status}`,
-                details: data.error_message || 'No route found'
-            });
-        }
-
-        // Extract the duration with traffic
-        const leg = data.routes[0]?.legs[0];
-        if (!leg) {
-            return res.status(400).json({ error: 'No route found' });
+        const { result, cacheHit } = await fetchDirectionsCached({ origin, destination, departureTime, trafficModel, travelMode, waypoints }, apiKey);
+        res.setHeader('X-Cache', cacheHit ? 'HIT' : 'MISS');
+        addLogFields({ cache: cacheHit ? 'HIT' : 'MISS' });
+        return res.status(200).json(result);
+    } catch (error) {
+        if (error instanceof DirectionsError) {
+            return sendError(res, error.code, error.message, error.details);
         }
 
-        const duration = leg.duration_in_traffic?.value || leg.duration?.value;
-
-        return res.status(200).json({
-            duration: duration,
-            durationText: leg.duration_in_traffic?.text || leg.duration?.text,
-            distance: leg.distance?.value,
-            distanceText: leg.distance?.text
-        });
-
-    } catch (error) {
-        console.error('Directions API error:', error);
-        return res.status(500).json({ error: 'Failed to fetch directions' });
+        logger.error('Directions API error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to fetch directions');
     }
 }
@@ -0,0 +1,47 @@
+/**
+ * Vercel Serverless Function: Metrics
+ * Request, upstream and cache metrics in Prometheus text format, for
+ * scraping with METRICS_TOKEN as a bearer token:
+ *   scrape_configs:
+ *     - job_name: commute-optimizer
+ *       scheme: https
+ *       metrics_path: /api/metrics
+ *       authorization: { credentials: <METRICS_TOKEN> }
+ *       static_configs: [{ targets: ['<deployment host>'] }]
+ * Without METRICS_TOKEN set every scrape is refused.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { renderMetrics } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+function isAuthorized(req) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) return false;
+
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    if (!isAuthorized(req)) {
+        return sendError(res, 'UNAUTHORIZED', 'Unauthorized');
+    }
+
+    try {
+        const body = await renderMetrics();
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(body);
+    } catch (error) {
+        logger.error('Metrics read failed', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to read metrics');
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Vercel Serverless Function: Scheduled Route Monitor
+ * Invoked by the cron in vercel.json. When CRON_SECRET is set, Vercel sends
+ * it as a bearer token and other callers are refused. Deployments must set
+ * it, since every run spends lookups; only local runs go without.
+ * Errors use the envelope in _lib/errors.js.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { runMonitor } from './_lib/monitor.js';
+import { getRoutingConfigError } from './_lib/routing.js';
+import { sendError } from './_lib/errors.js';
+import { instrument } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+
+// Without CRON_SECRET (local runs only) anyone may trigger a run
+function isAuthorized(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return true;
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+export default instrument('monitor', handler);
+
+async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    if (process.env.VERCEL && !process.env.CRON_SECRET) {
+        logger.error('CRON_SECRET environment variable not set');
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+
+    if (!isAuthorized(req)) {
+        return sendError(res, 'UNAUTHORIZED', 'Unauthorized');
+    }
+
+    const configError = getRoutingConfigError();
+    if (configError) {
+        logger.error('Server configuration error', { reason: configError });
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+    const apiKey = process.env.GOOGLE_API_KEY;
+
+    try {
+        const summary = await runMonitor({ apiKey });
+        return res.status(200).json(summary);
+    } catch (error) {
+        logger.error('Monitor run error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Monitor run failed');
+    }
+}
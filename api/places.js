@@ -0,0 +1,80 @@
+/**
+ * Vercel Serverless Function: Places API Proxy
+ * Address suggestions and geocoding without exposing the API key, behind
+ * the same origin, session token and quota checks as the directions routes.
+ *   GET ?input=...&session=...  -> { predictions: [...] } for a partial address
+ *   GET ?placeId=...            -> { placeId, address, location } for a suggestion
+ *   GET ?address=...            -> the same for free text; 404 PLACE_NOT_FOUND if it can't be found
+ * GOOGLE_API_KEY is only required when Google does the routing. Without it
+ * there is no geocoder: suggestions are empty, and addresses come back as
+ * typed with a null placeId, located only when they're "lat,lng".
+ */
+
+import { checkAccess } from './_lib/access.js';
+import { sendError } from './_lib/errors.js';
+import { PLACES_LIMITS, PlacesError, fetchAutocomplete, geocode } from './_lib/places.js';
+import { getRoutingConfigError, parseLatLng } from './_lib/routing.js';
+import { instrument } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+
+export default instrument('places', handler);
+
+async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const { input, session, placeId, address } = req.query || {};
+    const lookups = [input, placeId, address].filter(value => value !== undefined);
+    if (lookups.length !== 1 || typeof lookups[0] !== 'string') {
+        return sendError(res, 'MISSING_FIELD', 'Provide exactly one of: input, placeId, address');
+    }
+
+    const text = lookups[0].trim();
+    const minLength = input !== undefined ? PLACES_LIMITS.minInputLength : 1;
+    if (text.length < minLength || text.length > PLACES_LIMITS.maxInputLength) {
+        return sendError(res, 'INVALID_FIELD',
+            `Lookups must be between ${minLength} and ${PLACES_LIMITS.maxInputLength} characters`);
+    }
+
+    // Check origin, session token, quota and spend ceiling
+    const denied = await checkAccess(req, res);
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
+    }
+
+    const apiKey = process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+        const configError = getRoutingConfigError();
+        if (configError) {
+            logger.error('Server configuration error', { reason: configError });
+            return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+        }
+
+        if (input !== undefined) {
+            return res.status(200).json({ predictions: [] });
+        }
+        if (placeId !== undefined) {
+            return sendError(res, 'PLACE_NOT_FOUND', 'Place IDs can only be looked up with Google');
+        }
+        return res.status(200).json({ placeId: null, address: text, location: parseLatLng(text) });
+    }
+
+    try {
+        if (input !== undefined) {
+            const predictions = await fetchAutocomplete({ input: text, sessionToken: session }, apiKey);
+            return res.status(200).json({ predictions });
+        }
+
+        const place = await geocode(placeId !== undefined ? { placeId: text } : { address: text }, apiKey);
+        return res.status(200).json(place);
+    } catch (error) {
+        if (error instanceof PlacesError) {
+            return sendError(res, error.code, error.message, error.details);
+        }
+
+        logger.error('Places API error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to look up address');
+    }
+}
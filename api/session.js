@@ -0,0 +1,49 @@
+/**
+ * Vercel Serverless Function: Client Sessions
+ * Issues the short-lived tokens the directions, window, places,
+ * subscriptions and teams routes require (see _lib/access.js).
+ *   POST -> { token, expiresAt, limits }; send the current or a recently
+ *           expired token as a bearer token to renew it with the same quota
+ */
+
+import { SESSION, createSession, getSessionSecret, isOriginAllowed } from './_lib/access.js';
+import { RATE_LIMIT } from './_lib/rate-limit.js';
+import { sendError } from './_lib/errors.js';
+import { instrument } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+
+export default instrument('session', handler);
+
+async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    if (!isOriginAllowed(req)) {
+        return sendError(res, 'ORIGIN_NOT_ALLOWED', 'Requests from this origin are not allowed');
+    }
+
+    const secret = getSessionSecret();
+    if (!secret) {
+        logger.error('SESSION_SECRET environment variable not set');
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+
+    const session = await createSession(req, secret);
+    if (session.code) {
+        res.setHeader('Retry-After', session.retryAfter);
+        return sendError(res, session.code, session.message);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+        token: session.token,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        limits: {
+            perMinute: RATE_LIMIT.maxRequests,
+            perDay: RATE_LIMIT.dailyLimit,
+            ttlSeconds: SESSION.ttlSeconds
+        }
+    });
+}
@@ -0,0 +1,78 @@
+/**
+ * Vercel Serverless Function: Watch Subscriptions
+ * Registers browser push subscriptions for routes to monitor.
+ *   GET    -> { publicKey, transport } for PushManager#subscribe
+ *   POST   -> create or update the subscription for { subscription, routeId, ... }
+ *   DELETE -> stop watching { endpoint, routeId }
+ * POST and DELETE need a session token, like the lookup routes: each
+ * watched route costs lookups every day, and a token may only watch
+ * SUBSCRIPTIONS_PER_TOKEN of them.
+ */
+
+import { checkAccess, getSessionSubject } from './_lib/access.js';
+import { sendError } from './_lib/errors.js';
+import { getVapidKeys } from './_lib/push.js';
+import {
+    SUBSCRIPTION_LIMITS,
+    buildSubscription,
+    countSubscriptions,
+    getSubscriptionId,
+    getSubscriptionStore,
+    validateSubscribeRequest
+} from './_lib/subscriptions.js';
+import { instrument } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+
+export default instrument('subscriptions', handler);
+
+async function handler(req, res) {
+    if (req.method === 'GET') {
+        const vapid = getVapidKeys();
+        const transport = vapid ? 'webpush' : process.env.PUSH_STANDIN_URL ? 'standin' : 'memory';
+        return res.status(200).json({ publicKey: vapid?.publicKey || null, transport });
+    }
+
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    // Check origin, session token and quota; lookups only happen later, in the monitor
+    const denied = await checkAccess(req, res, 1, { lookups: 0 });
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
+    }
+
+    const store = getSubscriptionStore();
+
+    try {
+        if (req.method === 'DELETE') {
+            const { endpoint, routeId } = req.body || {};
+            if (!endpoint || !routeId) {
+                return sendError(res, 'MISSING_FIELD', 'Missing required fields: endpoint, routeId');
+            }
+
+            await store.remove(getSubscriptionId(endpoint, routeId));
+            return res.status(200).json({ removed: true });
+        }
+
+        const validationError = validateSubscribeRequest(req.body, { webPush: Boolean(getVapidKeys()) });
+        if (validationError) {
+            return sendError(res, 'INVALID_FIELD', validationError);
+        }
+
+        // Re-subscribing keeps the record of what was already sent today
+        const owner = getSessionSubject(req);
+        const id = getSubscriptionId(req.body.subscription.endpoint, req.body.routeId);
+        const existing = await store.get(id);
+        if (existing?.owner !== owner && await countSubscriptions(store, owner) >= SUBSCRIPTION_LIMITS.maxPerOwner) {
+            return sendError(res, 'SUBSCRIPTION_LIMIT',
+                `You can watch at most ${SUBSCRIPTION_LIMITS.maxPerOwner} routes. Stop watching one first.`);
+        }
+        await store.save(buildSubscription(req.body, owner, existing));
+
+        return res.status(existing ? 200 : 201).json({ id });
+    } catch (error) {
+        logger.error('Subscription store error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to update subscription');
+    }
+}
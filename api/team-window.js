@@ -0,0 +1,114 @@
+/**
+ * Vercel Serverless Function: Team Commute Window
+ * Evaluates one team member's departures to the office over a time window,
+ * so teammates can plan meetings around each other's commutes without
+ * seeing where anyone lives (see _lib/teams.js).
+ *   POST { teamId, memberId, date, startTime, endTime, intervalMinutes?, timezoneOffset? }
+ *     -> { slots: [{ time, departureTime, duration }] } in departure order;
+ *        a lookup that failed is { time, departureTime, error, code }
+ * Only durations come back: the routes themselves would give the origin
+ * away. Slots count individually against the rate limit, like /api/window.
+ */
+
+import { checkAccess } from './_lib/access.js';
+import { BATCH_LIMITS, WINDOW_TIME_SCHEMA, buildDepartureSlots, evaluateWindow } from './_lib/batch.js';
+import { getRoutingConfigError } from './_lib/routing.js';
+import { getMemberOrigin, getTeamDestination, getTeamStore, isId } from './_lib/teams.js';
+import { sendError } from './_lib/errors.js';
+import { validateBody } from './_lib/schema.js';
+import { instrument } from './_lib/metrics.js';
+import { addLogFields, logger } from './_lib/log.js';
+
+const checkId = id => (isId(id) ? null : { code: 'INVALID_FIELD', message: 'Missing or invalid teamId or memberId' });
+
+const TEAM_WINDOW_SCHEMA = {
+    teamId: { type: 'string', required: true, validate: checkId },
+    memberId: { type: 'string', required: true, validate: checkId },
+    ...WINDOW_TIME_SCHEMA
+};
+
+export default instrument('team-window', handler);
+
+async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const invalid = validateBody(req.body, TEAM_WINDOW_SCHEMA);
+    if (invalid) {
+        return sendError(res, invalid.code, invalid.message, invalid.details);
+    }
+
+    const {
+        teamId,
+        memberId,
+        date,
+        startTime,
+        endTime,
+        intervalMinutes = 15,
+        timezoneOffset = 0
+    } = req.body;
+
+    const allSlots = buildDepartureSlots({ date, startTime, endTime, intervalMinutes, timezoneOffset });
+    if (!allSlots) {
+        return sendError(res, 'INVALID_DEPARTURE_TIME', 'Invalid date or time format. Use YYYY-MM-DD and HH:MM.');
+    }
+
+    if (allSlots.length > BATCH_LIMITS.maxSlots) {
+        return sendError(res, 'INVALID_FIELD', `Window too large: maximum ${BATCH_LIMITS.maxSlots} slots`);
+    }
+
+    // Google rejects departure times in the past
+    const now = Date.now();
+    const slots = allSlots.filter(slot => slot.departureTime.getTime() > now);
+    if (slots.length === 0) {
+        return sendError(res, 'INVALID_DEPARTURE_TIME', 'All departure times in this window have passed');
+    }
+
+    // One Directions API call per slot
+    const denied = await checkAccess(req, res, slots.length);
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
+    }
+
+    const configError = getRoutingConfigError();
+    if (configError) {
+        logger.error('Server configuration error', { reason: configError });
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+
+    try {
+        const team = await getTeamStore().get(teamId);
+        const member = team?.members.find(candidate => candidate.id === memberId);
+        if (!member) {
+            return sendError(res, 'TEAM_NOT_FOUND', 'Team or member not found');
+        }
+
+        addLogFields({ slots: slots.length, travelModes: [member.travelMode] });
+
+        const { slots: matrix, cache } = await evaluateWindow({
+            origin: getMemberOrigin(member),
+            destination: getTeamDestination(team),
+            waypoints: [],
+            slots,
+            trafficModels: ['best_guess'],
+            travelModes: [member.travelMode]
+        }, process.env.GOOGLE_API_KEY);
+        addLogFields({ cacheHits: cache.hits, lookups: cache.lookups });
+
+        // Driving results are keyed by traffic model, other modes by name
+        const key = member.travelMode === 'driving' ? 'best_guess' : member.travelMode;
+        return res.status(200).json({
+            slots: matrix.map(({ time, departureTime, results }) => {
+                const { duration, error, code } = results[key] || {};
+                return duration
+                    ? { time, departureTime, duration }
+                    : { time, departureTime, error: error || 'Failed to fetch directions', code: code || 'UPSTREAM_ERROR' };
+            })
+        });
+    } catch (error) {
+        logger.error('Team window error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to evaluate team commute');
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Vercel Serverless Function: Team Workspaces
+ * A team shares an office destination; members add where they commute from.
+ *   GET    ?id=      -> { team }, with members' names and travel modes only
+ *   POST             -> create a team from { name, destination, destinationPlace }
+ *   PUT              -> add or update { teamId, member }, returning { team, memberId }
+ *   DELETE           -> remove { teamId, memberId }
+ * Every method needs a session token (see _lib/access.js). Members belong
+ * to the token subject that added them: PUT and DELETE on anyone else's
+ * member are refused with NOT_MEMBER_OWNER.
+ */
+
+import { checkAccess, getSessionSubject } from './_lib/access.js';
+import { sendError } from './_lib/errors.js';
+import {
+    buildTeam,
+    getTeamStore,
+    isId,
+    removeMember,
+    toPublicTeam,
+    upsertMember,
+    validateMember,
+    validateTeamRequest
+} from './_lib/teams.js';
+import { instrument } from './_lib/metrics.js';
+import { logger } from './_lib/log.js';
+
+export default instrument('teams', handler);
+
+async function handler(req, res) {
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    // Check origin, session token and quota; teams don't look anything up
+    const denied = await checkAccess(req, res, 1, { lookups: 0 });
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
+    }
+
+    const store = getTeamStore();
+    const body = req.body || {};
+
+    try {
+        if (req.method === 'POST') {
+            const validationError = validateTeamRequest(body);
+            if (validationError) {
+                return sendError(res, 'INVALID_FIELD', validationError);
+            }
+
+            const team = buildTeam(body);
+            await store.save(team);
+            return res.status(201).json({ team: toPublicTeam(team) });
+        }
+
+        const teamId = req.method === 'GET' ? req.query?.id : body.teamId;
+        if (!isId(teamId)) {
+            return sendError(res, 'INVALID_FIELD', 'Missing or invalid team id');
+        }
+
+        if (req.method === 'GET') {
+            const team = await store.get(teamId);
+            if (!team) {
+                return sendError(res, 'TEAM_NOT_FOUND', 'Team not found');
+            }
+            return res.status(200).json({ team: toPublicTeam(team) });
+        }
+
+        if (req.method === 'DELETE' && !isId(body.memberId)) {
+            return sendError(res, 'INVALID_FIELD', 'Missing or invalid memberId');
+        }
+
+        const memberError = req.method === 'PUT' && validateMember(body.member);
+        if (memberError) {
+            return sendError(res, 'INVALID_FIELD', memberError);
+        }
+
+        // One atomic change, so members joining at the same time don't drop each other
+        const owner = getSessionSubject(req);
+        let result = null;
+        await store.update(teamId, team => {
+            if (!team) {
+                result = null;
+            } else if (req.method === 'DELETE') {
+                result = removeMember(team, body.memberId, owner);
+            } else {
+                result = upsertMember(team, body.member, owner);
+            }
+            return result?.team || null;
+        });
+
+        if (!result) {
+            return sendError(res, 'TEAM_NOT_FOUND', 'Team not found');
+        }
+        if (result.error) {
+            return sendError(res, result.code, result.error);
+        }
+
+        return res.status(200).json(req.method === 'DELETE'
+            ? { team: toPublicTeam(result.team) }
+            : { team: toPublicTeam(result.team), memberId: result.memberId });
+    } catch (error) {
+        logger.error('Team store error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to update team');
+    }
+}
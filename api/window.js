@@ -0,0 +1,179 @@
+/**
+ * Vercel Serverless Function: Departure Window Batch
+ * Evaluates every departure slot in a time window, for one or more traffic
+ * models and travel modes, in a single request. Driving results are keyed by
+ * traffic model and other modes by mode name. Slots count individually
+ * against the rate limit.
+ *
+ * Clients that send "Accept: application/x-ndjson" get the slots as they
+ * finish instead, one JSON object per line:
+ *   { type: 'start', lookups, slots }    -> how many lookups the window takes,
+ *                                           and its [{ time, departureTime }]
+ *   { type: 'slot', slot }               -> one slot, in completion order
+ *   { type: 'done', optimal, cache }     -> after the last slot
+ *   { type: 'error', error, code }       -> the batch failed partway
+ * Lookups not yet started when the client disconnects are skipped.
+ *
+ * Bodies are checked against WINDOW_SCHEMA, and errors use the envelope in
+ * _lib/errors.js. A lookup that fails is recorded in its slot as
+ * { error, code } instead, with CANCELLED for lookups skipped after a
+ * disconnect. Each lookup is counted in
+ * /api/metrics; the request is logged once, with the addresses hashed.
+ */
+
+import { checkAccess } from './_lib/access.js';
+import { TRAFFIC_MODELS, TRAVEL_MODES, WAYPOINT_LIMITS, validateTravelMode, validateWaypoints } from './_lib/google.js';
+import { BATCH_LIMITS, WINDOW_TIME_SCHEMA, buildDepartureSlots, buildVariants, evaluateWindow } from './_lib/batch.js';
+import { getRoutingConfigError } from './_lib/routing.js';
+import { sendError } from './_lib/errors.js';
+import { validateBody } from './_lib/schema.js';
+import { instrument } from './_lib/metrics.js';
+import { addLogFields, hashForLog, logger } from './_lib/log.js';
+
+const WINDOW_SCHEMA = {
+    origin: { type: 'string', required: true, maxLength: WAYPOINT_LIMITS.maxLocationLength },
+    destination: { type: 'string', required: true, maxLength: WAYPOINT_LIMITS.maxLocationLength },
+    waypoints: {
+        type: 'array',
+        validate: waypoints => {
+            const message = validateWaypoints(waypoints);
+            return message && { code: 'INVALID_FIELD', message };
+        }
+    },
+    trafficModels: {
+        type: 'array',
+        validate: trafficModels =>
+            trafficModels.length === 0 || !trafficModels.every(model => TRAFFIC_MODELS.includes(model))
+                ? { code: 'INVALID_FIELD', message: `trafficModels must be a list of: ${TRAFFIC_MODELS.join(', ')}` }
+                : null
+    },
+    travelModes: {
+        type: 'array',
+        validate: (travelModes, body) => {
+            if (travelModes.length === 0 || new Set(travelModes).size !== travelModes.length) {
+                return { code: 'INVALID_FIELD', message: `travelModes must be a list of distinct: ${TRAVEL_MODES.join(', ')}` };
+            }
+            const message = travelModes.map(mode => validateTravelMode(mode, body.waypoints)).find(Boolean);
+            return message && { code: 'INVALID_FIELD', message };
+        }
+    },
+    ...WINDOW_TIME_SCHEMA
+};
+
+export default instrument('window', handler);
+
+async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return sendError(res, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const invalid = validateBody(req.body, WINDOW_SCHEMA);
+    if (invalid) {
+        return sendError(res, invalid.code, invalid.message, invalid.details);
+    }
+
+    const {
+        origin,
+        destination,
+        waypoints = [],
+        date,
+        startTime,
+        endTime,
+        intervalMinutes = 15,
+        trafficModels = ['best_guess'],
+        travelModes = ['driving'],
+        timezoneOffset = 0
+    } = req.body;
+
+    const allSlots = buildDepartureSlots({ date, startTime, endTime, intervalMinutes, timezoneOffset });
+    if (!allSlots) {
+        return sendError(res, 'INVALID_DEPARTURE_TIME', 'Invalid date or time format. Use YYYY-MM-DD and HH:MM.');
+    }
+
+    if (allSlots.length > BATCH_LIMITS.maxSlots) {
+        return sendError(res, 'INVALID_FIELD', `Window too large: maximum ${BATCH_LIMITS.maxSlots} slots`);
+    }
+
+    // Google rejects departure times in the past
+    const now = Date.now();
+    const slots = allSlots.filter(slot => slot.departureTime.getTime() > now);
+    if (slots.length === 0) {
+        return sendError(res, 'INVALID_DEPARTURE_TIME', 'All departure times in this window have passed');
+    }
+
+    // Each slot x variant is one Directions API call
+    const denied = await checkAccess(req, res, slots.length * buildVariants(travelModes, trafficModels).length);
+    if (denied) {
+        return sendError(res, denied.code, denied.message);
+    }
+
+    const configError = getRoutingConfigError();
+    if (configError) {
+        logger.error('Server configuration error', { reason: configError });
+        return sendError(res, 'CONFIGURATION_ERROR', 'Server configuration error');
+    }
+    const apiKey = process.env.GOOGLE_API_KEY;
+    const request = { origin, destination, waypoints, slots, trafficModels, travelModes };
+    const streaming = (req.headers.accept || '').includes('application/x-ndjson');
+    addLogFields({
+        origin: hashForLog(origin),
+        destination: hashForLog(destination),
+        stops: waypoints.length,
+        slots: slots.length,
+        travelModes,
+        trafficModels,
+        streaming
+    });
+
+    if (streaming) {
+        return streamWindow(request, apiKey, res);
+    }
+
+    try {
+        const { slots: matrix, optimal, cache } = await evaluateWindow(request, apiKey);
+
+        // HIT/MISS when the whole batch agrees, PARTIAL otherwise
+        const cacheStatus = cache.hits === cache.lookups ? 'HIT' : cache.hits === 0 ? 'MISS' : 'PARTIAL';
+        res.setHeader('X-Cache', cacheStatus);
+        res.setHeader('X-Cache-Hits', `${cache.hits}/${cache.lookups}`);
+        addLogFields({ cacheHits: cache.hits, lookups: cache.lookups });
+
+        return res.status(200).json({ slots: matrix, optimal });
+    } catch (error) {
+        logger.error('Window batch error', { error });
+        return sendError(res, 'INTERNAL_ERROR', 'Failed to evaluate departure window');
+    }
+}
+
+async function streamWindow(request, apiKey, res) {
+    const controller = new AbortController();
+    res.on?.('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const send = message => res.write(`${JSON.stringify(message)}\n`);
+    res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache'
+    });
+    send({
+        type: 'start',
+        lookups: request.slots.length * buildVariants(request.travelModes, request.trafficModels).length,
+        slots: request.slots.map(slot => ({ time: slot.time, departureTime: slot.departureTime.toISOString() }))
+    });
+
+    try {
+        const { optimal, cache } = await evaluateWindow(request, apiKey, {
+            onSlot: slot => send({ type: 'slot', slot }),
+            signal: controller.signal
+        });
+        send({ type: 'done', optimal, cache });
+        addLogFields({ cacheHits: cache.hits, lookups: cache.lookups });
+    } catch (error) {
+        logger.error('Window batch error', { error });
+        addLogFields({ code: 'INTERNAL_ERROR' });
+        send({ type: 'error', error: 'Failed to evaluate departure window', code: 'INTERNAL_ERROR' });
+    }
+    res.end();
+}
@@ -8,6 +8,16 @@
 // ========================================
 const CONFIG = {
     STORAGE_KEYS: {
+        ROUTES: 'commute_routes',
+        ACTIVE_ROUTE: 'commute_active_route',
+        ANALYSIS_MODE: 'commute_analysis_mode',
+        CHART_VIEW: 'commute_chart_view',
+        PUSH_PLACEHOLDER: 'commute_push_placeholder',
+        LAST_ANALYSES: 'commute_last_analyses',
+        QUEUED_ANALYSES: 'commute_queued_analyses',
+        TEAM: 'commute_team',
+        API_TOKEN: 'commute_api_token',
+        // Legacy single home/work keys, migrated into ROUTES on load
         HOME_ADDRESS: 'commute_home',
         WORK_ADDRESS: 'commute_work',
         MORNING_START: 'commute_morning_start',
@@ -21,28 +31,99 @@ const CONFIG = {
         MORNING_END: '10:00',
         EVENING_START: '16:00',
         EVENING_END: '20:00',
-        INTERVAL_MINUTES: 15
+        INTERVAL_MINUTES: 15,
+        TRAFFIC_MODEL: 'pessimistic',
+        ARRIVE_BY_MORNING: '09:00',
+        ARRIVE_BY_EVENING: '18:00',
+        RISK_TOLERANCE: 'best_guess',
+        RECOMMEND_PRESET: 'average'
+    },
+    ARRIVE_BY: {
+        LOOKBACK_MINUTES: 120     // How far before the target to consider departing
+    },
+    SLOTS: {
+        INTERVALS: [5, 10, 15, 30],   // Departure spacing a route can use besides 'smart'
+        COARSE_MINUTES: 30,       // Smart sampling: a first pass this far apart...
+        FINE_MINUTES: 5,          // ...then re-sampled this closely where it matters
+        MAX_MINIMA: 2,            // Local minima refined per pass
+        MAX_RAMPS: 2,             // Steepest ramps refined per pass
+        RAMP_RATIO: 0.15,         // Change between coarse slots that counts as a ramp
+        MAX_TIME_LABELS: 16,      // Chart time labels are thinned out beyond this
+        LOOKUPS_PER_MINUTE: 120   // The proxy's default rate limit, until a session reports its own
+    },
+    TRAVEL_MODES: {
+        driving: { label: 'Drive', icon: '🚗' },
+        transit: { label: 'Transit', icon: '🚆' },
+        bicycling: { label: 'Cycle', icon: '🚲' },
+        walking: { label: 'Walk', icon: '🚶' }
     },
     TRAFFIC_THRESHOLDS: {
         LOW: 1.2,
         MEDIUM: 1.4
+    },
+    AUTOCOMPLETE: {
+        DEBOUNCE_MS: 250,
+        MIN_INPUT_LENGTH: 3       // Matches the proxy's minimum
+    },
+    STOPS: {
+        MAX: 8,                 // Matches the proxy's waypoint limit
+        MAX_DWELL_MINUTES: 240
+    },
+    HISTORY: {
+        DB_NAME: 'commute_history',
+        DB_VERSION: 1,
+        STORE: 'analyses',
+        SHIFT_WEEKS: 8            // Weeks of recommendations shown in Trends
+    },
+    SHARE: {
+        ROUTE_ID: 'shared'        // Id of a route opened from a link; never saved as-is
+    },
+    PROFILE: {
+        APP: 'commute-optimizer',
+        VERSION: 1,
+        // Route fields that travel with an exported profile; watch state stays on the device
+        ROUTE_FIELDS: ['id', 'name', 'origin', 'destination', 'originPlace', 'destinationPlace', 'stops',
+            'trafficModel', 'travelMode', 'slotInterval', 'timeSettings', 'arriveBy', 'riskTolerance',
+            'recommendPreset']
+    },
+    TEAM: {
+        TOP_OPTIONS: 5,           // Meeting times listed, best first
+        MEETING_STEP_MINUTES: 30  // Spacing of the candidate start times
+    },
+    WEEK: {
+        DAYS: 7
+    },
+    RETRY: {
+        MAX_ATTEMPTS: 3,          // Tries per /api/window request, counting the first
+        BASE_DELAY_MS: 1000,      // Backoff before the first retry, doubled after each
+        MAX_WAIT_SECONDS: 120     // The longest the per-minute limit asks for; longer waits are left to the caller
+    },
+    API_TOKEN: {
+        RENEW_BEFORE_MS: 60 * 1000    // Renew the /api/session token this long before it expires
     }
 };
 
 const state = {
-    homeAddress: '',
-    workAddress: '',
+    routes: [],
+    sharedRoute: null,        // Route opened from a shared link, kept out of storage
+    activeRouteId: null,
+    editingRouteId: null,
     selectedDate: null,
     selectedDirection: 'morning',
+    viewMode: 'day',
+    analysisMode: 'window',
+    weekResults: null,
+    weekDrillDay: null,
+    chartView: 'chart',       // 'chart' or 'table'
+    chartResults: null,       // Results the chart or table is showing
+    tableSort: { key: 'time', ascending: true },
     isAnalyzing: false,
-    analysisResults: null,
-    trafficModel: 'pessimistic',
-    timeSettings: {
-        morningStart: CONFIG.DEFAULTS.MORNING_START,
-        morningEnd: CONFIG.DEFAULTS.MORNING_END,
-        eveningStart: CONFIG.DEFAULTS.EVENING_START,
-        eveningEnd: CONFIG.DEFAULTS.EVENING_END
-    }
+    analysisController: null, // AbortController of the run in progress, if it can be cancelled
+    rateLimitedUntil: 0,
+    rateLimitCountdown: null, // { toast, timer } of the countdown on screen
+    team: null,               // Team this device has joined, as last fetched
+    tokenRequest: null,       // /api/session request in flight, shared by concurrent lookups
+    analysisResults: null     // { morning, evening, savedAt? }; savedAt marks a saved copy shown offline
 };
 
 // ========================================
@@ -57,34 +138,108 @@ const elements = {
     setupForm: document.getElementById('setup-form'),
     homeAddressInput: document.getElementById('home-address'),
     workAddressInput: document.getElementById('work-address'),
+    setupStops: document.getElementById('setup-stops'),
+    addSetupStopBtn: document.getElementById('add-setup-stop'),
 
     // Main Dashboard
+    routeSwitcher: document.getElementById('route-switcher'),
+    saveSharedBtn: document.getElementById('save-shared-btn'),
+    shareBtn: document.getElementById('share-btn'),
     dayPicker: document.getElementById('day-picker'),
+    tabList: document.getElementById('direction-tabs'),
     tabs: document.querySelectorAll('.tab'),
+    resultsPanel: document.getElementById('results-panel'),
+    modeBar: document.getElementById('mode-bar'),
+    analysisModeToggle: document.getElementById('analysis-mode-toggle'),
+    modeButtons: document.querySelectorAll('.mode-btn'),
+    travelMode: document.getElementById('travel-mode'),
+    riskToleranceGroup: document.getElementById('risk-tolerance-group'),
+    arriveByControls: document.getElementById('arrive-by-controls'),
+    arriveByTime: document.getElementById('arrive-by-time'),
+    riskTolerance: document.getElementById('risk-tolerance'),
+    recommendPresetGroup: document.getElementById('recommend-preset-group'),
+    recommendPreset: document.getElementById('recommend-preset'),
     analyzeBtn: document.getElementById('analyze-btn'),
+    cancelBtn: document.getElementById('cancel-btn'),
+    watchBtn: document.getElementById('watch-btn'),
     btnText: document.querySelector('.btn-text'),
     btnLoader: document.querySelector('.btn-loader'),
+    btnLoaderText: document.getElementById('btn-loader-text'),
 
     // Results
+    staleBadge: document.getElementById('stale-badge'),
+    recommendationLabel: document.getElementById('recommendation-label'),
+    recommendationNote: document.getElementById('recommendation-note'),
     bestTime: document.getElementById('best-time'),
+    bestRoute: document.getElementById('best-route'),
     duration: document.getElementById('duration'),
     savings: document.getElementById('savings'),
     chartContainer: document.getElementById('chart-container'),
+    chartTitle: document.getElementById('chart-title'),
+    chartViewBtn: document.getElementById('chart-view-btn'),
+    exportActions: document.getElementById('export-actions'),
+    exportButtons: document.querySelectorAll('.export-btn'),
+    heatmapSection: document.getElementById('heatmap-section'),
+    heatmapContainer: document.getElementById('heatmap-container'),
     homeDisplay: document.getElementById('home-display'),
     workDisplay: document.getElementById('work-display'),
+    routeArrow: document.getElementById('route-arrow'),
+
+    // Team Modal
+    teamBtn: document.getElementById('team-btn'),
+    teamModal: document.getElementById('team-modal'),
+    closeTeam: document.getElementById('close-team'),
+    teamCreateForm: document.getElementById('team-create-form'),
+    teamName: document.getElementById('team-name'),
+    teamOffice: document.getElementById('team-office'),
+    teamWorkspace: document.getElementById('team-workspace'),
+    teamTitle: document.getElementById('team-title'),
+    teamOfficeDisplay: document.getElementById('team-office-display'),
+    teamInviteBtn: document.getElementById('team-invite-btn'),
+    teamLeaveBtn: document.getElementById('team-leave-btn'),
+    teamMembers: document.getElementById('team-members'),
+    teamMemberForm: document.getElementById('team-member-form'),
+    teamMemberName: document.getElementById('team-member-name'),
+    teamMemberOrigin: document.getElementById('team-member-origin'),
+    teamMemberMode: document.getElementById('team-member-mode'),
+    teamMemberSubmit: document.getElementById('team-member-submit'),
+    teamMeetingStart: document.getElementById('team-meeting-start'),
+    teamMeetingEnd: document.getElementById('team-meeting-end'),
+    teamDays: document.getElementById('team-days'),
+    teamObjective: document.getElementById('team-objective'),
+    teamAnalyzeBtn: document.getElementById('team-analyze-btn'),
+    teamResults: document.getElementById('team-results'),
 
     // Settings Modal
+    trendsBtn: document.getElementById('trends-btn'),
+    trendsModal: document.getElementById('trends-modal'),
+    closeTrends: document.getElementById('close-trends'),
+    trendsDirection: document.getElementById('trends-direction'),
+    trendsWeekday: document.getElementById('trends-weekday'),
+    trendsSummary: document.getElementById('trends-summary'),
+    trendsChart: document.getElementById('trends-chart'),
+    trendsWeekdays: document.getElementById('trends-weekdays'),
+    trendsShift: document.getElementById('trends-shift'),
     settingsBtn: document.getElementById('settings-btn'),
     settingsModal: document.getElementById('settings-modal'),
     closeSettings: document.getElementById('close-settings'),
     settingsForm: document.getElementById('settings-form'),
+    settingsRoute: document.getElementById('settings-route'),
+    settingsRouteName: document.getElementById('settings-route-name'),
+    deleteRouteBtn: document.getElementById('delete-route-btn'),
     settingsHome: document.getElementById('settings-home'),
     settingsWork: document.getElementById('settings-work'),
+    settingsStops: document.getElementById('settings-stops'),
+    addSettingsStopBtn: document.getElementById('add-settings-stop'),
     morningStart: document.getElementById('morning-start'),
     morningEnd: document.getElementById('morning-end'),
     eveningStart: document.getElementById('evening-start'),
     eveningEnd: document.getElementById('evening-end'),
     trafficModel: document.getElementById('traffic-model'),
+    slotInterval: document.getElementById('slot-interval'),
+    exportProfileBtn: document.getElementById('export-profile-btn'),
+    importProfileBtn: document.getElementById('import-profile-btn'),
+    importProfileInput: document.getElementById('import-profile-input'),
     clearDataBtn: document.getElementById('clear-data-btn'),
 
     // Toast
@@ -96,59 +251,192 @@ const elements = {
 // ========================================
 function init() {
     loadSettings();
+    const teamInvite = parseTeamInvite(location.search);
+    if (teamInvite) {
+        acceptTeamInvite(teamInvite);
+    }
+    const sharedLink = parseSharedLink(location.search);
+    if (sharedLink) {
+        state.sharedRoute = sharedLink.route;
+        state.activeRouteId = sharedLink.route.id;
+        state.analysisMode = sharedLink.analysisMode;
+    }
     setupEventListeners();
+    updateChartViewButton();
+    registerServiceWorker();
 
-    if (isConfigured()) {
+    if (isConfigured() || state.sharedRoute) {
         showMainScreen();
         generateDayPicker();
+        renderRouteSwitcher();
         updateRouteDisplay();
+        updateModeControls();
+
+        if (sharedLink) {
+            openSharedAnalysis(sharedLink);
+        } else {
+            showLastAnalysis();
+        }
+
+        if (teamInvite) {
+            openTeamModal();
+        }
+
+        if (navigator.onLine) {
+            runQueuedAnalyses();
+        }
     } else {
         showSetupScreen();
     }
 }
 
+// The service worker caches the app shell for offline use and shows pushes
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js')
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
 function loadSettings() {
-    state.homeAddress = localStorage.getItem(CONFIG.STORAGE_KEYS.HOME_ADDRESS) || '';
-    state.workAddress = localStorage.getItem(CONFIG.STORAGE_KEYS.WORK_ADDRESS) || '';
-    state.trafficModel = localStorage.getItem(CONFIG.STORAGE_KEYS.TRAFFIC_MODEL) || 'pessimistic';
-    state.timeSettings.morningStart = localStorage.getItem(CONFIG.STORAGE_KEYS.MORNING_START) || CONFIG.DEFAULTS.MORNING_START;
-    state.timeSettings.morningEnd = localStorage.getItem(CONFIG.STORAGE_KEYS.MORNING_END) || CONFIG.DEFAULTS.MORNING_END;
-    state.timeSettings.eveningStart = localStorage.getItem(CONFIG.STORAGE_KEYS.EVENING_START) || CONFIG.DEFAULTS.EVENING_START;
-    state.timeSettings.eveningEnd = localStorage.getItem(CONFIG.STORAGE_KEYS.EVENING_END) || CONFIG.DEFAULTS.EVENING_END;
+    const storedRoutes = localStorage.getItem(CONFIG.STORAGE_KEYS.ROUTES);
+    if (storedRoutes) {
+        state.routes = JSON.parse(storedRoutes);
+    } else {
+        state.routes = migrateLegacyRoute();
+    }
+
+    state.activeRouteId = localStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_ROUTE);
+    if (!getActiveRoute()) {
+        state.activeRouteId = state.routes[0]?.id || null;
+    }
+
+    state.analysisMode = localStorage.getItem(CONFIG.STORAGE_KEYS.ANALYSIS_MODE) || 'window';
+    state.chartView = localStorage.getItem(CONFIG.STORAGE_KEYS.CHART_VIEW) === 'table' ? 'table' : 'chart';
+}
+
+// Turns the pre-routes single home/work pair into the first named route
+function migrateLegacyRoute() {
+    const keys = CONFIG.STORAGE_KEYS;
+    const homeAddress = localStorage.getItem(keys.HOME_ADDRESS);
+    const workAddress = localStorage.getItem(keys.WORK_ADDRESS);
+    if (!homeAddress || !workAddress) return [];
+
+    const route = createRoute({
+        name: 'Home → Work',
+        origin: homeAddress,
+        destination: workAddress,
+        trafficModel: localStorage.getItem(keys.TRAFFIC_MODEL) || CONFIG.DEFAULTS.TRAFFIC_MODEL,
+        timeSettings: {
+            morningStart: localStorage.getItem(keys.MORNING_START) || CONFIG.DEFAULTS.MORNING_START,
+            morningEnd: localStorage.getItem(keys.MORNING_END) || CONFIG.DEFAULTS.MORNING_END,
+            eveningStart: localStorage.getItem(keys.EVENING_START) || CONFIG.DEFAULTS.EVENING_START,
+            eveningEnd: localStorage.getItem(keys.EVENING_END) || CONFIG.DEFAULTS.EVENING_END
+        }
+    });
+
+    localStorage.setItem(keys.ROUTES, JSON.stringify([route]));
+    localStorage.setItem(keys.ACTIVE_ROUTE, route.id);
+    [keys.HOME_ADDRESS, keys.WORK_ADDRESS, keys.TRAFFIC_MODEL, keys.MORNING_START,
+        keys.MORNING_END, keys.EVENING_START, keys.EVENING_END].forEach(key => localStorage.removeItem(key));
+
+    return [route];
 }
 
 function saveSettings() {
-    localStorage.setItem(CONFIG.STORAGE_KEYS.HOME_ADDRESS, state.homeAddress);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.WORK_ADDRESS, state.workAddress);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.TRAFFIC_MODEL, state.trafficModel);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.MORNING_START, state.timeSettings.morningStart);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.MORNING_END, state.timeSettings.morningEnd);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.EVENING_START, state.timeSettings.eveningStart);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.EVENING_END, state.timeSettings.eveningEnd);
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ROUTES, JSON.stringify(state.routes));
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ANALYSIS_MODE, state.analysisMode);
+    if (state.activeRouteId && state.activeRouteId !== CONFIG.SHARE.ROUTE_ID) {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_ROUTE, state.activeRouteId);
+    }
 }
 
 function isConfigured() {
-    return state.homeAddress && state.workAddress;
+    return state.routes.length > 0;
 }
 
 function setupEventListeners() {
     // Setup Form
     elements.setupForm.addEventListener('submit', handleSetupSubmit);
+    [elements.homeAddressInput, elements.workAddressInput, elements.settingsHome, elements.settingsWork,
+        elements.teamOffice, elements.teamMemberOrigin].forEach(setupAddressAutocomplete);
+    elements.addSetupStopBtn.addEventListener('click', () => addStopRow(elements.setupStops, undefined, true));
 
-    // Tabs
+    // Day Picker & Tabs
+    elements.dayPicker.addEventListener('keydown', (e) => {
+        handleRovingKeydown(e, [...elements.dayPicker.querySelectorAll('.day-chip')], chip => chip.click());
+    });
     elements.tabs.forEach(tab => {
         tab.addEventListener('click', () => handleTabChange(tab.dataset.direction));
     });
+    elements.tabList.addEventListener('keydown', (e) => {
+        handleRovingKeydown(e, [...elements.tabs], tab => handleTabChange(tab.dataset.direction));
+    });
+
+    // Analysis Mode
+    elements.modeButtons.forEach(button => {
+        button.addEventListener('click', () => setAnalysisMode(button.dataset.mode));
+    });
+    elements.travelMode.addEventListener('change', handleTravelModeChange);
+    elements.arriveByTime.addEventListener('change', handleArriveByTimeChange);
+    elements.riskTolerance.addEventListener('change', handleRiskToleranceChange);
+    elements.recommendPreset.addEventListener('change', handleRecommendPresetChange);
+
+    // Route Switcher
+    elements.routeSwitcher.addEventListener('change', () => setActiveRoute(elements.routeSwitcher.value));
+    elements.saveSharedBtn.addEventListener('click', handleSaveSharedRoute);
+    elements.shareBtn.addEventListener('click', handleShare);
 
     // Analyze Button
     elements.analyzeBtn.addEventListener('click', handleAnalyze);
+    elements.cancelBtn.addEventListener('click', handleCancelAnalysis);
+    elements.watchBtn.addEventListener('click', handleWatchToggle);
+
+    // Chart
+    elements.chartViewBtn.addEventListener('click', handleChartViewToggle);
+    elements.chartContainer.addEventListener('keydown', (e) => {
+        handleRovingKeydown(e, [...elements.chartContainer.querySelectorAll('.chart-bar-wrapper')]);
+    });
+    elements.chartContainer.addEventListener('click', handleTableSort);
+    elements.chartContainer.addEventListener('click', handleRetryFailedSlots);
+
+    // Export
+    elements.exportButtons.forEach(button => {
+        button.addEventListener('click', () => handleExport(button.dataset.format));
+    });
+
+    // Team Modal
+    elements.teamBtn.addEventListener('click', openTeamModal);
+    elements.closeTeam.addEventListener('click', closeTeamModal);
+    elements.teamModal.querySelector('.modal-backdrop').addEventListener('click', closeTeamModal);
+    elements.teamCreateForm.addEventListener('submit', handleCreateTeam);
+    elements.teamMemberForm.addEventListener('submit', handleSaveTeamMember);
+    elements.teamInviteBtn.addEventListener('click', handleTeamInvite);
+    elements.teamLeaveBtn.addEventListener('click', handleLeaveTeam);
+    elements.teamAnalyzeBtn.addEventListener('click', handleAnalyzeTeam);
 
     // Settings Modal
+    elements.trendsBtn.addEventListener('click', openTrendsModal);
+    elements.closeTrends.addEventListener('click', closeTrendsModal);
+    elements.trendsModal.querySelector('.modal-backdrop').addEventListener('click', closeTrendsModal);
+    elements.trendsDirection.addEventListener('change', renderTrends);
+    elements.trendsWeekday.addEventListener('change', renderTrends);
+
     elements.settingsBtn.addEventListener('click', openSettingsModal);
     elements.closeSettings.addEventListener('click', closeSettingsModal);
     elements.settingsModal.querySelector('.modal-backdrop').addEventListener('click', closeSettingsModal);
     elements.settingsForm.addEventListener('submit', handleSettingsSave);
+    elements.settingsRoute.addEventListener('change', () => loadRouteIntoSettings(elements.settingsRoute.value));
+    elements.deleteRouteBtn.addEventListener('click', handleDeleteRoute);
+    elements.addSettingsStopBtn.addEventListener('click', () => addStopRow(elements.settingsStops, undefined, true));
+    elements.exportProfileBtn.addEventListener('click', handleExportProfile);
+    elements.importProfileBtn.addEventListener('click', () => elements.importProfileInput.click());
+    elements.importProfileInput.addEventListener('change', handleImportProfile);
     elements.clearDataBtn.addEventListener('click', handleClearData);
+
+    // Connectivity
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
 }
 
 // ========================================
@@ -167,24 +455,518 @@ function showMainScreen() {
 // ========================================
 // Setup Form Handler
 // ========================================
-function handleSetupSubmit(e) {
+async function handleSetupSubmit(e) {
     e.preventDefault();
 
-    state.homeAddress = elements.homeAddressInput.value.trim();
-    state.workAddress = elements.workAddressInput.value.trim();
+    const homeAddress = elements.homeAddressInput.value.trim();
+    const workAddress = elements.workAddressInput.value.trim();
 
-    if (!state.homeAddress || !state.workAddress) {
+    if (!homeAddress || !workAddress) {
         showToast('Please fill in both addresses', 'error');
         return;
     }
 
+    let places;
+    try {
+        places = await Promise.all([elements.homeAddressInput, elements.workAddressInput].map(resolveAddressInput));
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const route = createRoute({
+        name: 'Home → Work',
+        origin: homeAddress,
+        destination: workAddress,
+        originPlace: places[0],
+        destinationPlace: places[1],
+        stops: readStopsEditor(elements.setupStops)
+    });
+    state.routes = [route];
+    state.activeRouteId = route.id;
+
     saveSettings();
     showMainScreen();
     generateDayPicker();
+    renderRouteSwitcher();
     updateRouteDisplay();
+    updateModeControls();
     showToast('Setup complete! Select a day to analyze your commute.', 'success');
 }
 
+// ========================================
+// Routes
+// ========================================
+function createRoute(fields) {
+    return {
+        id: generateRouteId(),
+        name: '',
+        origin: '',
+        destination: '',
+        originPlace: null,        // { placeId, lat, lng } once the address is resolved
+        destinationPlace: null,
+        stops: [],
+        trafficModel: CONFIG.DEFAULTS.TRAFFIC_MODEL,
+        travelMode: 'driving',
+        slotInterval: CONFIG.DEFAULTS.INTERVAL_MINUTES,   // Minutes between departures, or 'smart'
+        timeSettings: {
+            morningStart: CONFIG.DEFAULTS.MORNING_START,
+            morningEnd: CONFIG.DEFAULTS.MORNING_END,
+            eveningStart: CONFIG.DEFAULTS.EVENING_START,
+            eveningEnd: CONFIG.DEFAULTS.EVENING_END
+        },
+        ...fields
+    };
+}
+
+function generateRouteId() {
+    return `route_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Saved routes plus the shared route opened from a link, if any
+function findRoute(routeId) {
+    if (state.sharedRoute?.id === routeId) return state.sharedRoute;
+    return state.routes.find(route => route.id === routeId) || null;
+}
+
+function getActiveRoute() {
+    return findRoute(state.activeRouteId);
+}
+
+// Rebuilds a route that came from outside the app (a profile file or a
+// shared link) from its known fields, falling back to defaults for anything
+// invalid. Returns null when it has no addresses.
+function sanitizeRoute(route) {
+    if (typeof route?.origin !== 'string' || typeof route.destination !== 'string' ||
+        !route.origin.trim() || !route.destination.trim()) {
+        return null;
+    }
+
+    const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    const defaults = createRoute({});
+    const timeSettings = Object.fromEntries(Object.entries(defaults.timeSettings).map(([key, value]) =>
+        [key, isTime(route.timeSettings?.[key]) ? route.timeSettings[key] : value]
+    ));
+    const stops = (Array.isArray(route.stops) ? route.stops : [])
+        .filter(stop => typeof stop?.address === 'string' && stop.address.trim())
+        .slice(0, CONFIG.STOPS.MAX)
+        .map(stop => ({
+            address: stop.address.trim(),
+            dwellMinutes: Math.min(Math.max(Math.round(Number(stop.dwellMinutes)) || 0, 0), CONFIG.STOPS.MAX_DWELL_MINUTES)
+        }));
+    const trafficModels = ['best_guess', 'optimistic', 'pessimistic', 'compare_all'];
+    const travelModes = [...Object.keys(CONFIG.TRAVEL_MODES), 'compare'];
+    const toPlace = place => typeof place?.placeId === 'string' && /^[\w-]+$/.test(place.placeId)
+        ? {
+            placeId: place.placeId,
+            lat: Number.isFinite(place.lat) ? place.lat : null,
+            lng: Number.isFinite(place.lng) ? place.lng : null
+        }
+        : null;
+
+    return createRoute({
+        id: typeof route.id === 'string' && route.id ? route.id : defaults.id,
+        name: typeof route.name === 'string' && route.name.trim()
+            ? route.name.trim()
+            : `${shortenAddress(route.origin)} → ${shortenAddress(route.destination)}`,
+        origin: route.origin.trim(),
+        destination: route.destination.trim(),
+        originPlace: toPlace(route.originPlace),
+        destinationPlace: toPlace(route.destinationPlace),
+        stops: stops,
+        trafficModel: trafficModels.includes(route.trafficModel) ? route.trafficModel : defaults.trafficModel,
+        travelMode: travelModes.includes(route.travelMode) ? route.travelMode : defaults.travelMode,
+        slotInterval: parseSlotInterval(route.slotInterval) ?? defaults.slotInterval,
+        timeSettings: timeSettings,
+        ...(route.arriveBy && typeof route.arriveBy === 'object' && {
+            arriveBy: Object.fromEntries(['morning', 'evening']
+                .filter(direction => isTime(route.arriveBy[direction]))
+                .map(direction => [direction, route.arriveBy[direction]]))
+        }),
+        ...(Object.hasOwn(RISK_LABELS, route.riskTolerance ?? '') && { riskTolerance: route.riskTolerance }),
+        ...(Object.hasOwn(RECOMMENDATION_PRESETS, route.recommendPreset ?? '') && { recommendPreset: route.recommendPreset })
+    });
+}
+
+// 'smart' or one of the fixed intervals (from a select, link or file), else null
+function parseSlotInterval(value) {
+    if (value === 'smart') return value;
+    return CONFIG.SLOTS.INTERVALS.includes(Number(value)) ? Number(value) : null;
+}
+
+function setActiveRoute(routeId) {
+    if (routeId === state.activeRouteId) return;
+
+    state.activeRouteId = routeId;
+    state.analysisResults = null;
+    state.weekResults = null;
+    state.weekDrillDay = null;
+
+    saveSettings();
+    renderRouteSwitcher();
+    updateRouteDisplay();
+    updateModeControls();
+    resetResults();
+    showLastAnalysis();
+}
+
+function renderRouteSwitcher() {
+    const routes = state.sharedRoute ? [...state.routes, state.sharedRoute] : state.routes;
+    elements.routeSwitcher.innerHTML = routes.map(route =>
+        `<option value="${route.id}">${route === state.sharedRoute ? '🔗 ' : ''}${escapeHTML(route.name)}</option>`
+    ).join('');
+    elements.routeSwitcher.value = state.activeRouteId;
+    elements.routeSwitcher.disabled = routes.length < 2;
+    elements.saveSharedBtn.classList.toggle('hidden', state.activeRouteId !== CONFIG.SHARE.ROUTE_ID);
+}
+
+// ========================================
+// Shared Links
+// ========================================
+// A link carries one route and the analysis to run on it, e.g.
+// ?name=Offsite&from=Home&to=Lodge&fromPlace=ChIJ...&stop=10:Cafe&date=2025-01-14&dir=morning
+//   &am=06:00-10:00&pm=16:00-20:00&model=pessimistic&mode=driving
+// arriveBy analyses add arrive=09:00,18:00 (morning,evening) and risk=best_guess.
+function buildShareLink() {
+    const route = getActiveRoute();
+    const params = new URLSearchParams({
+        name: route.name,
+        from: route.origin,
+        to: route.destination
+    });
+    if (route.originPlace) {
+        params.set('fromPlace', route.originPlace.placeId);
+    }
+    if (route.destinationPlace) {
+        params.set('toPlace', route.destinationPlace.placeId);
+    }
+    (route.stops || []).forEach(stop => params.append('stop', `${stop.dwellMinutes || 0}:${stop.address}`));
+    if (state.viewMode === 'day' && state.selectedDate) {
+        params.set('date', formatDateKey(state.selectedDate));
+    }
+    params.set('dir', state.selectedDirection);
+    params.set('am', `${route.timeSettings.morningStart}-${route.timeSettings.morningEnd}`);
+    params.set('pm', `${route.timeSettings.eveningStart}-${route.timeSettings.eveningEnd}`);
+    params.set('model', route.trafficModel);
+    params.set('mode', route.travelMode || 'driving');
+    params.set('step', route.slotInterval || CONFIG.DEFAULTS.INTERVAL_MINUTES);
+    if (state.analysisMode === 'arriveBy') {
+        params.set('arrive', `${getArriveByTime(route, 'morning')},${getArriveByTime(route, 'evening')}`);
+        params.set('risk', route.riskTolerance || CONFIG.DEFAULTS.RISK_TOLERANCE);
+    } else {
+        params.set('pick', route.recommendPreset || CONFIG.DEFAULTS.RECOMMEND_PRESET);
+    }
+
+    return `${location.origin}${location.pathname}?${params}`;
+}
+
+// Returns { route, date, direction, analysisMode } for a link built by
+// buildShareLink, or null when the URL doesn't carry a route
+function parseSharedLink(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('from') || !params.has('to')) return null;
+
+    const readWindow = value => (value || '').split('-');
+    const [morningStart, morningEnd] = readWindow(params.get('am'));
+    const [eveningStart, eveningEnd] = readWindow(params.get('pm'));
+    const [arriveMorning, arriveEvening] = (params.get('arrive') || '').split(',');
+
+    const route = sanitizeRoute({
+        id: CONFIG.SHARE.ROUTE_ID,
+        name: params.get('name'),
+        origin: params.get('from'),
+        destination: params.get('to'),
+        originPlace: { placeId: params.get('fromPlace') },
+        destinationPlace: { placeId: params.get('toPlace') },
+        stops: params.getAll('stop').map(stop => {
+            const separator = stop.indexOf(':');
+            return { dwellMinutes: stop.slice(0, separator), address: stop.slice(separator + 1) };
+        }),
+        trafficModel: params.get('model'),
+        travelMode: params.get('mode'),
+        slotInterval: params.get('step'),
+        timeSettings: { morningStart, morningEnd, eveningStart, eveningEnd },
+        arriveBy: { morning: arriveMorning, evening: arriveEvening },
+        riskTolerance: params.get('risk'),
+        recommendPreset: params.get('pick')
+    });
+    if (!route) return null;
+
+    return {
+        route: route,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(params.get('date')) ? params.get('date') : null,
+        direction: params.get('dir') === 'evening' ? 'evening' : 'morning',
+        analysisMode: params.has('arrive') ? 'arriveBy' : 'window'
+    };
+}
+
+// Selects the link's day and direction and runs its analysis
+function openSharedAnalysis({ date, direction }) {
+    if (date) {
+        const days = getNext7Days();
+        const index = days.findIndex(day => formatDateKey(day.fullDate) === date);
+        if (index === -1) {
+            showToast(`The shared date ${date} is not in the next ${CONFIG.WEEK.DAYS} days. Showing today instead.`, 'warning');
+        } else {
+            selectDay(elements.dayPicker.children[index], days[index].fullDate);
+        }
+    }
+
+    handleTabChange(direction);
+    handleAnalyze();
+}
+
+async function handleShare() {
+    const url = buildShareLink();
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Link copied! It opens this analysis for anyone.', 'success');
+    } catch {
+        window.prompt('Copy this link to share the analysis:', url);
+    }
+}
+
+// Only an explicit save turns a shared route into one of the user's own
+function handleSaveSharedRoute() {
+    const route = { ...state.sharedRoute, id: generateRouteId() };
+    state.routes.push(route);
+    state.sharedRoute = null;
+    state.activeRouteId = route.id;
+    history.replaceState(null, '', location.pathname);
+
+    saveSettings();
+    renderRouteSwitcher();
+    updateRouteDisplay();
+    updateModeControls();
+    showToast(`Saved ${route.name} to your routes`, 'success');
+}
+
+// ========================================
+// Stops Editor
+// ========================================
+function renderStopsEditor(container, stops) {
+    container.innerHTML = '';
+    stops.forEach(stop => addStopRow(container, stop));
+}
+
+function addStopRow(container, stop = { address: '', dwellMinutes: 0 }, focus = false) {
+    if (container.children.length >= CONFIG.STOPS.MAX) {
+        showToast(`A route can have at most ${CONFIG.STOPS.MAX} stops`, 'warning');
+        return;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'stop-row';
+    row.innerHTML = `
+        <input type="text" class="stop-address" placeholder="Stop address" aria-label="Stop address">
+        <input type="number" class="stop-dwell" min="0" max="${CONFIG.STOPS.MAX_DWELL_MINUTES}" step="1"
+               placeholder="min" aria-label="Minutes at stop">
+        <button type="button" class="icon-btn stop-remove" aria-label="Remove stop">✕</button>
+    `;
+    row.querySelector('.stop-address').value = stop.address;
+    row.querySelector('.stop-dwell').value = stop.dwellMinutes || '';
+    row.querySelector('.stop-remove').addEventListener('click', () => row.remove());
+    container.appendChild(row);
+
+    if (focus) {
+        row.querySelector('.stop-address').focus();
+    }
+}
+
+// Stops in order; rows left blank are dropped
+function readStopsEditor(container) {
+    return [...container.querySelectorAll('.stop-row')]
+        .map(row => ({
+            address: row.querySelector('.stop-address').value.trim(),
+            dwellMinutes: Math.min(
+                CONFIG.STOPS.MAX_DWELL_MINUTES,
+                Math.max(0, Math.round(Number(row.querySelector('.stop-dwell').value) || 0))
+            )
+        }))
+        .filter(stop => stop.address);
+}
+
+// ========================================
+// Address Autocomplete
+// ========================================
+// Suggestions come from /api/places as the user types. Picking one resolves
+// the input to a place, kept on the input (data-place) together with the
+// text it was resolved for, so typing over the address drops it.
+function setupAddressAutocomplete(input) {
+    const list = document.createElement('ul');
+    list.id = `${input.id}-suggestions`;
+    list.className = 'suggestions hidden';
+    list.setAttribute('role', 'listbox');
+    input.after(list);
+    input.parentElement.classList.add('has-suggestions');
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+
+    let predictions = [];
+    let highlighted = -1;
+    let sessionToken = null;
+    let debounceTimer = null;
+    let lookup = 0;
+
+    const close = () => {
+        predictions = [];
+        highlighted = -1;
+        list.classList.add('hidden');
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    const render = () => {
+        list.innerHTML = predictions.map((prediction, index) => `
+            <li id="${list.id}-${index}" class="suggestion${index === highlighted ? ' highlighted' : ''}"
+                role="option" aria-selected="${index === highlighted}" data-index="${index}">
+                <span class="suggestion-main">${escapeHTML(prediction.mainText)}</span>
+                <span class="suggestion-secondary">${escapeHTML(prediction.secondaryText)}</span>
+            </li>
+        `).join('');
+        list.classList.toggle('hidden', predictions.length === 0);
+        input.setAttribute('aria-expanded', String(predictions.length > 0));
+        if (highlighted >= 0) {
+            input.setAttribute('aria-activedescendant', `${list.id}-${highlighted}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    const choose = async prediction => {
+        input.value = prediction.description;
+        sessionToken = null;
+        close();
+
+        try {
+            setInputPlace(input, await fetchPlace({ placeId: prediction.placeId }));
+        } catch (error) {
+            console.warn('Failed to resolve address:', error);
+        }
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const text = input.value.trim();
+        if (text.length < CONFIG.AUTOCOMPLETE.MIN_INPUT_LENGTH) {
+            close();
+            return;
+        }
+
+        debounceTimer = setTimeout(async () => {
+            // One token per round of typing, so Google bills it as one session
+            sessionToken = sessionToken || `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+            const current = ++lookup;
+            try {
+                const results = await fetchPlaceSuggestions(text, sessionToken);
+                if (current !== lookup || document.activeElement !== input) return;
+                predictions = results;
+                highlighted = -1;
+                render();
+            } catch (error) {
+                console.warn('Address suggestions failed:', error);
+                close();
+            }
+        }, CONFIG.AUTOCOMPLETE.DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (predictions.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            highlighted = (highlighted + step + predictions.length) % predictions.length;
+            render();
+        } else if (e.key === 'Enter' && highlighted >= 0) {
+            e.preventDefault();
+            choose(predictions[highlighted]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    // Keep focus in the input so a click on a suggestion isn't lost to blur
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.suggestion');
+        if (item) choose(predictions[Number(item.dataset.index)]);
+    });
+    input.addEventListener('blur', close);
+}
+
+function setInputPlace(input, place) {
+    if (!place) {
+        delete input.dataset.place;
+        delete input.dataset.placeAddress;
+        return;
+    }
+
+    input.dataset.place = JSON.stringify({ placeId: place.placeId, lat: place.lat, lng: place.lng });
+    input.dataset.placeAddress = input.value.trim();
+}
+
+function readInputPlace(input) {
+    if (!input.dataset.place || input.dataset.placeAddress !== input.value.trim()) return null;
+    return JSON.parse(input.dataset.place);
+}
+
+/**
+ * The place for an address input: the suggestion that was picked, or else
+ * a geocode of the typed text. Throws if Google can't find the address;
+ * when the lookup itself fails (offline, rate limited) or the server has
+ * no geocoder, resolves to null and the text is used as typed.
+ */
+async function resolveAddressInput(input) {
+    const place = readInputPlace(input);
+    if (place) return place;
+
+    const address = input.value.trim();
+    try {
+        const resolved = await fetchPlace({ address });
+        if (!resolved.placeId) return null;
+        setInputPlace(input, resolved);
+        return readInputPlace(input);
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`Couldn't find "${address}". Check the address or pick a suggestion.`);
+        }
+        console.warn('Address check failed:', error);
+        return null;
+    }
+}
+
+// Directions take the place ID when there is one, so the lookup can't land
+// on a different place with a similar name
+function getPlaceQuery(address, place) {
+    return place?.placeId ? `place_id:${place.placeId}` : address;
+}
+
+async function fetchPlaceSuggestions(input, sessionToken) {
+    const params = new URLSearchParams({ input: input, session: sessionToken });
+    const response = await fetchWithToken(`/api/places?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw createApiError(response, data.error || 'Failed to fetch suggestions', data.code);
+    }
+    return data.predictions;
+}
+
+// { placeId } or { address } -> { placeId, lat, lng }. A server routing
+// without Google has no geocoder and answers addresses with a null placeId.
+async function fetchPlace(query) {
+    const response = await fetchWithToken(`/api/places?${new URLSearchParams(query)}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw createApiError(response, data.error || 'Failed to look up address', data.code);
+    }
+    return { placeId: data.placeId, lat: data.location?.lat ?? null, lng: data.location?.lng ?? null };
+}
+
 // ========================================
 // Day Picker
 // ========================================
@@ -195,6 +977,10 @@ function generateDayPicker() {
     days.forEach((day, index) => {
         const chip = document.createElement('button');
         chip.className = 'day-chip' + (index === 0 ? ' active' : '');
+        chip.setAttribute('role', 'radio');
+        chip.setAttribute('aria-checked', String(index === 0));
+        chip.setAttribute('aria-label', `${day.dayName} ${day.month} ${day.date}`);
+        chip.tabIndex = index === 0 ? 0 : -1;
         chip.innerHTML = `
             <span class="day-name">${day.dayName}</span>
             <span class="day-date">${day.date}</span>
@@ -207,6 +993,22 @@ function generateDayPicker() {
             state.selectedDate = day.fullDate;
         }
     });
+
+    const weekChip = document.createElement('button');
+    weekChip.className = 'day-chip week-chip';
+    weekChip.setAttribute('role', 'radio');
+    weekChip.setAttribute('aria-checked', 'false');
+    weekChip.setAttribute('aria-label', `All ${CONFIG.WEEK.DAYS} days`);
+    weekChip.tabIndex = -1;
+    weekChip.innerHTML = `
+        <span class="day-name">All</span>
+        <span class="day-date">7</span>
+        <span class="day-month">days</span>
+    `;
+    weekChip.addEventListener('click', () => selectWeek(weekChip));
+    elements.dayPicker.appendChild(weekChip);
+
+    state.viewMode = 'day';
 }
 
 function getNext7Days() {
@@ -214,7 +1016,7 @@ function getNext7Days() {
     const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < CONFIG.WEEK.DAYS; i++) {
         const date = new Date();
         date.setDate(date.getDate() + i);
 
@@ -230,10 +1032,35 @@ function getNext7Days() {
 }
 
 function selectDay(chip, date) {
-    document.querySelectorAll('.day-chip').forEach(c => c.classList.remove('active'));
-    chip.classList.add('active');
+    setActiveDayChip(chip);
     state.selectedDate = date;
+    state.viewMode = 'day';
+    state.analysisResults = null;
+    updateModeControls();
     resetResults();
+    showLastAnalysis();
+}
+
+// The picker is a radio group: one checked chip, which is also its tab stop
+function setActiveDayChip(chip) {
+    elements.dayPicker.querySelectorAll('.day-chip').forEach(c => {
+        c.classList.toggle('active', c === chip);
+        c.setAttribute('aria-checked', String(c === chip));
+        c.tabIndex = c === chip ? 0 : -1;
+    });
+}
+
+function selectWeek(chip) {
+    setActiveDayChip(chip);
+    state.viewMode = 'week';
+    state.analysisResults = null;
+    updateModeControls();
+
+    if (state.weekResults) {
+        renderWeekResults();
+    } else {
+        resetResults();
+    }
 }
 
 // ========================================
@@ -243,10 +1070,19 @@ function handleTabChange(direction) {
     state.selectedDirection = direction;
 
     elements.tabs.forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.direction === direction);
+        const isSelected = tab.dataset.direction === direction;
+        tab.classList.toggle('active', isSelected);
+        tab.setAttribute('aria-selected', String(isSelected));
+        tab.tabIndex = isSelected ? 0 : -1;
+        if (isSelected) {
+            elements.resultsPanel.setAttribute('aria-labelledby', tab.id);
+        }
     });
+    updateModeControls();
 
-    if (state.analysisResults && state.analysisResults[direction]) {
+    if (state.viewMode === 'week' && state.weekResults) {
+        renderWeekResults();
+    } else if (state.analysisResults && state.analysisResults[direction]) {
         renderResults(state.analysisResults[direction]);
     } else {
         resetResults();
@@ -254,125 +1090,659 @@ function handleTabChange(direction) {
 }
 
 // ========================================
-// Analysis
+// Analysis Mode
 // ========================================
-async function handleAnalyze() {
-    if (state.isAnalyzing) return;
+function setAnalysisMode(mode) {
+    if (mode === state.analysisMode) return;
 
-    if (!state.selectedDate) {
-        showToast('Please select a day first', 'warning');
-        return;
-    }
+    state.analysisMode = mode;
+    state.analysisResults = null;
+    saveSettings();
+    updateModeControls();
+    resetResults();
+}
 
-    const now = new Date();
-    const selectedDateEnd = new Date(state.selectedDate);
-    selectedDateEnd.setHours(23, 59, 59, 999);
+// Arrive-by works one day at a time, so its controls hide in week view
+function updateModeControls() {
+    const route = getActiveRoute();
+    const isWeek = state.viewMode === 'week';
+    const isArriveBy = state.analysisMode === 'arriveBy' && !isWeek;
 
-    if (selectedDateEnd < now) {
-        showToast('Cannot analyze past dates. Select today or a future date.', 'warning');
-        return;
-    }
+    elements.analysisModeToggle.classList.toggle('hidden', isWeek);
+    elements.modeButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === state.analysisMode);
+    });
+    elements.arriveByControls.classList.toggle('hidden', !isArriveBy);
 
-    setAnalyzing(true);
+    if (route) {
+        const travelMode = getTravelMode(route);
+        const hasStops = (route.stops || []).length > 0;
 
-    try {
-        const morningResults = await analyzeTimeRange('morning');
-        const eveningResults = await analyzeTimeRange('evening');
+        // Google can't route transit through stops; arrive-by plans one mode
+        elements.travelMode.querySelector('option[value="transit"]').disabled = hasStops;
+        elements.travelMode.querySelector('option[value="compare"]').disabled = hasStops || isArriveBy;
+        elements.travelMode.value = travelMode;
 
-        state.analysisResults = {
-            morning: morningResults,
-            evening: eveningResults
-        };
+        elements.riskToleranceGroup.classList.toggle('hidden', travelMode !== 'driving');
+        elements.arriveByTime.value = getArriveByTime(route, state.selectedDirection);
+        elements.riskTolerance.value = route.riskTolerance || CONFIG.DEFAULTS.RISK_TOLERANCE;
 
-        renderResults(state.analysisResults[state.selectedDirection]);
-        showToast('Analysis complete!', 'success');
-    } catch (error) {
-        console.error('Analysis error:', error);
-        showToast(error.message || 'Failed to analyze commute', 'error');
-    } finally {
-        setAnalyzing(false);
+        // Presets weigh the traffic models against each other, so they need all three
+        const canPickPreset = !isWeek && !isArriveBy && travelMode === 'driving' && route.trafficModel === 'compare_all';
+        elements.recommendPresetGroup.classList.toggle('hidden', !canPickPreset);
+        elements.recommendPreset.value = route.recommendPreset || CONFIG.DEFAULTS.RECOMMEND_PRESET;
     }
 }
 
-async function analyzeTimeRange(direction) {
-    const isMorning = direction === 'morning';
-    const start = isMorning ? state.timeSettings.morningStart : state.timeSettings.eveningStart;
-    const end = isMorning ? state.timeSettings.morningEnd : state.timeSettings.eveningEnd;
-    const origin = isMorning ? state.homeAddress : state.workAddress;
-    const destination = isMorning ? state.workAddress : state.homeAddress;
+// The route's travel mode, falling back to driving where it can't apply
+function getTravelMode(route) {
+    const travelMode = route.travelMode || 'driving';
+    const hasStops = (route.stops || []).length > 0;
 
-    const times = generateTimeSlots(start, end, CONFIG.DEFAULTS.INTERVAL_MINUTES);
-    const now = new Date();
+    if (hasStops && (travelMode === 'transit' || travelMode === 'compare')) return 'driving';
+    if (travelMode === 'compare' && state.analysisMode === 'arriveBy' && state.viewMode !== 'week') return 'driving';
+    return travelMode;
+}
 
-    const futureTimes = times.filter(time => {
-        const departureTime = combineDateAndTime(state.selectedDate, time);
-        return departureTime > now;
-    });
+function handleTravelModeChange() {
+    const route = getActiveRoute();
+    route.travelMode = elements.travelMode.value;
+    saveSettings();
+    syncWatchedRoute(route);
 
-    if (futureTimes.length === 0) {
-        const periodName = isMorning ? 'morning' : 'evening';
-        const timeRange = `${formatTime(start)} - ${formatTime(end)}`;
-        throw new Error(`All ${periodName} times (${timeRange}) have passed for today. Try selecting tomorrow.`);
-    }
+    state.analysisResults = null;
+    state.weekResults = null;
+    updateModeControls();
+    resetResults();
+}
 
-    const isCompareAll = state.trafficModel === 'compare_all';
-    const trafficModels = isCompareAll
-        ? [
-            { key: 'optimistic', model: 'optimistic' },
-            { key: 'best_guess', model: 'best_guess' },
-            { key: 'pessimistic', model: 'pessimistic' }
-        ]
-        : [{ key: 'single', model: state.trafficModel }];
+function getArriveByTime(route, direction) {
+    const fallback = direction === 'morning'
+        ? CONFIG.DEFAULTS.ARRIVE_BY_MORNING
+        : CONFIG.DEFAULTS.ARRIVE_BY_EVENING;
+    return route.arriveBy?.[direction] || fallback;
+}
 
-    const results = [];
-    let lastError = null;
+function handleArriveByTimeChange() {
+    const route = getActiveRoute();
+    if (!elements.arriveByTime.value) return;
 
-    for (const time of futureTimes) {
-        const departureTime = combineDateAndTime(state.selectedDate, time);
-        const resultEntry = {
-            time: time,
-            departureTime: departureTime
-        };
+    route.arriveBy = { ...route.arriveBy, [state.selectedDirection]: elements.arriveByTime.value };
+    saveSettings();
 
-        for (const { key, model } of trafficModels) {
-            try {
-                const duration = await fetchTravelTime(origin, destination, departureTime, model);
-                if (isCompareAll) {
-                    resultEntry[key] = {
-                        duration: duration,
-                        durationMinutes: Math.round(duration / 60)
-                    };
-                } else {
-                    resultEntry.duration = duration;
-                    resultEntry.durationMinutes = Math.round(duration / 60);
-                }
-            } catch (error) {
-                console.warn(`Failed to fetch time for ${time} (${key}):`, error);
-                lastError = error;
-                if (isCompareAll) {
-                    resultEntry[key] = null;
-                }
-            }
+    // A new target needs a different departure window
+    if (state.analysisResults) {
+        state.analysisResults[state.selectedDirection] = null;
+        resetResults();
+    }
+}
 
-            await sleep(200);
-        }
+// Risk only changes which fetched departure is picked, so re-rank in place
+function handleRiskToleranceChange() {
+    const route = getActiveRoute();
+    route.riskTolerance = elements.riskTolerance.value;
+    saveSettings();
 
-        if (isCompareAll) {
-            if (resultEntry.optimistic || resultEntry.best_guess || resultEntry.pessimistic) {
-                results.push(resultEntry);
-            }
-        } else if (resultEntry.duration) {
-            results.push(resultEntry);
+    if (!state.analysisResults) return;
+
+    ['morning', 'evening'].forEach(direction => {
+        const results = state.analysisResults[direction];
+        if (results?.arriveBy) {
+            state.analysisResults[direction] = applyArriveBy(results, results.arriveBy.target, route.riskTolerance);
         }
-    }
+    });
+    handleTabChange(state.selectedDirection);
+}
 
-    if (results.length === 0) {
-        if (lastError) throw lastError;
-        throw new Error('Failed to fetch travel times. Please check your addresses.');
-    }
+// Like risk tolerance, a preset only re-ranks the fetched departures
+function handleRecommendPresetChange() {
+    const route = getActiveRoute();
+    route.recommendPreset = elements.recommendPreset.value;
+    saveSettings();
 
-    if (isCompareAll) {
+    if (!state.analysisResults) return;
+
+    rerankWindowResults(state.analysisResults, route.recommendPreset);
+    handleTabChange(state.selectedDirection);
+}
+
+// Applies a preset to both directions of a Compare All window analysis
+function rerankWindowResults(analysis, preset) {
+    ['morning', 'evening'].forEach(direction => {
+        const results = analysis[direction];
+        if (results?.isCompareAll && !results.arriveBy) {
+            analysis[direction] = applyRecommendation(results, preset);
+        }
+    });
+}
+
+// ========================================
+// Analysis
+// ========================================
+function handleAnalyze() {
+    return runAnalysis({
+        routeId: state.activeRouteId,
+        viewMode: state.viewMode,
+        analysisMode: state.analysisMode,
+        date: state.viewMode === 'day' && state.selectedDate ? formatDateKey(state.selectedDate) : null
+    });
+}
+
+// Runs one analysis request: { routeId, viewMode, analysisMode, date } with
+// date as YYYY-MM-DD for day runs. Requests made offline are queued and run
+// once the connection is back (see runQueuedAnalyses).
+async function runAnalysis(request) {
+    if (state.isAnalyzing) return;
+
+    if (state.rateLimitedUntil > Date.now()) {
+        const seconds = Math.ceil((state.rateLimitedUntil - Date.now()) / 1000);
+        showToast(`Rate limit reached. Try again in ${formatCountdown(seconds)}.`, 'warning');
+        return;
+    }
+
+    const route = findRoute(request.routeId);
+    if (!route) return;
+
+    if (request.viewMode === 'week') {
+        await handleAnalyzeWeek(request, route);
+        return;
+    }
+
+    if (!request.date) {
+        showToast('Please select a day first', 'warning');
+        return;
+    }
+
+    if (request.date < formatDateKey(new Date())) {
+        showToast('Cannot analyze past dates. Select today or a future date.', 'warning');
+        return;
+    }
+
+    if (!navigator.onLine) {
+        queueAnalysis(request);
+        return;
+    }
+
+    const date = parseDateKey(request.date);
+    const controller = new AbortController();
+    setAnalyzing(true, controller);
+
+    try {
+        const analyze = request.analysisMode === 'arriveBy' ? analyzeArriveBy : analyzeWindow;
+        const results = { morning: null, evening: null };
+        for (const direction of ['morning', 'evening']) {
+            if (controller.signal.aborted) break;
+            try {
+                results[direction] = await analyze(direction, {
+                    route: route,
+                    date: date,
+                    signal: controller.signal,
+                    onProgress: progress => showAnalysisProgress(route, request.date, direction, progress)
+                });
+            } catch (error) {
+                if (!error.cancelled) throw error;
+            }
+        }
+
+        // A cancelled run shows what it got, but isn't saved in place of a full one
+        if (controller.signal.aborted) {
+            if (isShowingDay(route.id, request.date)) {
+                state.analysisResults = results;
+                renderResults(results[state.selectedDirection]);
+            }
+            showToast(results.morning || results.evening
+                ? 'Analysis cancelled. Showing the departures checked so far.'
+                : 'Analysis cancelled', 'info');
+            return;
+        }
+
+        recordAnalysis(results.morning, { route, date, direction: 'morning' });
+        recordAnalysis(results.evening, { route, date, direction: 'evening' });
+        saveLastAnalysis(route.id, request.date, results);
+
+        // A queued run may finish after the user has moved to another day
+        if (isShowingDay(route.id, request.date)) {
+            state.analysisResults = results;
+            renderResults(state.analysisResults[state.selectedDirection]);
+        }
+        showToast('Analysis complete!', 'success');
+    } catch (error) {
+        console.error('Analysis error:', error);
+        if (error.offline) {
+            queueAnalysis(request);
+        } else if (error.retryAfter) {
+            startRateLimitCountdown(error.retryAfter);
+        } else {
+            showToast(error.message || 'Failed to analyze commute', 'error');
+        }
+    } finally {
+        setAnalyzing(false);
+    }
+}
+
+// Streams a day run into the chart: bars appear as their departures come
+// back, with a count of the lookups done so far
+function showAnalysisProgress(route, dateKey, direction, { done, total, results, retrying }) {
+    const label = direction === 'morning' ? 'Morning' : 'Evening';
+    if (retrying) {
+        setAnalyzingProgress(`${label}: ${ERROR_KINDS[retrying.kind].label}, retrying in ${retrying.seconds}s`);
+    } else {
+        setAnalyzingProgress(total ? `${label}: ${done}/${total} requests` : `${label}...`);
+    }
+
+    if (results && direction === state.selectedDirection && isShowingDay(route.id, dateKey)) {
+        renderChart(results);
+    }
+}
+
+// Fetches the failed departures of the direction on screen again and
+// merges them into its results
+async function handleRetryFailedSlots(e) {
+    if (!e.target.closest('.retry-failed-btn') || state.isAnalyzing) return;
+
+    const route = getActiveRoute();
+    const direction = state.selectedDirection;
+    const previous = state.analysisResults?.[direction];
+    if (!route || !previous?.failed?.length) return;
+
+    const dateKey = formatDateKey(state.selectedDate);
+    const controller = new AbortController();
+    setAnalyzing(true, controller);
+    setAnalyzingProgress(`Retrying ${previous.failed.length} departures...`);
+
+    try {
+        const analyze = previous.arriveBy ? analyzeArriveBy : analyzeWindow;
+        const results = await analyze(direction, {
+            route: route,
+            date: state.selectedDate,
+            signal: controller.signal,
+            retry: previous
+        });
+        const analysis = { ...state.analysisResults, [direction]: results };
+
+        // Cancelled runs were never saved, so their retries aren't either
+        if (!results.partial) {
+            saveLastAnalysis(route.id, dateKey, { morning: analysis.morning, evening: analysis.evening });
+        }
+        if (isShowingDay(route.id, dateKey)) {
+            state.analysisResults = analysis;
+            if (state.selectedDirection === direction) {
+                renderResults(results);
+            }
+        }
+
+        showToast(results.failed.length > 0
+            ? `${results.failed.length} ${results.failed.length === 1 ? 'departure' : 'departures'} still failed`
+            : 'All departures loaded', results.failed.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Retry error:', error);
+        if (error.cancelled) {
+            showToast('Retry cancelled', 'info');
+        } else if (error.retryAfter) {
+            startRateLimitCountdown(error.retryAfter);
+        } else {
+            showToast(error.message || 'Failed to retry departures', 'error');
+        }
+    } finally {
+        setAnalyzing(false);
+    }
+}
+
+// Runs both windows for every day in the picker. Days whose windows have
+// already passed are left empty; rate limit refusals are waited out.
+async function handleAnalyzeWeek(request, route) {
+    if (!navigator.onLine) {
+        queueAnalysis(request);
+        return;
+    }
+
+    const controller = new AbortController();
+    setAnalyzing(true, controller);
+
+    try {
+        const days = getNext7Days();
+        const trafficModel = route.trafficModel === 'compare_all' ? 'best_guess' : route.trafficModel;
+        const weekDays = [];
+
+        for (const [index, day] of days.entries()) {
+            if (controller.signal.aborted) break;
+            const dayLabel = `Analyzing ${day.dayName} (${index + 1}/${days.length})`;
+            setAnalyzingProgress(`${dayLabel}...`);
+
+            const dayResults = { ...day };
+            for (const direction of ['morning', 'evening']) {
+                try {
+                    dayResults[direction] = await analyzeTimeRange(direction, {
+                        route: route,
+                        date: day.fullDate,
+                        trafficModel: trafficModel,
+                        signal: controller.signal,
+                        onProgress: ({ done, total, retrying }) => setAnalyzingProgress(retrying
+                            ? `${dayLabel}: ${ERROR_KINDS[retrying.kind].label}, retrying in ${retrying.seconds}s`
+                            : `${dayLabel} · ${done}/${total}`)
+                    });
+                } catch (error) {
+                    if (!error.windowPassed && !error.cancelled) throw error;
+                    dayResults[direction] = null;
+                }
+            }
+            weekDays.push(dayResults);
+
+            // Days cut short by a cancel are shown but not kept
+            if (controller.signal.aborted) break;
+            recordAnalysis(dayResults.morning, { route, date: day.fullDate, direction: 'morning' });
+            recordAnalysis(dayResults.evening, { route, date: day.fullDate, direction: 'evening' });
+            saveLastAnalysis(route.id, formatDateKey(day.fullDate), {
+                morning: dayResults.morning,
+                evening: dayResults.evening
+            });
+        }
+
+        const outcome = controller.signal.aborted ? 'cancelled' : 'complete!';
+        if (route.id !== state.activeRouteId) {
+            showToast(`Week analysis for ${route.name} ${outcome}`, controller.signal.aborted ? 'info' : 'success');
+            return;
+        }
+
+        state.weekResults = { days: weekDays };
+        state.weekDrillDay = null;
+
+        if (state.viewMode === 'week') {
+            renderWeekResults();
+        }
+        showToast(`Week analysis ${outcome}`, controller.signal.aborted ? 'info' : 'success');
+    } catch (error) {
+        console.error('Week analysis error:', error);
+        if (error.offline) {
+            queueAnalysis(request);
+        } else if (error.retryAfter) {
+            startRateLimitCountdown(error.retryAfter);
+        } else {
+            showToast(error.message || 'Failed to analyze week', 'error');
+        }
+    } finally {
+        setAnalyzing(false);
+    }
+}
+
+// Morning runs the route outbound (origin -> destination), evening runs it back
+async function analyzeTimeRange(direction, {
+    route = getActiveRoute(),
+    date = state.selectedDate,
+    trafficModel = route.trafficModel,
+    travelMode = getTravelMode(route),
+    startTime = null,
+    endTime = null,
+    signal = null,
+    onProgress = null,
+    retry = null
+} = {}) {
+    const isMorning = direction === 'morning';
+    const start = startTime || (isMorning ? route.timeSettings.morningStart : route.timeSettings.eveningStart);
+    const end = endTime || (isMorning ? route.timeSettings.morningEnd : route.timeSettings.eveningEnd);
+    const origin = isMorning
+        ? getPlaceQuery(route.origin, route.originPlace)
+        : getPlaceQuery(route.destination, route.destinationPlace);
+    const destination = isMorning
+        ? getPlaceQuery(route.destination, route.destinationPlace)
+        : getPlaceQuery(route.origin, route.originPlace);
+    const stops = isMorning ? route.stops || [] : [...(route.stops || [])].reverse();
+
+    const interval = route.slotInterval || CONFIG.DEFAULTS.INTERVAL_MINUTES;
+    const times = generateTimeSlots(start, end, interval === 'smart' ? CONFIG.SLOTS.COARSE_MINUTES : interval);
+    const now = new Date();
+
+    const futureTimes = times.filter(time => {
+        const departureTime = combineDateAndTime(date, time);
+        return departureTime > now;
+    });
+
+    if (futureTimes.length === 0) {
+        const periodName = isMorning ? 'morning' : 'evening';
+        const timeRange = `${formatTime(start)} - ${formatTime(end)}`;
+        const error = new Error(`All ${periodName} times (${timeRange}) have passed for today. Try selecting tomorrow.`);
+        error.windowPassed = true;
+        throw error;
+    }
+
+    // Each variant reads slot.results[model]; non-driving modes are reported
+    // under their mode name and take no traffic model
+    const drivingModel = trafficModel === 'compare_all' ? 'best_guess' : trafficModel;
+    const isCompareModes = travelMode === 'compare';
+    const isCompareAll = trafficModel === 'compare_all' && travelMode === 'driving';
+    let trafficModels;
+    if (isCompareModes) {
+        trafficModels = [
+            { key: 'driving', model: drivingModel },
+            { key: 'transit', model: 'transit' }
+        ];
+    } else if (isCompareAll) {
+        trafficModels = [
+            { key: 'optimistic', model: 'optimistic' },
+            { key: 'best_guess', model: 'best_guess' },
+            { key: 'pessimistic', model: 'pessimistic' }
+        ];
+    } else {
+        trafficModels = [{ key: 'single', model: travelMode === 'driving' ? trafficModel : travelMode }];
+    }
+    const travelModes = isCompareModes ? ['driving', 'transit'] : [travelMode];
+    const series = getDurationSeries(travelMode, trafficModel);
+
+    // Smart sampling refines around whichever durations pick the optimum
+    const rankingModels = isCompareModes ? [drivingModel, 'transit'] : [isCompareAll ? 'best_guess' : trafficModels[0].model];
+    const context = { trafficModels, isCompareAll, isCompareModes, series };
+    const request = {
+        origin: origin,
+        destination: destination,
+        waypoints: stops.map(stop => ({ location: stop.address, dwellMinutes: stop.dwellMinutes || 0 })),
+        date: date,
+        startTime: start,
+        endTime: end,
+        trafficModels: isCompareAll ? trafficModels.map(({ model }) => model) : [drivingModel],
+        travelModes: travelModes
+    };
+
+    if (retry) {
+        return refetchFailedSlots(retry, request, context, signal);
+    }
+
+    // Slots stream in as they finish. If the run is cancelled, the ones that
+    // made it are the results, marked partial.
+    const progress = { done: 0, total: 0 };
+    const received = [];
+    const report = (extra = {}) => onProgress?.({ ...progress, ...extra, results: buildWindowResults(orderSlots(received), context) });
+
+    let slots;
+    try {
+        slots = await fetchWindowSlots(request, interval, rankingModels, {
+            signal: signal,
+            onStart: lookups => {
+                progress.total += lookups;
+                report();
+            },
+            onSlot: slot => {
+                received.push(slot);
+                progress.done += Object.keys(slot.results).length;
+                report();
+            },
+            onRetry: (error, delay) => report({ retrying: { kind: error.kind, seconds: Math.ceil(delay / 1000) } })
+        });
+    } catch (error) {
+        if (!error.cancelled || received.length === 0) throw error;
+        slots = orderSlots(received);
+    }
+
+    const failed = findFailedSlots(slots, trafficModels);
+    const results = buildWindowResults(slots, context);
+    if (!results) {
+        const error = new Error(failed[0]?.error || 'Failed to fetch travel times. Please check your addresses.');
+        error.code = failed[0]?.code || null;
+        error.kind = failed[0]?.kind || 'upstream';
+        throw error;
+    }
+
+    results.failed = failed;
+    if (signal?.aborted) {
+        results.partial = { ...progress };
+    }
+    return results;
+}
+
+/**
+ * Departures whose lookups didn't all come back, as
+ * [{ time, departureTime, kind, error }]. A slot missing only some of its
+ * lookups is still charted with what it has.
+ */
+function findFailedSlots(slots, trafficModels) {
+    return slots.flatMap(slot => {
+        const missing = trafficModels
+            .map(({ model }) => slot.results[model])
+            .filter(slotResult => !slotResult?.duration);
+        if (missing.length === 0) return [];
+
+        const message = missing[0]?.error || 'Failed to fetch directions';
+        const code = missing[0]?.code || 'UPSTREAM_ERROR';
+        return [{
+            time: slot.time,
+            departureTime: slot.departureTime,
+            code: code,
+            kind: getErrorKind(code, 502),
+            error: API_ERRORS[code]?.message || message
+        }];
+    });
+}
+
+// Fetches just the failed departures of an earlier run, one request each,
+// and merges them into its results. Departures that have passed since are
+// dropped; ones that fail again stay failed.
+async function refetchFailedSlots(previous, request, context, signal) {
+    const now = new Date();
+    const times = previous.failed
+        .map(slot => slot.time)
+        .filter(time => combineDateAndTime(request.date, time) > now);
+
+    const slots = [];
+    const failed = [];
+    await Promise.all(times.map(async time => {
+        try {
+            const window = await fetchTimeWindow({
+                ...request,
+                startTime: time,
+                endTime: time,
+                intervalMinutes: CONFIG.SLOTS.FINE_MINUTES
+            }, { signal });
+            slots.push(...window.slots);
+        } catch (error) {
+            if (error.cancelled) throw error;
+            failed.push({
+                time: time,
+                departureTime: combineDateAndTime(request.date, time).toISOString(),
+                code: error.code || null,
+                kind: error.kind || 'upstream',
+                error: error.message
+            });
+        }
+    }));
+    failed.push(...findFailedSlots(slots, context.trafficModels));
+
+    // Refetched departures replace the partial ones the run had
+    const refetched = slots.map(slot => toResultEntry(slot, context)).filter(Boolean);
+    const replaced = new Set(refetched.map(result => result.time));
+    const kept = previous.times
+        .filter(result => !replaced.has(result.time))
+        .map(result => ({ ...result, departureTime: new Date(result.departureTime), isOptimal: false }));
+
+    const results = summarizeWindow(orderSlots([...kept, ...refetched]), context);
+    results.failed = orderSlots(failed);
+    if (previous.partial) {
+        results.partial = previous.partial;
+    }
+    return results;
+}
+
+// Slots in departure order, one per time (a refining pass can repeat a
+// coarse time)
+function orderSlots(slots) {
+    const byTime = new Map();
+    slots.forEach(slot => {
+        if (!byTime.has(slot.time)) byTime.set(slot.time, slot);
+    });
+    return [...byTime.values()].sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+}
+
+/**
+ * Turn /api/window slots into the results the app renders, keeping the
+ * departures that have a usable duration. context is { trafficModels,
+ * isCompareAll, isCompareModes, series } from analyzeTimeRange.
+ * Returns null when no departure has one.
+ */
+function buildWindowResults(slots, context) {
+    return summarizeWindow(slots.map(slot => toResultEntry(slot, context)).filter(Boolean), context);
+}
+
+// One slot as a chart entry, or null if none of its lookups came back
+function toResultEntry(slot, { trafficModels, isCompareAll, isCompareModes }) {
+    const isMulti = isCompareAll || isCompareModes;
+    const resultEntry = {
+        time: slot.time,
+        departureTime: new Date(slot.departureTime),
+        ...(slot.refined && { refined: true })
+    };
+
+    for (const { key, model } of trafficModels) {
+        const slotResult = slot.results[model];
+        if (slotResult && slotResult.duration) {
+            // Per-leg split and alternatives shown in the tooltip follow the headline model
+            if (key === 'best_guess' || key === 'single' || key === 'driving') {
+                resultEntry.legs = slotResult.legs;
+                resultEntry.route = slotResult.summary || '';
+                resultEntry.alternatives = slotResult.routes || [];
+            }
+
+            if (isMulti) {
+                resultEntry[key] = {
+                    duration: slotResult.duration,
+                    durationMinutes: Math.round(slotResult.duration / 60),
+                    route: slotResult.summary || '',
+                    transitDetails: slotResult.transit
+                };
+            } else {
+                resultEntry.duration = slotResult.duration;
+                resultEntry.durationMinutes = Math.round(slotResult.duration / 60);
+                resultEntry.transitDetails = slotResult.transit;
+            }
+        } else if (isMulti) {
+            resultEntry[key] = null;
+        }
+    }
+
+    if (isCompareModes) {
+        // Headline duration is whichever mode is quicker for this slot
+        const modes = ['driving', 'transit'].filter(mode => resultEntry[mode]);
+        if (modes.length === 0) return null;
+
+        resultEntry.bestMode = modes.reduce((best, mode) =>
+            resultEntry[mode].duration < resultEntry[best].duration ? mode : best
+        );
+        resultEntry.duration = resultEntry[resultEntry.bestMode].duration;
+        resultEntry.durationMinutes = resultEntry[resultEntry.bestMode].durationMinutes;
+        return resultEntry;
+    }
+    if (isCompareAll) {
+        return resultEntry.optimistic || resultEntry.best_guess || resultEntry.pessimistic ? resultEntry : null;
+    }
+    return resultEntry.duration ? resultEntry : null;
+}
+
+// Picks the optimal departure and the chart's scale for a run's entries
+function summarizeWindow(results, { isCompareAll, isCompareModes, series }) {
+    if (results.length === 0) return null;
+
+    if (isCompareAll) {
+        // Compare All is ranked on best_guess, so it needs at least one
         const validResults = results.filter(r => r.best_guess);
+        if (validResults.length === 0) return null;
+
         const maxDuration = Math.max(...results.map(r =>
             Math.max(
                 r.optimistic?.duration || 0,
@@ -401,11 +1771,16 @@ async function analyzeTimeRange(direction) {
             savingsMinutes: Math.round(savingsSeconds / 60),
             minDuration: globalMin,
             maxDuration: maxDuration,
-            isCompareAll: true
+            isCompareAll: true,
+            series: series
         };
     } else {
-        const minDuration = Math.min(...results.map(r => r.duration));
-        const maxDuration = Math.max(...results.map(r => r.duration));
+        // Drive-vs-transit charts both modes on one scale
+        const slotDurations = r => isCompareModes
+            ? [r.driving?.duration, r.transit?.duration].filter(Boolean)
+            : [r.duration];
+        const minDuration = Math.min(...results.flatMap(slotDurations));
+        const maxDuration = Math.max(...results.flatMap(slotDurations));
 
         results.forEach(result => {
             const ratio = result.duration / minDuration;
@@ -423,285 +1798,2927 @@ async function analyzeTimeRange(direction) {
         );
         optimal.isOptimal = true;
 
-        const savingsSeconds = maxDuration - optimal.duration;
+        const savingsSeconds = maxDuration - optimal.duration;
+
+        return {
+            times: results,
+            optimal: optimal,
+            savingsMinutes: Math.round(savingsSeconds / 60),
+            minDuration: minDuration,
+            maxDuration: maxDuration,
+            isCompareAll: false,
+            isCompareModes: isCompareModes,
+            series: series
+        };
+    }
+}
+
+// Best time in the window; Compare All runs are ranked by the route's preset
+async function analyzeWindow(direction, { route = getActiveRoute(), date = state.selectedDate, signal = null, onProgress = null, retry = null } = {}) {
+    const rank = results => results.isCompareAll
+        ? applyRecommendation(results, route.recommendPreset || CONFIG.DEFAULTS.RECOMMEND_PRESET)
+        : results;
+
+    return rank(await analyzeTimeRange(direction, { route, date, signal, retry, onProgress: mapProgress(onProgress, rank) }));
+}
+
+// Streamed partial results go through the same finishing step as the final ones
+function mapProgress(onProgress, finish) {
+    return onProgress && (progress => onProgress({ ...progress, results: progress.results && finish(progress.results) }));
+}
+
+// Fetches all three traffic models for departures leading up to the target
+// arrival, then recommends the latest one that still arrives on time
+async function analyzeArriveBy(direction, { route = getActiveRoute(), date = state.selectedDate, signal = null, onProgress = null, retry = null } = {}) {
+    const target = getArriveByTime(route, direction);
+    const targetMinutes = timeToMinutes(target);
+    const startMinutes = Math.max(0, targetMinutes - CONFIG.ARRIVE_BY.LOOKBACK_MINUTES);
+    const interval = route.slotInterval || CONFIG.DEFAULTS.INTERVAL_MINUTES;
+    const endMinutes = targetMinutes - (interval === 'smart' ? CONFIG.SLOTS.FINE_MINUTES : interval);
+
+    if (endMinutes < startMinutes) {
+        throw new Error(`Arrival at ${formatTime(target)} is too early in the day to plan for.`);
+    }
+
+    // Driving spreads the three traffic models; other modes have one answer
+    const travelMode = getTravelMode(route);
+    const plan = results => applyArriveBy(results, target, route.riskTolerance || CONFIG.DEFAULTS.RISK_TOLERANCE);
+    const results = await analyzeTimeRange(direction, {
+        route: route,
+        date: date,
+        trafficModel: travelMode === 'driving' ? 'compare_all' : route.trafficModel,
+        travelMode: travelMode,
+        startTime: minutesToTime(startMinutes),
+        endTime: minutesToTime(endMinutes),
+        signal: signal,
+        onProgress: mapProgress(onProgress, plan),
+        retry: retry
+    });
+
+    return plan(results);
+}
+
+// Walks departures backward from the target and marks the latest on-time one
+// under riskModel as optimal. Also finds the latest departure that is on time
+// even with pessimistic traffic. Single-mode results ignore riskModel.
+function applyArriveBy(results, target, riskModel) {
+    const targetTime = combineDateAndTime(results.times[0].departureTime, target);
+    const entryFor = (result, model) => results.isCompareAll ? result[model] : result;
+    const arrivalFor = (result, model) => entryFor(result, model)?.duration
+        ? new Date(new Date(result.departureTime).getTime() + entryFor(result, model).duration * 1000)
+        : null;
+    const slackMinutes = (result, model) => Math.floor((targetTime - arrivalFor(result, model)) / 60000);
+    const latestOnTime = model => [...results.times].reverse().find(result => {
+        const arrival = arrivalFor(result, model);
+        return arrival && arrival <= targetTime;
+    }) || null;
+
+    results.times.forEach(result => {
+        const arrival = arrivalFor(result, riskModel);
+        result.isOptimal = false;
+        result.isLate = !arrival || arrival > targetTime;
+    });
+
+    const recommended = latestOnTime(riskModel);
+    const safest = results.isCompareAll ? latestOnTime('pessimistic') : null;
+    if (recommended) {
+        recommended.isOptimal = true;
+    }
+
+    return {
+        ...results,
+        optimal: recommended,
+        arriveBy: {
+            target: target,
+            riskModel: riskModel,
+            slackMinutes: recommended ? slackMinutes(recommended, riskModel) : null,
+            safest: safest ? { time: safest.time, slackMinutes: slackMinutes(safest, 'pessimistic') } : null
+        }
+    };
+}
+
+// How each preset scores a Compare All slot (lower is better). The spread
+// between pessimistic and optimistic traffic stands in for uncertainty.
+const RECOMMENDATION_PRESETS = {
+    average: {
+        label: 'Fastest on average',
+        score: result => result.best_guess.duration
+    },
+    predictable: {
+        label: 'Most predictable',
+        score: result => result.best_guess.duration + getSlotSpread(result)
+    },
+    worst_case: {
+        label: 'Minimize worst case',
+        score: result => (result.pessimistic || result.best_guess).duration
+    }
+};
+
+// Seconds between the best and worst case for a slot
+function getSlotSpread(result) {
+    const low = (result.optimistic || result.best_guess).duration;
+    const high = (result.pessimistic || result.best_guess).duration;
+    return Math.max(0, high - low);
+}
+
+// The departure a preset scores best; ties go to the one that's faster on
+// average, then the earlier one
+function findRecommended(times, preset) {
+    const { score } = RECOMMENDATION_PRESETS[preset];
+    return times.filter(result => result.best_guess).reduce((best, current) => {
+        const difference = score(current) - score(best);
+        return difference < 0 || (difference === 0 && current.best_guess.duration < best.best_guess.duration) ? current : best;
+    });
+}
+
+// Marks the departure the preset scores best as optimal
+function applyRecommendation(results, requestedPreset) {
+    const preset = Object.hasOwn(RECOMMENDATION_PRESETS, requestedPreset ?? '')
+        ? requestedPreset
+        : CONFIG.DEFAULTS.RECOMMEND_PRESET;
+    const optimal = findRecommended(results.times, preset);
+
+    results.times.forEach(result => {
+        result.isOptimal = result === optimal;
+    });
+
+    return {
+        ...results,
+        optimal: optimal,
+        savingsMinutes: Math.round((results.maxDuration - optimal.best_guess.duration) / 60),
+        recommendation: { preset: preset }
+    };
+}
+
+// Which durations getSlotDuration reads for a run: best_guess for Compare
+// All, the fastest mode for drive-vs-transit, otherwise the one requested.
+// History records are only compared within a series.
+function getDurationSeries(travelMode, trafficModel) {
+    if (travelMode === 'compare') return 'compare';
+    if (travelMode !== 'driving') return travelMode;
+    return `driving:${trafficModel === 'compare_all' ? 'best_guess' : trafficModel}`;
+}
+
+// Departure slots from /api/window. Smart sampling makes a coarse pass, then
+// re-samples finely around its local minima and steepest ramps, where the
+// best time and the edges of rush hour are. Refinement is best effort: the
+// coarse slots stand if a refining pass fails.
+async function fetchWindowSlots(request, interval, rankingModels, stream = {}) {
+    if (interval !== 'smart') {
+        const { slots } = await fetchTimeWindow({ ...request, intervalMinutes: interval }, stream);
+        return slots;
+    }
+
+    const coarse = await fetchTimeWindow({ ...request, intervalMinutes: CONFIG.SLOTS.COARSE_MINUTES }, stream);
+    const durationOf = slot => Math.min(...rankingModels.map(model => slot.results[model]?.duration || Infinity));
+    const points = coarse.slots
+        .map(slot => ({ minutes: timeToMinutes(slot.time), duration: durationOf(slot) }))
+        .filter(point => Number.isFinite(point.duration));
+    const ranges = findRefinementRanges(points, timeToMinutes(request.startTime), timeToMinutes(request.endTime));
+
+    const passes = await Promise.all(ranges.map(range =>
+        fetchTimeWindow({
+            ...request,
+            startTime: minutesToTime(range.start),
+            endTime: minutesToTime(range.end),
+            intervalMinutes: CONFIG.SLOTS.FINE_MINUTES
+        }, stream)
+            .then(({ slots }) => slots)
+            .catch(error => {
+                console.warn(`Failed to refine ${minutesToTime(range.start)}-${minutesToTime(range.end)}:`, error);
+                return [];
+            })
+    ));
+
+    const byTime = new Map(coarse.slots.map(slot => [slot.time, slot]));
+    passes.flat().forEach(slot => {
+        if (!byTime.has(slot.time)) byTime.set(slot.time, { ...slot, refined: true });
+    });
+    return [...byTime.values()].sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+}
+
+// Minute ranges of a coarse pass ([{ minutes, duration }]) worth re-sampling:
+// a coarse slot either side of the lowest local minima, and the steepest
+// rises or drops between neighbouring slots. Merged so no departure is
+// fetched twice; a flat curve has nothing to refine.
+function findRefinementRanges(points, windowStart, windowEnd) {
+    const { COARSE_MINUTES, MAX_MINIMA, MAX_RAMPS, RAMP_RATIO } = CONFIG.SLOTS;
+    const durations = points.map(point => point.duration);
+    if (points.length < 2 || Math.max(...durations) - Math.min(...durations) < 60) return [];
+
+    const isMinimum = (point, index) =>
+        (index === 0 || point.duration <= points[index - 1].duration) &&
+        (index === points.length - 1 || point.duration <= points[index + 1].duration);
+    const minima = points.filter(isMinimum)
+        .sort((a, b) => a.duration - b.duration)
+        .slice(0, MAX_MINIMA)
+        .map(point => ({ start: point.minutes - COARSE_MINUTES / 2, end: point.minutes + COARSE_MINUTES / 2 }));
+    const ramps = points.slice(1)
+        .map((point, index) => ({
+            start: points[index].minutes,
+            end: point.minutes,
+            change: Math.abs(point.duration - points[index].duration) / Math.min(point.duration, points[index].duration)
+        }))
+        .filter(ramp => ramp.change >= RAMP_RATIO)
+        .sort((a, b) => b.change - a.change)
+        .slice(0, MAX_RAMPS);
+
+    return [...minima, ...ramps]
+        .map(range => ({ start: Math.max(range.start, windowStart), end: Math.min(range.end, windowEnd) }))
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push(range);
+            }
+            return merged;
+        }, []);
+}
+
+function generateTimeSlots(start, end, intervalMinutes) {
+    const slots = [];
+    const endTotalMinutes = timeToMinutes(end);
+
+    for (let currentMinutes = timeToMinutes(start); currentMinutes <= endTotalMinutes; currentMinutes += intervalMinutes) {
+        slots.push(minutesToTime(currentMinutes));
+    }
+
+    return slots;
+}
+
+function timeToMinutes(timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+function combineDateAndTime(date, timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+}
+
+// ========================================
+// Serverless API for Directions
+// ========================================
+// How a failed request or lookup went wrong, and whether trying again can help
+const ERROR_KINDS = {
+    rate_limited: { label: 'rate limited', transient: true },
+    upstream: { label: 'routing service error', transient: true },
+    network: { label: 'connection problem', transient: true },
+    bad_address: { label: 'address or route not found', transient: false },
+    bad_request: { label: 'request rejected', transient: false },
+    cancelled: { label: 'cancelled', transient: false }
+};
+
+// The proxy's error codes (api/_lib/errors.js): the kind each is handled
+// as, and what to tell the user when one ends a run
+const API_ERRORS = {
+    RATE_LIMITED: { kind: 'rate_limited' },
+    REQUEST_TOO_LARGE: {
+        kind: 'bad_request',
+        message: 'This analysis needs more lookups than one request allows. Pick a longer interval, a shorter window or fewer traffic models.'
+    },
+    UPSTREAM_QUOTA: {
+        kind: 'rate_limited',
+        message: 'The routing service is over its quota right now. Try again in a few minutes.'
+    },
+    UPSTREAM_ERROR: { kind: 'upstream', message: 'The routing service had a problem. Try again shortly.' },
+    ADDRESS_NOT_FOUND: {
+        kind: 'bad_address',
+        message: `One of this route's addresses couldn't be found. Check the route's addresses.`
+    },
+    ROUTE_NOT_FOUND: {
+        kind: 'bad_address',
+        message: 'No route was found between these places for this travel mode.'
+    },
+    INVALID_DEPARTURE_TIME: {
+        kind: 'bad_request',
+        message: `Those departure times can't be planned. Pick today or a later day.`
+    },
+    SPEND_CEILING: {
+        kind: 'rate_limited',
+        message: `The app has used up today's lookup budget. Try again tomorrow.`
+    },
+    ORIGIN_NOT_ALLOWED: {
+        kind: 'bad_request',
+        message: `Lookups aren't available from this address. Open the app from its own site.`
+    },
+    CANCELLED: { kind: 'cancelled' },
+    // Not sent by the server: the stream ended before the departure came back
+    INCOMPLETE: {
+        kind: 'network',
+        message: 'The connection closed before every departure came back. Retry the failed ones.'
+    }
+};
+
+// Codes not listed (validation, configuration) are requests to fix, not retry
+function getErrorKind(code, status) {
+    if (API_ERRORS[code]) return API_ERRORS[code].kind;
+    if (status === 429) return 'rate_limited';
+    return status >= 500 ? 'upstream' : 'bad_request';
+}
+
+// Driving results are keyed by traffic model, other modes by name; one
+// lookup each
+function getResultKeys(travelModes, trafficModels) {
+    return travelModes.flatMap(mode => mode === 'driving' ? trafficModels : [mode]);
+}
+
+// Lookups one /api/window request should make: half the per-minute limit
+// the session reported, so a request still fits while the one before it
+// counts against the proxy's sliding window
+function getLookupsPerRequest() {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.API_TOKEN) || 'null');
+    return Math.floor((stored?.perMinute || CONFIG.SLOTS.LOOKUPS_PER_MINUTE) / 2);
+}
+
+// With onSlot the window streams: onStart(lookups) once the server takes
+// the request, then onSlot(slot) as each slot finishes. Either way resolves
+// to { slots }, in departure order. A window needing more lookups than one
+// request should make is fetched in consecutive parts, one after another;
+// a part that hits the per-minute limit waits for it like any retry.
+async function fetchTimeWindow(request, options = {}) {
+    const now = new Date();
+    const times = generateTimeSlots(request.startTime, request.endTime, request.intervalMinutes)
+        .filter(time => combineDateAndTime(request.date, time) > now);
+    const lookupsPerSlot = getResultKeys(request.travelModes, request.trafficModels).length;
+    const slotsPerRequest = Math.max(1, Math.floor(getLookupsPerRequest() / lookupsPerSlot));
+    if (times.length <= slotsPerRequest) {
+        return fetchWindowPart(request, options);
+    }
+
+    const slots = [];
+    for (let index = 0; index < times.length; index += slotsPerRequest) {
+        const part = times.slice(index, index + slotsPerRequest);
+        const window = await fetchWindowPart({ ...request, startTime: part[0], endTime: part[part.length - 1] }, options);
+        slots.push(...window.slots);
+    }
+    return { slots: orderSlots(slots) };
+}
+
+// One /api/window request. Transient failures before the response arrives
+// are retried; onRetry(error, delayMs) is called before each wait.
+async function fetchWindowPart({ origin, destination, waypoints, date, startTime, endTime, intervalMinutes, trafficModels, travelModes }, { signal = null, onStart = null, onSlot = null, onRetry = null } = {}) {
+    const response = await fetchWithRetry(async () => {
+        const response = await fetchWithToken('/api/window', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(onSlot && { 'Accept': 'application/x-ndjson' })
+            },
+            signal: signal,
+            body: JSON.stringify({
+                origin: origin,
+                destination: destination,
+                waypoints: waypoints,
+                date: formatDateKey(date),
+                startTime: startTime,
+                endTime: endTime,
+                intervalMinutes: intervalMinutes,
+                trafficModels: trafficModels,
+                travelModes: travelModes,
+                timezoneOffset: new Date(date).getTimezoneOffset()
+            })
+        });
+
+        if (!response.ok) {
+            // A proxy in front of the API may answer 502s with an HTML page
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(response, error.error || 'Failed to fetch directions', error.code);
+        }
+        return response;
+    }, { signal, onRetry });
+
+    if (!(response.headers.get('Content-Type') || '').includes('application/x-ndjson')) {
+        return response.json();
+    }
+    return readWindowStream(response, { onStart, onSlot, resultKeys: getResultKeys(travelModes, trafficModels) });
+}
+
+// Reads the newline-delimited messages /api/window streams. A stream cut
+// off before its 'done' message (a function timeout or dropped connection)
+// returns the departures that never came back as failed, with INCOMPLETE
+// under each of resultKeys, so they can be retried.
+async function readWindowStream(response, { onStart, onSlot, resultKeys }) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const slots = [];
+    let expected = null;
+    let optimal = null;
+    let done = false;
+    let buffer = '';
+
+    const handleLine = line => {
+        if (!line.trim()) return;
+        const message = JSON.parse(line);
+        if (message.type === 'start') {
+            expected = message.slots;
+            onStart?.(message.lookups);
+        } else if (message.type === 'slot') {
+            slots.push(message.slot);
+            onSlot?.(message.slot);
+        } else if (message.type === 'done') {
+            optimal = message.optimal;
+            done = true;
+        } else if (message.type === 'error') {
+            const error = new Error(message.error);
+            error.code = message.code;
+            error.kind = getErrorKind(message.code, 500);
+            throw error;
+        }
+    };
+
+    for (;;) {
+        let chunk;
+        try {
+            chunk = await reader.read();
+        } catch (cause) {
+            throw toConnectionError(cause);
+        }
+
+        buffer += decoder.decode(chunk.value, { stream: !chunk.done });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+        if (chunk.done) break;
+    }
+    handleLine(buffer);
+
+    if (!done) {
+        if (!expected) {
+            const error = new Error('The connection closed before any results came back');
+            error.kind = 'network';
+            throw error;
+        }
+        const returned = new Set(slots.map(slot => slot.time));
+        const incomplete = { error: 'Stream ended early', code: 'INCOMPLETE' };
+        expected
+            .filter(slot => !returned.has(slot.time))
+            .forEach(slot => slots.push({
+                ...slot,
+                results: Object.fromEntries(resultKeys.map(key => [key, incomplete]))
+            }));
+    }
+
+    return { slots: orderSlots(slots), optimal };
+}
+
+// fetch() only rejects when the request never got a response, which for
+// this app means the connection is down or the user cancelled the run
+async function fetchOrOffline(url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (cause) {
+        throw toConnectionError(cause);
+    }
+}
+
+// fetchOrOffline with the /api/session token the lookup routes require. A
+// token the server turns down is swapped for a new one and the request
+// sent once more.
+async function fetchWithToken(url, options = {}) {
+    const send = token => fetchOrOffline(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+
+    const response = await send(await getApiToken());
+    if (response.status !== 401) return response;
+    return send(await getApiToken({ renew: true }));
+}
+
+// The stored token while it has a while left, otherwise a renewed one.
+// Renewing sends the old token so this device keeps its quota.
+async function getApiToken({ renew = false } = {}) {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.API_TOKEN) || 'null');
+    if (!renew && stored && Date.parse(stored.expiresAt) - CONFIG.API_TOKEN.RENEW_BEFORE_MS > Date.now()) {
+        return stored.token;
+    }
+
+    if (!state.tokenRequest) {
+        state.tokenRequest = requestApiToken(stored?.token)
+            .finally(() => { state.tokenRequest = null; });
+    }
+    return state.tokenRequest;
+}
+
+async function requestApiToken(previous) {
+    const response = await fetchOrOffline('/api/session', {
+        method: 'POST',
+        headers: previous ? { 'Authorization': `Bearer ${previous}` } : {}
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createApiError(response, data.error || 'Failed to start a session', data.code);
+    }
+
+    localStorage.setItem(CONFIG.STORAGE_KEYS.API_TOKEN, JSON.stringify({
+        token: data.token,
+        expiresAt: data.expiresAt,
+        perMinute: data.limits?.perMinute
+    }));
+    return data.token;
+}
+
+function toConnectionError(cause) {
+    const cancelled = cause.name === 'AbortError';
+    const error = new Error(cancelled ? 'Cancelled' : 'No connection');
+    error.kind = cancelled ? 'cancelled' : 'network';
+    error.cancelled = cancelled;
+    error.offline = !cancelled;
+    error.cause = cause;
+    return error;
+}
+
+// API errors carry the HTTP status, the proxy's error code, its
+// ERROR_KINDS kind and, when rate limited, the Retry-After seconds. Codes
+// with a message of their own in API_ERRORS replace the server's wording.
+function createApiError(response, message, code = null) {
+    const error = new Error(API_ERRORS[code]?.message || message);
+    error.status = response.status;
+    error.code = code;
+    error.kind = getErrorKind(code, response.status);
+
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    if (retryAfter > 0) {
+        error.retryAfter = retryAfter;
+    }
+
+    return error;
+}
+
+// Retries transient failures: a rate limit waits out the server's
+// Retry-After, upstream errors and dropped connections back off
+// exponentially. Anything else, a wait longer than CONFIG.RETRY allows, or
+// the last attempt's failure is thrown.
+async function fetchWithRetry(send, { signal = null, onRetry = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            const delay = getRetryDelay(error, attempt);
+            if (delay === null) throw error;
+
+            onRetry?.(error, delay);
+            await sleepUnlessCancelled(delay, signal);
+        }
+    }
+}
+
+function getRetryDelay(error, attempt) {
+    const { MAX_ATTEMPTS, BASE_DELAY_MS, MAX_WAIT_SECONDS } = CONFIG.RETRY;
+    if (attempt >= MAX_ATTEMPTS || !ERROR_KINDS[error.kind]?.transient) return null;
+
+    // Offline runs are queued instead (see runAnalysis)
+    if (error.kind === 'network' && !navigator.onLine) return null;
+
+    if (error.retryAfter) {
+        return error.retryAfter <= MAX_WAIT_SECONDS ? error.retryAfter * 1000 : null;
+    }
+
+    // Jittered so parallel requests don't retry in lockstep
+    return BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+}
+
+// ========================================
+// Results Rendering
+// ========================================
+function renderResults(results) {
+    if (!results || !results.times || results.times.length === 0) {
+        resetResults();
+        return;
+    }
+
+    elements.heatmapSection.classList.add('hidden');
+    elements.chartTitle.textContent = 'Travel Time by Departure';
+    updateStaleBadge();
+    updateExportActions();
+
+    if (results.arriveBy) {
+        renderArriveByRecommendation(results);
+        renderChart(results);
+        return;
+    }
+
+    const preset = results.recommendation?.preset;
+    setRecommendationLabel(preset && preset !== CONFIG.DEFAULTS.RECOMMEND_PRESET
+        ? `Best Time to Leave · ${RECOMMENDATION_PRESETS[preset].label}`
+        : 'Best Time to Leave');
+
+    const optimal = results.optimal;
+    elements.bestTime.textContent = formatTime(optimal.time);
+
+    const durationMinutes = results.isCompareAll
+        ? optimal.best_guess?.durationMinutes
+        : optimal.durationMinutes;
+
+    elements.duration.textContent = `${durationMinutes} min`;
+    elements.savings.textContent = results.savingsMinutes > 0
+        ? `Save ${results.savingsMinutes} min`
+        : 'Optimal time';
+
+    if (results.isCompareModes) {
+        renderModeComparison(optimal);
+    } else if (results.recommendation) {
+        setRecommendationRoute(getSlotRoute(optimal, 'best_guess'));
+        setRecommendationNote(describeTradeoff(results));
+    } else {
+        setRecommendationRoute(getSlotRoute(optimal, 'best_guess'));
+        setRecommendationNote(formatTransitDetails(optimal.transitDetails));
+    }
+
+    renderChart(results);
+}
+
+const RISK_LABELS = {
+    optimistic: 'best-case traffic',
+    best_guess: 'typical traffic',
+    pessimistic: 'worst-case traffic'
+};
+
+function renderArriveByRecommendation(results) {
+    const { arriveBy, optimal } = results;
+    setRecommendationLabel(`Leave by · Arrive ${formatTime(arriveBy.target)}`);
+
+    const entryFor = result => results.isCompareAll ? result[arriveBy.riskModel] : result;
+
+    if (!optimal) {
+        const earliest = results.times[0];
+        const riskText = results.isCompareAll ? ` with ${RISK_LABELS[arriveBy.riskModel]}` : '';
+        elements.bestTime.textContent = '--:--';
+        elements.duration.textContent = `${entryFor(earliest)?.durationMinutes ?? '--'} min`;
+        elements.savings.textContent = 'Running late';
+        setRecommendationNote(`Even leaving at ${formatTime(earliest.time)} you won't make it${riskText}.`);
+        return;
+    }
+
+    elements.bestTime.textContent = formatTime(optimal.time);
+    setRecommendationRoute(getSlotRoute(optimal, arriveBy.riskModel));
+    elements.duration.textContent = `${entryFor(optimal).durationMinutes} min`;
+    elements.savings.textContent = `${arriveBy.slackMinutes} min slack`;
+
+    if (!results.isCompareAll) {
+        setRecommendationNote(formatTransitDetails(optimal.transitDetails));
+        return;
+    }
+
+    const safest = arriveBy.safest;
+    if (!safest) {
+        setRecommendationNote('No departure in range is on time with worst-case traffic.');
+    } else if (safest.time === optimal.time) {
+        setRecommendationNote(`On time even with worst-case traffic (${safest.slackMinutes} min slack).`);
+    } else {
+        setRecommendationNote(`Safest: leave at ${formatTime(safest.time)} to be on time with worst-case traffic (${safest.slackMinutes} min slack).`);
+    }
+}
+
+// Weighs the recommended departure against the one that's fastest on
+// average, e.g. "7:30 is 2 min slower on average but 11 min better in the
+// worst case". When they're the same, points out a safer alternative if
+// there is one, otherwise gives the range to expect.
+function describeTradeoff(results) {
+    const { optimal, recommendation } = results;
+    const minutes = seconds => Math.round(seconds / 60);
+    const worst = result => (result.pessimistic || result.best_guess).duration;
+    const range = result => `${minutes((result.optimistic || result.best_guess).duration)}–${minutes(worst(result))} min`;
+    const slower = (result, than) => {
+        const difference = minutes(result.best_guess.duration - than.best_guess.duration);
+        return difference > 0 ? `${difference} min slower on average but` : 'as fast on average and';
+    };
+
+    // Compared by time: a saved analysis comes back as copies
+    const fastest = findRecommended(results.times, 'average');
+    if (optimal.time !== fastest.time) {
+        const comparison = recommendation.preset === 'worst_case'
+            ? `${minutes(worst(fastest) - worst(optimal))} min better in the worst case`
+            : `more predictable (${range(optimal)} vs ${range(fastest)} at ${formatTime(fastest.time)})`;
+        return `${formatTime(optimal.time)} is ${slower(optimal, fastest)} ${comparison}.`;
+    }
+
+    const safest = findRecommended(results.times, 'worst_case');
+    const worstCaseGain = minutes(worst(optimal) - worst(safest));
+    if (recommendation.preset === 'average' && safest.time !== optimal.time && worstCaseGain > 0) {
+        return `${formatTime(safest.time)} is ${slower(safest, optimal)} ${worstCaseGain} min better in the worst case.`;
+    }
+
+    return recommendation.preset === 'average'
+        ? `Expect ${range(optimal)} depending on traffic.`
+        : `Also the fastest on average (${range(optimal)} depending on traffic).`;
+}
+
+// Drive vs transit: name the winning mode and what the other would cost
+function renderModeComparison(optimal) {
+    const otherMode = optimal.bestMode === 'driving' ? 'transit' : 'driving';
+    const best = optimal[optimal.bestMode];
+    const other = optimal[otherMode];
+
+    setRecommendationRoute(best.route, optimal.bestMode);
+
+    const details = formatTransitDetails(best.transitDetails);
+    const comparison = other
+        ? `${CONFIG.TRAVEL_MODES[otherMode].label} at ${formatTime(optimal.time)}: ${other.durationMinutes} min (+${other.durationMinutes - best.durationMinutes} min)`
+        : `No ${CONFIG.TRAVEL_MODES[otherMode].label.toLowerCase()} option at ${formatTime(optimal.time)}`;
+    setRecommendationNote(details ? `${details}. ${comparison}` : comparison);
+}
+
+function setRecommendationLabel(text) {
+    elements.recommendationLabel.textContent = text;
+    setRecommendationRoute('');
+    setRecommendationNote('');
+}
+
+// "via I-5", prefixed with the mode when comparing modes, e.g. "🚆 Transit via 5 → Red"
+function setRecommendationRoute(route, travelMode = null) {
+    const via = route ? `via ${route}` : '';
+    const mode = travelMode ? CONFIG.TRAVEL_MODES[travelMode] : null;
+    const text = mode ? `${mode.icon} ${mode.label} ${via}`.trim() : via;
+
+    elements.bestRoute.textContent = text;
+    elements.bestRoute.classList.toggle('hidden', !text);
+}
+
+function setRecommendationNote(text) {
+    elements.recommendationNote.textContent = text;
+    elements.recommendationNote.classList.toggle('hidden', !text);
+}
+
+// Route a slot's headline duration was measured on; compare-all slots can
+// differ per traffic model
+function getSlotRoute(result, model) {
+    return result[model]?.route ?? result.route ?? '';
+}
+
+function renderChart(results) {
+    state.chartResults = results;
+    elements.chartContainer.innerHTML = buildFailureNotice(results) +
+        (state.chartView === 'table' ? buildChartTable(results) : buildChartBars(results));
+}
+
+// The departures charted, in order: the results plus a placeholder for
+// each departure none of whose lookups came back
+function getChartSlots(results) {
+    const charted = new Set(results.times.map(result => result.time));
+    const failed = (results.failed || [])
+        .filter(slot => !charted.has(slot.time))
+        .map(slot => ({ ...slot, failed: true }));
+    return orderSlots([...results.times, ...failed]);
+}
+
+// e.g. "3 of 17 departures failed (rate limited)", with a retry for the
+// day on screen once no run is in progress
+function buildFailureNotice(results) {
+    const failed = results.failed || [];
+    if (failed.length === 0) return '';
+
+    const total = getChartSlots(results).length;
+    const reasons = [...new Set(failed.map(slot => ERROR_KINDS[slot.kind]?.label || ERROR_KINDS.upstream.label))];
+    const canRetry = state.viewMode === 'day' && results === state.analysisResults?.[state.selectedDirection];
+
+    return `
+        <div class="chart-failures" role="status">
+            <span>⚠️ ${failed.length} of ${total} departures failed (${reasons.join(', ')})</span>
+            ${canRetry ? `<button type="button" class="retry-failed-btn"${state.isAnalyzing ? ' disabled' : ''}>Retry</button>` : ''}
+        </div>
+    `;
+}
+
+// Failed departures keep their place on the time axis as a hatched bar
+function buildFailedBar(slot, barStyle, timeLabel) {
+    const reason = ERROR_KINDS[slot.kind]?.label || ERROR_KINDS.upstream.label;
+
+    return `
+        <div class="chart-bar-wrapper failed"${barStyle} role="img" tabindex="-1"
+             aria-label="${escapeAttribute(`${formatTime(slot.time)}, failed: ${reason}`)}">
+            <div class="chart-bar bar-failed">
+                <span class="bar-tooltip" aria-hidden="true">${formatTime(slot.time)}<br>Failed: ${reason}</span>
+            </div>
+            <span class="chart-time">${timeLabel}</span>
+        </div>
+    `;
+}
+
+// Each bar is focusable and labelled with what its tooltip shows; the
+// recommended departure is the group's tab stop
+function buildChartBars(results) {
+    const times = getChartSlots(results);
+    const isCompareAll = results.isCompareAll;
+
+    // Tag each bar with the winning route, but only when the winner changes
+    const routeModel = results.arriveBy?.riskModel || 'best_guess';
+    const routeNames = [...new Set(times.map(result => getSlotRoute(result, routeModel)).filter(Boolean))];
+    const showRoutes = routeNames.length > 1;
+    const routeTag = result => {
+        if (!showRoutes) return '';
+        const index = routeNames.indexOf(getSlotRoute(result, routeModel));
+        return index === -1 ? '' : `<span class="chart-route route-${index % 4}">${String.fromCharCode(65 + index)}</span>`;
+    };
+
+    const minDuration = results.minDuration;
+    const maxDuration = results.maxDuration;
+    const range = maxDuration - minDuration;
+
+    const displayMin = Math.max(0, minDuration - range * 0.1);
+    const displayRange = maxDuration - displayMin;
+
+    const { barStyle, timeLabel } = getChartSpacing(times);
+    const trafficLevels = getSlotTrafficLevels(results);
+    const focusIndex = Math.max(0, times.findIndex(result => result.isOptimal));
+    const barAttributes = (result, index) => `
+        role="img" tabindex="${index === focusIndex ? 0 : -1}"
+        aria-label="${escapeAttribute(describeSlot(result, results, trafficLevels.get(result), routeModel))}"`;
+
+    let chartHTML = `
+        <div class="chart-bars" role="group"
+             aria-label="Travel time by departure. Use the arrow keys to move between departures.">
+    `;
+
+    if (isCompareAll) {
+        times.forEach((result, index) => {
+            if (result.failed) {
+                chartHTML += buildFailedBar(result, barStyle(index), timeLabel(index));
+                return;
+            }
+            const optimalClass = (result.isOptimal ? ' optimal-group' : '') + (result.isLate ? ' late' : '');
+
+            const optHeight = result.optimistic
+                ? ((result.optimistic.duration - displayMin) / displayRange) * 100
+                : 0;
+            const avgHeight = result.best_guess
+                ? ((result.best_guess.duration - displayMin) / displayRange) * 100
+                : 0;
+            const pessHeight = result.pessimistic
+                ? ((result.pessimistic.duration - displayMin) / displayRange) * 100
+                : 0;
+
+            const optMin = result.optimistic?.durationMinutes || '--';
+            const avgMin = result.best_guess?.durationMinutes || '--';
+            const pessMin = result.pessimistic?.durationMinutes || '--';
+
+            chartHTML += `
+                <div class="chart-bar-wrapper stacked${optimalClass}"${barStyle(index)}${barAttributes(result, index)}>
+                    <div class="stacked-bars">
+                        <div class="chart-bar bar-pessimistic" style="height: ${pessHeight}%"></div>
+                        <div class="chart-bar bar-average" style="height: ${avgHeight}%"></div>
+                        <div class="chart-bar bar-optimistic" style="height: ${optHeight}%"></div>
+                    </div>
+                    <span class="bar-tooltip stacked-tooltip" aria-hidden="true">
+                        <strong>${formatTime(result.time)}</strong><br>
+                        🟢 Best: ${optMin} min<br>
+                        🟡 Avg: ${avgMin} min<br>
+                        🔴 Worst: ${pessMin} min${formatRoutesTooltip(result, routeModel)}${formatLegsTooltip(result.legs)}
+                    </span>
+                    ${routeTag(result)}
+                    <span class="chart-time">${timeLabel(index)}</span>
+                </div>
+            `;
+        });
+
+        chartHTML += '</div>';
+
+        chartHTML += `
+            <div class="chart-legend">
+                <div class="legend-item">
+                    <div class="legend-color optimistic"></div>
+                    <span>Best Case</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color average"></div>
+                    <span>Average</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color pessimistic"></div>
+                    <span>Worst Case</span>
+                </div>
+            </div>
+        `;
+
+        const minLabel = Math.round(displayMin / 60);
+        const maxLabel = Math.round(maxDuration / 60);
+        chartHTML += `
+            <div class="chart-axis-labels">
+                <span class="axis-label max">${maxLabel} min</span>
+                <span class="axis-label min">${minLabel} min</span>
+            </div>
+        `;
+    } else if (results.isCompareModes) {
+        times.forEach((result, index) => {
+            if (result.failed) {
+                chartHTML += buildFailedBar(result, barStyle(index), timeLabel(index));
+                return;
+            }
+            const optimalClass = result.isOptimal ? ' optimal-group' : '';
+            const barFor = mode => {
+                const entry = result[mode];
+                const height = entry ? ((entry.duration - displayMin) / displayRange) * 100 : 0;
+                return `<div class="chart-bar bar-${mode}" style="height: ${height}%"></div>`;
+            };
+            const lineFor = mode => {
+                const entry = result[mode];
+                const { icon, label } = CONFIG.TRAVEL_MODES[mode];
+                if (!entry) return `${icon} ${label}: --`;
+                const details = formatTransitDetails(entry.transitDetails);
+                return `${icon} ${label}: ${entry.durationMinutes} min${details ? ` · ${details}` : ''}`;
+            };
+
+            chartHTML += `
+                <div class="chart-bar-wrapper stacked${optimalClass}"${barStyle(index)}${barAttributes(result, index)}>
+                    <div class="mode-bars">
+                        ${barFor('driving')}
+                        ${barFor('transit')}
+                    </div>
+                    <span class="bar-tooltip stacked-tooltip" aria-hidden="true">
+                        <strong>${formatTime(result.time)}</strong><br>
+                        ${lineFor('driving')}<br>
+                        ${lineFor('transit')}
+                    </span>
+                    <span class="chart-time">${timeLabel(index)}</span>
+                </div>
+            `;
+        });
+
+        chartHTML += '</div>';
+
+        chartHTML += `
+            <div class="chart-legend">
+                <div class="legend-item">
+                    <div class="legend-color driving"></div>
+                    <span>${CONFIG.TRAVEL_MODES.driving.icon} ${CONFIG.TRAVEL_MODES.driving.label}</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color transit"></div>
+                    <span>${CONFIG.TRAVEL_MODES.transit.icon} ${CONFIG.TRAVEL_MODES.transit.label}</span>
+                </div>
+            </div>
+        `;
+    } else {
+        times.forEach((result, index) => {
+            if (result.failed) {
+                chartHTML += buildFailedBar(result, barStyle(index), timeLabel(index));
+                return;
+            }
+            const heightPercent = ((result.duration - displayMin) / displayRange) * 100;
+            const optimalClass = result.isOptimal ? ' optimal' : '';
+
+            chartHTML += `
+                <div class="chart-bar-wrapper"${barStyle(index)}${barAttributes(result, index)}>
+                    <div class="chart-bar traffic-${result.trafficLevel}${optimalClass}" style="height: ${heightPercent}%">
+                        <span class="bar-tooltip" aria-hidden="true">${formatTime(result.time)}<br>${result.durationMinutes} min${formatRoutesTooltip(result, 'single')}${formatTransitTooltip(result.transitDetails)}${formatLegsTooltip(result.legs)}</span>
+                    </div>
+                    ${routeTag(result)}
+                    <span class="chart-time">${timeLabel(index)}</span>
+                </div>
+            `;
+        });
+
+        chartHTML += '</div>';
+
+        chartHTML += `
+            <div class="chart-legend">
+                <div class="legend-item">
+                    <div class="legend-color low"></div>
+                    <span>Light</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color medium"></div>
+                    <span>Moderate</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-color high"></div>
+                    <span>Heavy</span>
+                </div>
+            </div>
+        `;
+
+        const minLabel = Math.round(displayMin / 60);
+        const maxLabel = Math.round(maxDuration / 60);
+        chartHTML += `
+            <div class="chart-axis-labels">
+                <span class="axis-label max">${maxLabel} min</span>
+                <span class="axis-label min">${minLabel} min</span>
+            </div>
+        `;
+    }
+
+    if (showRoutes) {
+        chartHTML += renderRouteLegend(routeNames);
+    }
+
+    return chartHTML;
+}
+
+// Unevenly spaced (smart) samples get bars as wide as the stretch of the
+// window they stand for, so each sits where it belongs on the time axis.
+// Refined slots and every few slots of a dense pass go unlabeled.
+function getChartSpacing(times) {
+    const minutes = times.map(result => timeToMinutes(result.time));
+    const spans = minutes.map((minute, index) => {
+        const before = index > 0 ? minute - minutes[index - 1] : minutes[index + 1] - minute;
+        const after = index < minutes.length - 1 ? minutes[index + 1] - minute : before;
+        return (before + after) / 2 || 1;
+    });
+    const isUneven = new Set(spans).size > 1;
+
+    const labeled = times.filter(result => !result.refined);
+    const labelEvery = Math.ceil(labeled.length / CONFIG.SLOTS.MAX_TIME_LABELS);
+
+    return {
+        barStyle: index => isUneven ? ` style="flex-grow: ${spans[index]}"` : '',
+        timeLabel: index => {
+            const result = times[index];
+            return !result.refined && labeled.indexOf(result) % labelEvery === 0 ? formatTimeShort(result.time) : '';
+        }
+    };
+}
+
+const TRAFFIC_LABELS = {
+    low: 'Light',
+    medium: 'Moderate',
+    high: 'Heavy'
+};
+
+// Compare All slots carry no traffic level of their own, so they're rated
+// by their typical (best_guess) time
+function getSlotTrafficLevels(results) {
+    if (!results.isCompareAll) {
+        return new Map(results.times.map(result => [result, result.trafficLevel || null]));
+    }
+
+    const fastest = Math.min(...results.times.map(result => result.best_guess?.duration || Infinity));
+    return new Map(results.times.map(result => [
+        result,
+        result.best_guess ? getTrafficLevel(result.best_guess.duration, fastest) : null
+    ]));
+}
+
+// What a bar's tooltip shows, as one sentence, e.g.
+// "7:30 AM, 28 min, light traffic, via I-5, recommended"
+function describeSlot(result, results, trafficLevel, routeModel) {
+    const minutes = entry => entry?.durationMinutes ? `${entry.durationMinutes} min` : 'unavailable';
+    let travel;
+    if (results.isCompareAll) {
+        travel = `${minutes(result.optimistic)} best case, ${minutes(result.best_guess)} typical, ${minutes(result.pessimistic)} worst case`;
+    } else if (results.isCompareModes) {
+        travel = ['driving', 'transit'].map(mode => `${CONFIG.TRAVEL_MODES[mode].label} ${minutes(result[mode])}`).join(', ');
+    } else {
+        travel = minutes(result);
+    }
+
+    const parts = [formatTime(result.time), travel];
+    if (trafficLevel) parts.push(`${TRAFFIC_LABELS[trafficLevel].toLowerCase()} traffic`);
+    const route = getSlotRoute(result, routeModel);
+    if (route) parts.push(`via ${route}`);
+    if (result.isLate) parts.push('arrives late');
+    if (result.isOptimal) parts.push('recommended');
+    return parts.join(', ');
+}
+
+/**
+ * Table columns for a result set: { key, label, value(result), html(result) }.
+ * value() is what the column sorts by (a number or string, null when the
+ * slot has none); html() is the cell.
+ */
+function getTableColumns(results, trafficLevels) {
+    const routeModel = results.arriveBy?.riskModel || 'best_guess';
+    const minutesColumn = (key, label, entryFor) => ({
+        key: key,
+        label: label,
+        value: result => entryFor(result)?.duration ?? null,
+        html: result => entryFor(result)?.durationMinutes ? `${entryFor(result).durationMinutes} min` : '--'
+    });
+
+    const columns = [{
+        key: 'time',
+        label: 'Departure',
+        value: result => timeToMinutes(result.time),
+        html: result => formatTime(result.time) +
+            (result.isOptimal ? ' <span class="table-badge">Recommended</span>' : '') +
+            (result.isLate ? ' <span class="table-badge late">Late</span>' : '') +
+            (result.failed ? ' <span class="table-badge late">Failed</span>' : '')
+    }];
+
+    if (results.isCompareAll) {
+        columns.push(
+            minutesColumn('optimistic', 'Best case', result => result.optimistic),
+            minutesColumn('best_guess', 'Typical', result => result.best_guess),
+            minutesColumn('pessimistic', 'Worst case', result => result.pessimistic)
+        );
+    } else if (results.isCompareModes) {
+        ['driving', 'transit'].forEach(mode => {
+            const { icon, label } = CONFIG.TRAVEL_MODES[mode];
+            columns.push(minutesColumn(mode, `${icon} ${label}`, result => result[mode]));
+        });
+    } else {
+        columns.push(minutesColumn('duration', 'Travel time', result => result));
+    }
+
+    const levelOrder = Object.keys(TRAFFIC_LABELS);
+    columns.push({
+        key: 'traffic',
+        label: 'Traffic',
+        value: result => trafficLevels.get(result) ? levelOrder.indexOf(trafficLevels.get(result)) : null,
+        html: result => trafficLevels.get(result) ? TRAFFIC_LABELS[trafficLevels.get(result)] : '--'
+    });
+
+    if (results.times.some(result => getSlotRoute(result, routeModel))) {
+        columns.push({
+            key: 'route',
+            label: 'Route',
+            value: result => getSlotRoute(result, routeModel) || null,
+            html: result => escapeHTML(getSlotRoute(result, routeModel)) || '--'
+        });
+    }
+
+    return columns;
+}
+
+// The chart's data as a table; any column sorts, with blanks last
+function buildChartTable(results) {
+    const columns = getTableColumns(results, getSlotTrafficLevels(results));
+    // A sort on a column this result set doesn't have falls back to departure order
+    const sortColumn = columns.find(column => column.key === state.tableSort.key);
+    const { ascending } = sortColumn ? state.tableSort : { ascending: true };
+    const sortBy = sortColumn || columns[0];
+    const direction = ascending ? 1 : -1;
+
+    const rows = getChartSlots(results).sort((a, b) => {
+        const valueA = sortBy.value(a);
+        const valueB = sortBy.value(b);
+        if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+        const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return order * direction || timeToMinutes(a.time) - timeToMinutes(b.time);
+    });
+
+    const sortLabel = ascending ? 'ascending' : 'descending';
+    const cell = (column, index, result) => index === 0
+        ? `<th scope="row">${column.html(result)}</th>`
+        : `<td>${column.html(result)}</td>`;
+
+    return `
+        <div class="chart-table-wrapper">
+            <table class="chart-table">
+                <caption class="visually-hidden">Travel time by departure, sorted by ${sortBy.label} (${sortLabel})</caption>
+                <thead>
+                    <tr>
+                        ${columns.map(column => `
+                            <th scope="col" aria-sort="${column === sortBy ? sortLabel : 'none'}">
+                                <button type="button" class="table-sort" data-key="${column.key}">
+                                    ${column.label}
+                                    <span aria-hidden="true">${column === sortBy ? (ascending ? '▲' : '▼') : ''}</span>
+                                </button>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(result => `
+                        <tr${result.isOptimal ? ' class="optimal"' : ''}>
+                            ${columns.map((column, index) => cell(column, index, result)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Sorting by the same column again flips the order
+function handleTableSort(e) {
+    const button = e.target.closest('.table-sort');
+    if (!button || !state.chartResults) return;
+
+    const key = button.dataset.key;
+    state.tableSort = {
+        key: key,
+        ascending: state.tableSort.key === key ? !state.tableSort.ascending : true
+    };
+    renderChart(state.chartResults);
+    elements.chartContainer.querySelector(`.table-sort[data-key="${key}"]`).focus();
+}
+
+function handleChartViewToggle() {
+    state.chartView = state.chartView === 'table' ? 'chart' : 'table';
+    localStorage.setItem(CONFIG.STORAGE_KEYS.CHART_VIEW, state.chartView);
+    updateChartViewButton();
+
+    if (state.chartResults) {
+        renderChart(state.chartResults);
+    }
+}
+
+function updateChartViewButton() {
+    elements.chartViewBtn.setAttribute('aria-pressed', String(state.chartView === 'table'));
+}
+
+// ========================================
+// Week Heatmap
+// ========================================
+function getSlotDuration(result) {
+    return result.duration || result.best_guess?.duration || null;
+}
+
+function getTrafficLevel(duration, minDuration) {
+    const ratio = duration / minDuration;
+    if (ratio < CONFIG.TRAFFIC_THRESHOLDS.LOW) return 'low';
+    if (ratio < CONFIG.TRAFFIC_THRESHOLDS.MEDIUM) return 'medium';
+    return 'high';
+}
+
+function renderWeekResults() {
+    const direction = state.selectedDirection;
+    const days = state.weekResults.days;
+
+    // Best and worst slot across the whole week for this direction
+    let best = null;
+    let worstDuration = 0;
+    days.forEach((day, dayIndex) => {
+        (day[direction]?.times || []).forEach(result => {
+            const duration = getSlotDuration(result);
+            if (!duration) return;
+            if (!best || duration < best.duration) {
+                best = { dayIndex, time: result.time, duration };
+            }
+            worstDuration = Math.max(worstDuration, duration);
+        });
+    });
+
+    if (!best) {
+        resetResults();
+        return;
+    }
+
+    setRecommendationLabel('Best Day & Time to Leave');
+    elements.bestTime.textContent = `${days[best.dayIndex].dayName} ${formatTime(best.time)}`;
+    elements.duration.textContent = `${Math.round(best.duration / 60)} min`;
+    const savingsMinutes = Math.round((worstDuration - best.duration) / 60);
+    elements.savings.textContent = savingsMinutes > 0 ? `Save ${savingsMinutes} min` : 'Optimal time';
+
+    renderHeatmap(days, direction, best);
+    updateExportActions();
+
+    const drillDay = state.weekDrillDay ?? best.dayIndex;
+    renderWeekDay(drillDay);
+}
+
+function renderHeatmap(days, direction, best) {
+    const times = [...new Set(days.flatMap(day => (day[direction]?.times || []).map(r => r.time)))].sort();
+
+    let heatmapHTML = `<div class="heatmap" style="grid-template-columns: 48px repeat(${times.length}, 1fr)">`;
+    heatmapHTML += '<div class="heatmap-corner"></div>';
+    times.forEach(time => {
+        // Label on the hour only to keep the header readable
+        const label = time.endsWith(':00') ? formatTimeShort(time).replace(':00', '') : '';
+        heatmapHTML += `<div class="heatmap-time">${label}</div>`;
+    });
+
+    days.forEach((day, dayIndex) => {
+        const byTime = new Map((day[direction]?.times || []).map(r => [r.time, r]));
+        const drillClass = dayIndex === state.weekDrillDay ? ' selected' : '';
+        heatmapHTML += `<div class="heatmap-day${drillClass}">${day.dayName} ${day.date}</div>`;
+
+        times.forEach(time => {
+            const result = byTime.get(time);
+            const duration = result && getSlotDuration(result);
+            if (!duration) {
+                heatmapHTML += '<div class="heatmap-cell empty"></div>';
+                return;
+            }
+
+            const level = getTrafficLevel(duration, best.duration);
+            const optimalClass = dayIndex === best.dayIndex && time === best.time ? ' optimal' : '';
+            const minutes = Math.round(duration / 60);
+            heatmapHTML += `
+                <button class="heatmap-cell traffic-${level}${optimalClass}" data-day="${dayIndex}"
+                        title="${day.dayName} ${formatTime(time)}: ${minutes} min"></button>
+            `;
+        });
+    });
+
+    heatmapHTML += '</div>';
+
+    elements.heatmapContainer.innerHTML = heatmapHTML;
+    elements.heatmapContainer.querySelectorAll('.heatmap-cell[data-day]').forEach(cell => {
+        cell.addEventListener('click', () => drillIntoWeekDay(Number(cell.dataset.day)));
+    });
+    elements.heatmapSection.classList.remove('hidden');
+}
+
+function drillIntoWeekDay(dayIndex) {
+    state.weekDrillDay = dayIndex;
+    elements.heatmapContainer.querySelectorAll('.heatmap-day').forEach((label, index) => {
+        label.classList.toggle('selected', index === dayIndex);
+    });
+    renderWeekDay(dayIndex);
+}
+
+// Bar chart for one day of the week run
+function renderWeekDay(dayIndex) {
+    const day = state.weekResults.days[dayIndex];
+    const results = day[state.selectedDirection];
+
+    elements.chartTitle.textContent = `Travel Time by Departure · ${day.dayName} ${day.month} ${day.date}`;
+    if (results) {
+        renderChart(results);
+    } else {
+        state.chartResults = null;
+        elements.chartContainer.innerHTML = `
+            <div class="chart-placeholder">
+                <p>No departures left to analyze on ${day.dayName}</p>
+            </div>
+        `;
+    }
+}
+
+function renderRouteLegend(routeNames) {
+    return `
+        <div class="chart-legend route-legend">
+            ${routeNames.map((name, index) => `
+                <div class="legend-item">
+                    <span class="chart-route route-${index % 4}">${String.fromCharCode(65 + index)}</span>
+                    <span>${escapeHTML(name)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Winning route plus the alternatives Google offered, e.g. "via I-5 (alt: SR-99 31 min)"
+function formatRoutesTooltip(result, model) {
+    const route = getSlotRoute(result, model);
+    if (!route) return '';
+
+    const alternatives = (result.alternatives || [])
+        .filter(alternative => alternative.summary && alternative.summary !== route)
+        .map(alternative => `${escapeHTML(alternative.summary)} ${Math.round(alternative.duration / 60)} min`);
+    const altText = alternatives.length ? ` (alt: ${alternatives.join(', ')})` : '';
+
+    return `<br>via ${escapeHTML(route)}${altText}`;
+}
+
+// e.g. "Departs 7:22 AM · 1 transfer · 8 min walking"
+function formatTransitDetails(transit) {
+    if (!transit) return '';
+
+    const departs = new Date(transit.departureTime);
+    const departsAt = minutesToTime(departs.getHours() * 60 + departs.getMinutes());
+    const transfers = transit.transfers === 1 ? '1 transfer' : `${transit.transfers} transfers`;
+    return `Departs ${formatTime(departsAt)} · ${transfers} · ${Math.round(transit.walkingSeconds / 60)} min walking`;
+}
+
+function formatTransitTooltip(transit) {
+    return transit ? `<br>${escapeHTML(formatTransitDetails(transit))}` : '';
+}
+
+// Per-leg split for multi-stop routes, e.g. "→ School: 12 min + 5 min stop"
+function formatLegsTooltip(legs) {
+    if (!legs || legs.length < 2) return '';
+
+    return legs.map(leg => {
+        const dwell = leg.dwellSeconds ? ` + ${Math.round(leg.dwellSeconds / 60)} min stop` : '';
+        const label = escapeHTML(shortenAddress(leg.endAddress)) || 'Stop';
+        return `<br>→ ${label}: ${Math.round(leg.duration / 60)} min${dwell}`;
+    }).join('');
+}
+
+function resetResults() {
+    elements.heatmapSection.classList.add('hidden');
+    elements.staleBadge.classList.add('hidden');
+    updateExportActions();
+    elements.chartTitle.textContent = 'Travel Time by Departure';
+    setRecommendationLabel(state.analysisMode === 'arriveBy' && state.viewMode !== 'week'
+        ? 'Latest Time to Leave'
+        : 'Best Time to Leave');
+    elements.bestTime.textContent = '--:--';
+    elements.duration.textContent = '-- min';
+    elements.savings.textContent = 'Save -- min';
+    state.chartResults = null;
+    elements.chartContainer.innerHTML = `
+        <div class="chart-placeholder">
+            <p>${state.viewMode === 'week'
+        ? 'Tap "Analyze" to compare every day this week'
+        : 'Select a day and tap "Analyze" to see travel times'}</p>
+        </div>
+    `;
+}
+
+function updateRouteDisplay() {
+    const route = getActiveRoute();
+    const homeShort = shortenAddress(route.origin);
+    const workShort = shortenAddress(route.destination);
+    elements.homeDisplay.textContent = homeShort;
+    elements.workDisplay.textContent = workShort;
+
+    const stopCount = (route.stops || []).length;
+    elements.routeArrow.textContent = stopCount > 0
+        ? `→ ${stopCount} stop${stopCount === 1 ? '' : 's'} →`
+        : '→';
+
+    updateWatchButton();
+}
+
+// ========================================
+// Analysis History (IndexedDB)
+// ========================================
+let historyDbPromise = null;
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.HISTORY.DB_NAME, CONFIG.HISTORY.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CONFIG.HISTORY.STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('routeId', 'routeId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDbPromise;
+}
+
+// Runs one request against the analyses store and resolves with its result
+// once the transaction commits
+async function historyRequest(mode, makeRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CONFIG.HISTORY.STORE, mode);
+        const request = makeRequest(transaction.objectStore(CONFIG.HISTORY.STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// History is a nice-to-have, so failures are logged rather than surfaced.
+// Routes opened from a shared link aren't the user's and aren't recorded.
+function recordAnalysis(results, { route = getActiveRoute(), date, direction }) {
+    if (!results?.times?.length || route.id === CONFIG.SHARE.ROUTE_ID) return;
+
+    const record = {
+        routeId: route.id,
+        date: formatDateKey(date),
+        weekday: new Date(date).getDay(),
+        direction: direction,
+        series: results.series,
+        analysisMode: results.arriveBy ? 'arriveBy' : 'window',
+        recordedAt: new Date().toISOString(),
+        recommendedTime: results.optimal?.time || null,
+        slots: results.times
+            .map(result => ({ time: result.time, duration: getSlotDuration(result) }))
+            .filter(slot => slot.duration)
+    };
+
+    historyRequest('readwrite', store => store.add(record))
+        .catch(error => console.warn('Failed to save analysis history:', error));
+}
+
+function loadRouteHistory(routeId) {
+    return historyRequest('readonly', store => store.index('routeId').getAll(routeId));
+}
+
+function deleteRouteHistory(routeId) {
+    historyRequest('readwrite', store => {
+        const request = store.index('routeId').openKeyCursor(IDBKeyRange.only(routeId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        return request;
+    }).catch(error => console.warn('Failed to delete analysis history:', error));
+}
+
+async function deleteHistoryDb() {
+    if (!window.indexedDB) return;
+
+    if (historyDbPromise) {
+        try {
+            (await historyDbPromise).close();
+        } catch {
+            // Never opened; nothing to close
+        }
+        historyDbPromise = null;
+    }
+
+    await new Promise(resolve => {
+        const request = indexedDB.deleteDatabase(CONFIG.HISTORY.DB_NAME);
+        request.onsuccess = request.onerror = request.onblocked = () => resolve();
+    });
+}
+
+// ========================================
+// Trends
+// ========================================
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function openTrendsModal() {
+    elements.trendsDirection.value = state.selectedDirection;
+    elements.trendsModal.classList.remove('hidden');
+    renderTrends();
+}
+
+function closeTrendsModal() {
+    elements.trendsModal.classList.add('hidden');
+}
+
+async function renderTrends() {
+    const route = getActiveRoute();
+    const direction = elements.trendsDirection.value;
+    const weekday = elements.trendsWeekday.value;
+    const series = getDurationSeries(route.travelMode || 'driving', route.trafficModel);
+
+    let records;
+    try {
+        records = await loadRouteHistory(route.id);
+    } catch (error) {
+        console.warn('Failed to load analysis history:', error);
+        records = [];
+    }
+
+    const matching = latestPerDate(records.filter(record =>
+        record.direction === direction && record.series === series
+    ));
+    const filtered = weekday === 'all'
+        ? matching
+        : matching.filter(record => record.weekday === Number(weekday));
+
+    elements.trendsSummary.textContent = filtered.length
+        ? `${filtered.length} analyzed ${filtered.length === 1 ? 'day' : 'days'} of ${route.name}, ${formatSeriesLabel(series)}`
+        : `No saved analyses yet for ${route.name}, ${formatSeriesLabel(series)}. Run an analysis to start building trends.`;
+
+    renderTrendsChart(filtered);
+    renderWeekdayTrends(matching);
+    renderRecommendationShift(filtered);
+}
+
+// Re-running an analysis for the same day shouldn't count that day twice
+function latestPerDate(records) {
+    const byDate = new Map();
+    records.forEach(record => {
+        const existing = byDate.get(record.date);
+        if (!existing || record.recordedAt > existing.recordedAt) {
+            byDate.set(record.date, record);
+        }
+    });
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function formatSeriesLabel(series) {
+    if (series === 'compare') return 'fastest of driving and transit';
+    if (series.startsWith('driving:')) return `driving (${series.slice(8).replace('_', ' ')})`;
+    return CONFIG.TRAVEL_MODES[series]?.label.toLowerCase() || series;
+}
+
+// Linear interpolation between closest ranks; values must be sorted
+function percentile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function summarizeDurations(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        low: percentile(sorted, 0.1),
+        median: percentile(sorted, 0.5),
+        high: percentile(sorted, 0.9)
+    };
+}
+
+function showTrendsPlaceholder(container, message) {
+    container.innerHTML = `
+        <div class="chart-placeholder">
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Median per departure slot with the 10th-90th percentile spread, drawn
+// like the Compare All chart
+function renderTrendsChart(records) {
+    const durationsBySlot = new Map();
+    records.forEach(record => {
+        record.slots.forEach(slot => {
+            if (!durationsBySlot.has(slot.time)) durationsBySlot.set(slot.time, []);
+            durationsBySlot.get(slot.time).push(slot.duration);
+        });
+    });
+
+    if (durationsBySlot.size === 0) {
+        showTrendsPlaceholder(elements.trendsChart, 'Nothing to chart yet');
+        return;
+    }
+
+    const slots = [...durationsBySlot.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([time, durations]) => ({ time, ...summarizeDurations(durations) }));
+
+    const minDuration = Math.min(...slots.map(slot => slot.low));
+    const maxDuration = Math.max(...slots.map(slot => slot.high));
+    const displayMin = Math.max(0, minDuration - (maxDuration - minDuration) * 0.1);
+    const displayRange = (maxDuration - displayMin) || 1;
+    const height = duration => ((duration - displayMin) / displayRange) * 100;
+    const best = slots.reduce((winner, slot) => slot.median < winner.median ? slot : winner);
+
+    let chartHTML = '<div class="chart-bars">';
+    slots.forEach(slot => {
+        const lowMin = Math.round(slot.low / 60);
+        const medianMin = Math.round(slot.median / 60);
+        const highMin = Math.round(slot.high / 60);
+        const optimalClass = slot === best ? ' optimal-group' : '';
+
+        chartHTML += `
+            <div class="chart-bar-wrapper stacked${optimalClass}">
+                <div class="stacked-bars">
+                    <div class="chart-bar bar-pessimistic" style="height: ${height(slot.high)}%"></div>
+                    <div class="chart-bar bar-average" style="height: ${height(slot.median)}%"></div>
+                    <div class="chart-bar bar-optimistic" style="height: ${height(slot.low)}%"></div>
+                </div>
+                <span class="bar-tooltip stacked-tooltip">
+                    <strong>${formatTime(slot.time)}</strong><br>
+                    Median: ${medianMin} min<br>
+                    ${slot.count > 1 ? `Usually ${lowMin}–${highMin} min<br>` : ''}
+                    ${slot.count} ${slot.count === 1 ? 'day' : 'days'}
+                </span>
+                <span class="chart-time">${formatTimeShort(slot.time)}</span>
+            </div>
+        `;
+    });
+    chartHTML += '</div>';
+
+    chartHTML += `
+        <div class="chart-legend">
+            <div class="legend-item">
+                <div class="legend-color optimistic"></div>
+                <span>Good Days</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color average"></div>
+                <span>Median</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color pessimistic"></div>
+                <span>Bad Days</span>
+            </div>
+        </div>
+        <div class="chart-axis-labels">
+            <span class="axis-label max">${Math.round(maxDuration / 60)} min</span>
+            <span class="axis-label min">${Math.round(displayMin / 60)} min</span>
+        </div>
+    `;
+
+    elements.trendsChart.innerHTML = chartHTML;
+}
+
+// Median of each day's best slot, so weekdays compare on the trip you'd take
+function renderWeekdayTrends(records) {
+    const bestByWeekday = new Map();
+    records.forEach(record => {
+        if (record.slots.length === 0) return;
+        const best = Math.min(...record.slots.map(slot => slot.duration));
+        if (!bestByWeekday.has(record.weekday)) bestByWeekday.set(record.weekday, []);
+        bestByWeekday.get(record.weekday).push(best);
+    });
+
+    if (bestByWeekday.size === 0) {
+        showTrendsPlaceholder(elements.trendsWeekdays, 'No weekdays analyzed yet');
+        return;
+    }
+
+    // Monday first
+    const weekdays = [1, 2, 3, 4, 5, 6, 0]
+        .filter(weekday => bestByWeekday.has(weekday))
+        .map(weekday => ({ weekday, ...summarizeDurations(bestByWeekday.get(weekday)) }));
+    const fastest = Math.min(...weekdays.map(day => day.median));
+    const slowest = Math.max(...weekdays.map(day => day.median));
+    const displayMin = Math.max(0, fastest - (slowest - fastest) * 0.5 - 60);
+
+    let chartHTML = '<div class="chart-bars">';
+    weekdays.forEach(day => {
+        const heightPercent = ((day.median - displayMin) / ((slowest - displayMin) || 1)) * 100;
+        const optimalClass = day.median === fastest ? ' optimal' : '';
+
+        chartHTML += `
+            <div class="chart-bar-wrapper">
+                <div class="chart-bar traffic-${getTrafficLevel(day.median, fastest)}${optimalClass}" style="height: ${heightPercent}%">
+                    <span class="bar-tooltip">${WEEKDAY_NAMES[day.weekday]}<br>${Math.round(day.median / 60)} min median<br>${day.count} ${day.count === 1 ? 'day' : 'days'}</span>
+                </div>
+                <span class="chart-time">${WEEKDAY_NAMES[day.weekday]}</span>
+            </div>
+        `;
+    });
+    chartHTML += '</div>';
+
+    elements.trendsWeekdays.innerHTML = chartHTML;
+}
+
+// Most recent weeks first: the typical recommended departure each week and
+// how it moved from the week before
+function renderRecommendationShift(records) {
+    const byWeek = new Map();
+    records
+        .filter(record => record.analysisMode === 'window' && record.recommendedTime)
+        .forEach(record => {
+            const weekStart = formatDateKey(getWeekStart(record.date));
+            if (!byWeek.has(weekStart)) byWeek.set(weekStart, []);
+            byWeek.get(weekStart).push(record);
+        });
+
+    const weeks = [...byWeek.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .slice(-CONFIG.HISTORY.SHIFT_WEEKS)
+        .map(([weekStart, weekRecords]) => {
+            const minutes = summarizeDurations(weekRecords.map(record => timeToMinutes(record.recommendedTime))).median;
+            return { weekStart, minutes: Math.round(minutes / 5) * 5, count: weekRecords.length };
+        });
+
+    if (weeks.length === 0) {
+        showTrendsPlaceholder(elements.trendsShift, 'No recommendations saved yet');
+        return;
+    }
+
+    elements.trendsShift.innerHTML = weeks.map((week, index) => {
+        const previous = weeks[index - 1];
+        const delta = previous ? week.minutes - previous.minutes : 0;
+        const deltaText = !previous ? '' : delta === 0
+            ? 'no change'
+            : `${Math.abs(delta)} min ${delta > 0 ? 'later' : 'earlier'}`;
+        const [year, month, day] = week.weekStart.split('-').map(Number);
+        const label = new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        return `
+            <div class="trends-shift-row">
+                <span class="trends-shift-week">Week of ${label}</span>
+                <span class="trends-shift-time">${formatTime(minutesToTime(week.minutes))}</span>
+                <span class="trends-shift-delta">${deltaText}</span>
+            </div>
+        `;
+    }).reverse().join('');
+}
+
+// Monday of the week containing a YYYY-MM-DD date
+function getWeekStart(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date;
+}
+
+// ========================================
+// Offline
+// ========================================
+// The last analysis of each route and day, keyed "routeId|YYYY-MM-DD"
+function loadLastAnalyses() {
+    return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.LAST_ANALYSES) || '{}');
+}
+
+function saveLastAnalyses(analyses) {
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.LAST_ANALYSES, JSON.stringify(analyses));
+    } catch (error) {
+        console.warn('Failed to save analysis for offline use:', error);
+    }
+}
+
+// Days that have passed are dropped as new ones come in; shared routes
+// aren't kept
+function saveLastAnalysis(routeId, dateKey, results) {
+    if (routeId === CONFIG.SHARE.ROUTE_ID) return;
+
+    const today = formatDateKey(new Date());
+    const analyses = Object.fromEntries(Object.entries(loadLastAnalyses())
+        .filter(([key]) => key.split('|')[1] >= today));
+
+    analyses[`${routeId}|${dateKey}`] = { ...results, savedAt: Date.now() };
+    saveLastAnalyses(analyses);
+}
+
+function deleteLastAnalyses(routeId) {
+    const analyses = Object.fromEntries(Object.entries(loadLastAnalyses())
+        .filter(([key]) => key.split('|')[0] !== routeId));
+    saveLastAnalyses(analyses);
+}
+
+// Shows the saved analysis for the selected route and day, badged as stale,
+// when nothing fresher is on screen
+function showLastAnalysis() {
+    if (state.viewMode !== 'day' || state.analysisResults || !state.selectedDate) return;
+
+    const saved = loadLastAnalyses()[`${state.activeRouteId}|${formatDateKey(state.selectedDate)}`];
+    if (!saved) return;
+
+    // The preset may have changed since the analysis was saved
+    rerankWindowResults(saved, getActiveRoute()?.recommendPreset);
+    state.analysisResults = saved;
+    renderResults(saved[state.selectedDirection]);
+}
+
+function updateStaleBadge() {
+    const savedAt = state.analysisResults?.savedAt;
+    const partial = state.analysisResults?.[state.selectedDirection]?.partial;
+    elements.staleBadge.classList.toggle('hidden', !savedAt && !partial);
+
+    if (partial) {
+        elements.staleBadge.textContent = `Cancelled · ${partial.done} of ${partial.total} requests checked`;
+        return;
+    }
+    if (!savedAt) return;
+
+    const stamp = new Date(savedAt).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    elements.staleBadge.textContent = `${navigator.onLine ? '' : 'Offline · '}Stale as of ${stamp}`;
+}
+
+function isShowingDay(routeId, dateKey) {
+    return state.viewMode === 'day' &&
+        state.activeRouteId === routeId &&
+        Boolean(state.selectedDate) &&
+        formatDateKey(state.selectedDate) === dateKey;
+}
+
+function loadQueuedAnalyses() {
+    return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.QUEUED_ANALYSES) || '[]');
+}
+
+// A newer request for the same route and day replaces the queued one
+function queueAnalysis(request) {
+    const queue = loadQueuedAnalyses().filter(queued =>
+        queued.routeId !== request.routeId || queued.viewMode !== request.viewMode || queued.date !== request.date
+    );
+    queue.push(request);
+    localStorage.setItem(CONFIG.STORAGE_KEYS.QUEUED_ANALYSES, JSON.stringify(queue));
+
+    showToast('Offline. This analysis will run when you reconnect.', 'info');
+    if (request.viewMode === 'day') {
+        showLastAnalysis();
+    }
+}
+
+// Runs what was queued while offline, oldest first. Days that have passed
+// in the meantime are dropped; a request that fails offline again re-queues.
+async function runQueuedAnalyses() {
+    const queue = loadQueuedAnalyses();
+    if (queue.length === 0 || state.isAnalyzing) return;
+
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.QUEUED_ANALYSES);
+    const today = formatDateKey(new Date());
+    for (const request of queue) {
+        if (request.date && request.date < today) continue;
+        await runAnalysis(request);
+    }
+}
+
+function handleOnline() {
+    updateStaleBadge();
+
+    const queued = loadQueuedAnalyses().length;
+    if (queued > 0) {
+        showToast(`Back online. Running ${queued} queued ${queued === 1 ? 'analysis' : 'analyses'}...`, 'info');
+    }
+    runQueuedAnalyses();
+}
+
+function handleOffline() {
+    showToast('Offline. Showing saved results where available.', 'warning');
+    updateStaleBadge();
+}
+
+// ========================================
+// Export & Import
+// ========================================
+// Every analyzed run on screen: the selected day, or each day of the week run
+function getExportRuns() {
+    const days = state.viewMode === 'week'
+        ? (state.weekResults?.days || []).map(day => ({ date: day.fullDate, results: day }))
+        : state.analysisResults ? [{ date: state.selectedDate, results: state.analysisResults }] : [];
+
+    return days.flatMap(({ date, results }) => ['morning', 'evening']
+        .filter(direction => results[direction]?.times?.length > 0)
+        .map(direction => ({ dateKey: formatDateKey(date), direction, results: results[direction] }))
+    );
+}
+
+function updateExportActions() {
+    elements.exportActions.classList.toggle('hidden', getExportRuns().length === 0);
+}
+
+// Models a run measured, one table column each
+function getExportModels(results) {
+    if (results.isCompareAll) return ['optimistic', 'best_guess', 'pessimistic'];
+    if (results.isCompareModes) return ['driving', 'transit'];
+    return [results.series || 'duration'];
+}
+
+// Slot-by-model durations (seconds) for every run, e.g.
+// { models: ['driving:pessimistic'], rows: [{ date, direction, departure, durations, route, optimal }] }
+function buildExportTable(runs) {
+    const models = [...new Set(runs.flatMap(({ results }) => getExportModels(results)))];
+    const rows = runs.flatMap(({ dateKey, direction, results }) => {
+        const isMulti = results.isCompareAll || results.isCompareModes;
+        const runModels = getExportModels(results);
+
+        return results.times.map(result => ({
+            date: dateKey,
+            direction: direction,
+            departure: result.time,
+            durations: Object.fromEntries(models.map(model => {
+                if (!runModels.includes(model)) return [model, null];
+                return [model, (isMulti ? result[model]?.duration : result.duration) ?? null];
+            })),
+            route: getSlotRoute(result, 'best_guess'),
+            optimal: Boolean(result.isOptimal)
+        }));
+    });
+
+    return { models, rows };
+}
+
+function buildCsv(table) {
+    const header = ['date', 'direction', 'departure', ...table.models.map(model => `${model} (min)`), 'route', 'optimal'];
+    const lines = table.rows.map(row => [
+        row.date,
+        row.direction,
+        row.departure,
+        ...table.models.map(model => row.durations[model] === null ? '' : Math.round(row.durations[model] / 60)),
+        row.route,
+        row.optimal ? 'yes' : ''
+    ]);
+
+    return [header, ...lines].map(line => line.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One event per analyzed run, from the recommended departure until arrival
+function buildCalendar(runs, route) {
+    const stamp = formatIcsDate(new Date());
+    const events = runs.filter(({ results }) => results.optimal).flatMap(({ dateKey, direction, results }) => {
+        const optimal = results.optimal;
+        const departure = new Date(optimal.departureTime);
+        const duration = getSlotDuration(optimal);
+        const isMorning = direction === 'morning';
+        const from = isMorning ? route.origin : route.destination;
+        const to = isMorning ? route.destination : route.origin;
+        const via = getSlotRoute(optimal, 'best_guess');
+        const mode = optimal.bestMode ? ` (${CONFIG.TRAVEL_MODES[optimal.bestMode].label})` : '';
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${route.id}-${dateKey}-${direction}@${CONFIG.PROFILE.APP}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDate(departure)}`,
+            `DTEND:${formatIcsDate(new Date(departure.getTime() + duration * 1000))}`,
+            `SUMMARY:${escapeIcsText(`Leave for ${shortenAddress(to)}${mode}`)}`,
+            `LOCATION:${escapeIcsText(from)}`,
+            `DESCRIPTION:${escapeIcsText(`${Math.round(duration / 60)} min${via ? ` via ${via}` : ''} from ${from} to ${to}`)}`,
+            'END:VEVENT'
+        ];
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Commute Optimizer//EN',
+        'CALSCALE:GREGORIAN',
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// UTC form, e.g. 20250114T153000Z
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// iCalendar lines are limited to 75 octets; longer ones continue on lines
+// starting with a space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function handleExport(format) {
+    const runs = getExportRuns();
+    if (runs.length === 0) {
+        showToast('Analyze a day first to export it', 'warning');
+        return;
+    }
+
+    const route = getActiveRoute();
+    const slug = route.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'route';
+    const basename = `commute-${slug}-${state.viewMode === 'week' ? 'week-' : ''}${runs[0].dateKey}`;
+
+    if (format === 'csv') {
+        downloadFile(`${basename}.csv`, buildCsv(buildExportTable(runs)), 'text/csv');
+    } else if (format === 'json') {
+        const table = buildExportTable(runs);
+        const data = {
+            exportedAt: new Date().toISOString(),
+            route: { name: route.name, origin: route.origin, destination: route.destination, stops: route.stops || [] },
+            models: table.models,
+            rows: table.rows.map(({ durations, ...row }) => ({ ...row, durationSeconds: durations }))
+        };
+        downloadFile(`${basename}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else {
+        downloadFile(`${basename}.ics`, buildCalendar(runs, route), 'text/calendar');
+    }
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function handleExportProfile() {
+    const profile = {
+        app: CONFIG.PROFILE.APP,
+        version: CONFIG.PROFILE.VERSION,
+        exportedAt: new Date().toISOString(),
+        activeRouteId: state.activeRouteId,
+        analysisMode: state.analysisMode,
+        routes: state.routes.map(route => Object.fromEntries(
+            CONFIG.PROFILE.ROUTE_FIELDS.filter(field => route[field] !== undefined).map(field => [field, route[field]])
+        ))
+    };
+
+    downloadFile('commute-profile.json', JSON.stringify(profile, null, 2), 'application/json');
+}
+
+// Imported routes replace local ones with the same id and are added
+// otherwise; a replaced route that's being watched keeps watching
+async function handleImportProfile() {
+    const file = elements.importProfileInput.files[0];
+    elements.importProfileInput.value = '';
+    if (!file) return;
+
+    let profile;
+    try {
+        profile = parseProfile(await file.text());
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const count = profile.routes.length;
+    if (!confirm(`Import ${count} route${count === 1 ? '' : 's'} from ${file.name}? Routes you already have from this profile will be updated.`)) {
+        return;
+    }
+
+    const watched = [];
+    profile.routes.forEach(route => {
+        const index = state.routes.findIndex(existing => existing.id === route.id);
+        if (index === -1) {
+            state.routes.push(route);
+            return;
+        }
+
+        const existing = state.routes[index];
+        if (existing.watching) {
+            route.watching = true;
+            route.watchEndpoint = existing.watchEndpoint;
+            watched.push(route);
+        }
+        state.routes[index] = route;
+    });
+
+    if (state.routes.some(route => route.id === profile.activeRouteId)) {
+        state.activeRouteId = profile.activeRouteId;
+    }
+    state.analysisMode = profile.analysisMode || state.analysisMode;
+    state.analysisResults = null;
+    state.weekResults = null;
+    state.weekDrillDay = null;
+
+    saveSettings();
+    watched.forEach(syncWatchedRoute);
+    renderRouteSwitcher();
+    updateRouteDisplay();
+    updateModeControls();
+    resetResults();
+    showLastAnalysis();
+    closeSettingsModal();
+    showToast(`Imported ${count} route${count === 1 ? '' : 's'}`, 'success');
+}
+
+// Checks an exported profile and rebuilds its routes from known fields only.
+// Throws with a message fit for a toast.
+function parseProfile(text) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch {
+        throw new Error('That file is not valid JSON');
+    }
+
+    if (profile?.app !== CONFIG.PROFILE.APP || !Array.isArray(profile.routes)) {
+        throw new Error('That file is not a Commute Optimizer profile');
+    }
+    if (profile.version > CONFIG.PROFILE.VERSION) {
+        throw new Error('That profile was exported by a newer version of the app');
+    }
+
+    const routes = profile.routes.map((route, index) => {
+        const sanitized = sanitizeRoute(route);
+        if (!sanitized) {
+            throw new Error(`Route ${index + 1} in the profile is missing its addresses`);
+        }
+        return sanitized;
+    });
+
+    if (routes.length === 0) {
+        throw new Error('That profile has no routes');
+    }
+
+    return {
+        routes: routes,
+        activeRouteId: profile.activeRouteId,
+        analysisMode: ['window', 'arriveBy'].includes(profile.analysisMode) ? profile.analysisMode : null
+    };
+}
+
+// ========================================
+// Watch Mode (Push Notifications)
+// ========================================
+function updateWatchButton() {
+    const watching = Boolean(getActiveRoute()?.watching);
+    elements.watchBtn.classList.toggle('hidden', state.activeRouteId === CONFIG.SHARE.ROUTE_ID);
+    elements.watchBtn.textContent = watching ? '🔕 Stop notifications' : '🔔 Notify me when to leave';
+    elements.watchBtn.classList.toggle('active', watching);
+}
+
+async function handleWatchToggle() {
+    const route = getActiveRoute();
+    elements.watchBtn.disabled = true;
+
+    try {
+        if (route.watching) {
+            await unwatchRoute(route);
+            showToast(`Stopped notifications for ${route.name}`, 'info');
+        } else {
+            await watchRoute(route);
+            showToast(`Watching ${route.name}. We'll tell you when to leave.`, 'success');
+        }
+    } catch (error) {
+        console.error('Watch error:', error);
+        showToast(error.message || 'Failed to update notifications', 'error');
+    } finally {
+        elements.watchBtn.disabled = false;
+        updateWatchButton();
+    }
+}
+
+// The monitor checks the route as it's saved here, so edits re-subscribe
+function buildWatchRequest(route, subscription) {
+    const travelMode = route.travelMode === 'compare' ? 'driving' : route.travelMode || 'driving';
+
+    return {
+        subscription: subscription,
+        routeId: route.id,
+        route: {
+            name: route.name,
+            origin: route.origin,
+            destination: route.destination,
+            waypoints: (route.stops || []).map(stop => ({ location: stop.address, dwellMinutes: stop.dwellMinutes || 0 })),
+            travelMode: travelMode,
+            trafficModel: route.trafficModel === 'compare_all' ? 'best_guess' : route.trafficModel
+        },
+        windows: {
+            morning: { start: route.timeSettings.morningStart, end: route.timeSettings.morningEnd },
+            evening: { start: route.timeSettings.eveningStart, end: route.timeSettings.eveningEnd }
+        },
+        timezoneOffset: new Date().getTimezoneOffset()
+    };
+}
+
+/**
+ * Browser push subscription as { endpoint, keys }. When the server has no
+ * VAPID key it delivers to a local stand-in instead of a push service, so
+ * a placeholder subscription kept in localStorage stands in for this browser.
+ */
+async function getPushSubscription() {
+    const response = await fetch('/api/subscriptions');
+    const { publicKey } = await response.json();
+
+    if (!publicKey) {
+        let placeholder = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.PUSH_PLACEHOLDER) || 'null');
+        if (!placeholder) {
+            const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+            placeholder = { endpoint: `local:${id}`, keys: { p256dh: 'local', auth: 'local' } };
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PUSH_PLACEHOLDER, JSON.stringify(placeholder));
+        }
+        return placeholder;
+    }
+
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+        throw new Error('Notifications are not supported in this browser');
+    }
+    if (await Notification.requestPermission() !== 'granted') {
+        throw new Error('Notifications are blocked for this site');
+    }
+
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: base64UrlToUint8Array(publicKey)
+        });
+    return subscription.toJSON();
+}
+
+async function watchRoute(route) {
+    const subscription = await getPushSubscription();
+    await sendWatchRequest('POST', buildWatchRequest(route, subscription));
+
+    route.watching = true;
+    route.watchEndpoint = subscription.endpoint;
+    saveSettings();
+}
+
+async function unwatchRoute(route) {
+    if (route.watchEndpoint) {
+        await sendWatchRequest('DELETE', { endpoint: route.watchEndpoint, routeId: route.id });
+    }
+
+    route.watching = false;
+    delete route.watchEndpoint;
+    saveSettings();
+}
+
+// Unwatches every watched route and drops this browser's push subscription,
+// so the monitor stops once the routes are forgotten. Best effort: a route
+// that can't be unwatched now is removed when its endpoint stops working.
+async function unwatchAllRoutes() {
+    const results = await Promise.allSettled(state.routes.filter(route => route.watching).map(unwatchRoute));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('Failed to stop watching route:', result.reason));
+
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        const subscription = await registration?.pushManager?.getSubscription();
+        await subscription?.unsubscribe();
+    } catch (error) {
+        console.warn('Failed to unsubscribe from push:', error);
+    }
+}
+
+// Keeps the monitor's copy of a watched route current; failures only log
+function syncWatchedRoute(route) {
+    if (!route?.watching) return;
+
+    getPushSubscription()
+        .then(subscription => sendWatchRequest('POST', buildWatchRequest(route, subscription)))
+        .catch(error => console.warn('Failed to update watched route:', error));
+}
+
+async function sendWatchRequest(method, body) {
+    const response = await fetchWithToken('/api/subscriptions', {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw createApiError(response, error.error || 'Failed to update notifications', error.code);
+    }
+}
+
+function base64UrlToUint8Array(value) {
+    const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// ========================================
+// Team
+// ========================================
+// A team shares one office and each member adds where they commute from.
+// This device remembers the team it joined and as whom:
+// { teamId, memberId, origin?, originPlace? }, with memberId null until the
+// user adds their own commute. The server never sends members' origins, so
+// the user's own is kept here for the form.
+function loadTeamMembership() {
+    return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.TEAM) || 'null');
+}
+
+function saveTeamMembership(membership) {
+    if (membership) {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.TEAM, JSON.stringify(membership));
+    } else {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.TEAM);
+    }
+}
+
+// Invite links are ?team=<id>
+function parseTeamInvite(search) {
+    const teamId = new URLSearchParams(search).get('team');
+    return /^[a-f0-9]{16,64}$/.test(teamId || '') ? teamId : null;
+}
+
+// Following an invite switches this device to that team; the user joins
+// it by adding their commute. A device is in one team at a time, so a user
+// who already joined another team leaves it first, or stays put.
+async function acceptTeamInvite(teamId) {
+    const params = new URLSearchParams(location.search);
+    params.delete('team');
+    history.replaceState(null, '', params.toString() ? `${location.pathname}?${params}` : location.pathname);
+
+    const membership = loadTeamMembership();
+    if (membership?.teamId === teamId) return;
+
+    if (membership?.memberId) {
+        if (!confirm('This invite is for a different team. Leave your current team and remove your commute from it?')) return;
+        if (!await removeTeamMember(membership)) return;
+    }
+
+    saveTeamMembership({ teamId: teamId, memberId: null });
+    state.team = null;
+    elements.teamMemberForm.reset();
+    elements.teamResults.classList.add('hidden');
+}
+
+function openTeamModal() {
+    renderTeam();
+    elements.teamModal.classList.remove('hidden');
+    refreshTeam();
+}
+
+function closeTeamModal() {
+    elements.teamModal.classList.add('hidden');
+}
+
+async function refreshTeam() {
+    const membership = loadTeamMembership();
+    if (!membership) return;
+
+    try {
+        const { team } = await sendTeamRequest('GET', { teamId: membership.teamId });
+        state.team = team;
+
+        const self = team.members.find(member => member.id === membership.memberId);
+        if (self) {
+            elements.teamMemberName.value = self.name;
+            elements.teamMemberOrigin.value = membership.origin || '';
+            setInputPlace(elements.teamMemberOrigin, membership.originPlace || null);
+            elements.teamMemberMode.value = self.travelMode;
+        }
+    } catch (error) {
+        if (error.status === 404) {
+            saveTeamMembership(null);
+            state.team = null;
+            showToast('That team no longer exists', 'warning');
+        } else {
+            console.warn('Failed to load team:', error);
+            showToast(error.offline ? 'Connect to the internet to load your team' : error.message, 'error');
+        }
+    }
+
+    renderTeam();
+}
+
+// Shows the create form until this device has a team, then the workspace
+function renderTeam() {
+    const membership = loadTeamMembership();
+    const team = state.team?.id === membership?.teamId ? state.team : null;
+    elements.teamCreateForm.classList.toggle('hidden', Boolean(membership));
+    elements.teamWorkspace.classList.toggle('hidden', !membership);
+    if (!membership) return;
+
+    elements.teamTitle.textContent = team ? team.name : 'Loading team...';
+    elements.teamOfficeDisplay.textContent = team ? `Office: ${team.destination}` : '';
+
+    // Only the user's own origin is known here
+    const members = team ? team.members : [];
+    elements.teamMembers.innerHTML = members.map(member => {
+        const isSelf = member.id === membership.memberId;
+        return `
+            <li class="team-member">
+                <span class="team-member-name">
+                    ${CONFIG.TRAVEL_MODES[member.travelMode]?.icon || ''} ${escapeHTML(member.name)}${isSelf ? ' (you)' : ''}
+                </span>
+                ${isSelf && membership.origin ? `<span class="team-member-origin">${escapeHTML(shortenAddress(membership.origin))}</span>` : ''}
+            </li>
+        `;
+    }).join('') || '<li class="team-member-empty">No one has added their commute yet</li>';
+
+    const isMember = members.some(member => member.id === membership.memberId);
+    elements.teamMemberSubmit.textContent = isMember ? 'Update My Commute' : 'Join Team';
+}
+
+async function handleCreateTeam(e) {
+    e.preventDefault();
+
+    const name = elements.teamName.value.trim();
+    const destination = elements.teamOffice.value.trim();
+    if (!name || !destination) {
+        showToast('Please name the team and its office', 'error');
+        return;
+    }
+
+    try {
+        const destinationPlace = await resolveAddressInput(elements.teamOffice);
+        const { team } = await sendTeamRequest('POST', { name, destination, destinationPlace });
+        state.team = team;
+        saveTeamMembership({ teamId: team.id, memberId: null });
+        elements.teamCreateForm.reset();
+        renderTeam();
+        showToast(`Created ${team.name}. Add your commute, then invite your team.`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Adds this user to the team, or updates their commute once they're in it
+async function handleSaveTeamMember(e) {
+    e.preventDefault();
+
+    const membership = loadTeamMembership();
+    if (!membership) return;
 
-        return {
-            times: results,
-            optimal: optimal,
-            savingsMinutes: Math.round(savingsSeconds / 60),
-            minDuration: minDuration,
-            maxDuration: maxDuration,
-            isCompareAll: false
-        };
+    try {
+        const origin = elements.teamMemberOrigin.value.trim();
+        const originPlace = await resolveAddressInput(elements.teamMemberOrigin);
+        const { team, memberId } = await sendTeamRequest('PUT', {
+            teamId: membership.teamId,
+            member: {
+                ...(membership.memberId && { id: membership.memberId }),
+                name: elements.teamMemberName.value.trim(),
+                origin: origin,
+                originPlace: originPlace,
+                travelMode: elements.teamMemberMode.value
+            }
+        });
+        state.team = team;
+        saveTeamMembership({ teamId: team.id, memberId: memberId, origin: origin, originPlace: originPlace });
+        renderTeam();
+        showToast(membership.memberId ? 'Commute updated' : `Joined ${team.name}`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
     }
 }
 
-function generateTimeSlots(start, end, intervalMinutes) {
-    const slots = [];
-    const [startHours, startMinutes] = start.split(':').map(Number);
-    const [endHours, endMinutes] = end.split(':').map(Number);
+async function handleLeaveTeam() {
+    const membership = loadTeamMembership();
+    if (!membership) return;
+    if (!confirm(`Leave ${state.team?.name || 'this team'}?`)) return;
+    if (!await removeTeamMember(membership)) return;
 
-    let currentMinutes = startHours * 60 + startMinutes;
-    const endTotalMinutes = endHours * 60 + endMinutes;
+    saveTeamMembership(null);
+    state.team = null;
+    elements.teamMemberForm.reset();
+    elements.teamResults.classList.add('hidden');
+    renderTeam();
+    showToast('Left the team', 'success');
+}
 
-    while (currentMinutes <= endTotalMinutes) {
-        const hours = Math.floor(currentMinutes / 60);
-        const mins = currentMinutes % 60;
-        slots.push(`${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`);
-        currentMinutes += intervalMinutes;
-    }
+// Takes the user's entry, and so their origin, off the server. Resolves to
+// false after telling the user when that failed.
+async function removeTeamMember(membership) {
+    if (!membership.memberId) return true;
 
-    return slots;
+    try {
+        await sendTeamRequest('DELETE', { teamId: membership.teamId, memberId: membership.memberId });
+    } catch (error) {
+        if (error.status !== 404) {
+            showToast(error.message, 'error');
+            return false;
+        }
+    }
+    return true;
 }
 
-function combineDateAndTime(date, timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const result = new Date(date);
-    result.setHours(hours, minutes, 0, 0);
-    return result;
+async function handleTeamInvite() {
+    const membership = loadTeamMembership();
+    if (!membership) return;
+
+    const url = `${location.origin}${location.pathname}?${new URLSearchParams({ team: membership.teamId })}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Invite link copied! Anyone with it can join the team.', 'success');
+    } catch {
+        window.prompt('Copy this link to invite your team:', url);
+    }
 }
 
-// ========================================
-// Serverless API for Directions
-// ========================================
-async function fetchTravelTime(origin, destination, departureTime, trafficModel) {
-    const response = await fetch('/api/directions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            origin: origin,
-            destination: destination,
-            departureTime: departureTime.toISOString(),
-            trafficModel: trafficModel
-        })
-    });
+// GET takes { teamId }; the other methods send the body as JSON.
+// Resolves to the response body.
+async function sendTeamRequest(method, body) {
+    const response = method === 'GET'
+        ? await fetchWithToken(`/api/teams?${new URLSearchParams({ id: body.teamId })}`)
+        : await fetchWithToken('/api/teams', {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+    const data = await response.json().catch(() => ({}));
 
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch directions');
+        throw createApiError(response, data.error || 'Failed to update team', data.code);
     }
-
-    const data = await response.json();
-    return data.duration;
+    return data;
 }
 
-// ========================================
-// Results Rendering
-// ========================================
-function renderResults(results) {
-    if (!results || !results.times || results.times.length === 0) {
-        resetResults();
-        return;
+// One member's departures to the office, looked up server-side since
+// other members' origins aren't sent to this device. Resolves to
+// { times: [{ time, departureTime, duration }] } like analyzeTimeRange, or
+// null when every departure in the window has passed. Transient failures
+// are retried as for /api/window, calling onRetry(error, delayMs) first.
+async function fetchTeamCommute({ team, member, date, startTime, endTime, onRetry = null }) {
+    const interval = CONFIG.DEFAULTS.INTERVAL_MINUTES;
+    const now = new Date();
+    if (!generateTimeSlots(startTime, endTime, interval).some(time => combineDateAndTime(date, time) > now)) {
+        return null;
     }
 
-    const optimal = results.optimal;
-    elements.bestTime.textContent = formatTime(optimal.time);
+    const response = await fetchWithRetry(async () => {
+        const response = await fetchWithToken('/api/team-window', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                teamId: team.id,
+                memberId: member.id,
+                date: formatDateKey(date),
+                startTime: startTime,
+                endTime: endTime,
+                intervalMinutes: interval,
+                timezoneOffset: new Date(date).getTimezoneOffset()
+            })
+        });
 
-    const durationMinutes = results.isCompareAll
-        ? optimal.best_guess?.durationMinutes
-        : optimal.durationMinutes;
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw createApiError(response, error.error || 'Failed to fetch directions', error.code);
+        }
+        return response;
+    }, { onRetry });
 
-    elements.duration.textContent = `${durationMinutes} min`;
-    elements.savings.textContent = results.savingsMinutes > 0
-        ? `Save ${results.savingsMinutes} min`
-        : 'Optimal time';
+    const { slots } = await response.json();
+    const times = slots
+        .filter(slot => slot.duration)
+        .map(slot => ({ time: slot.time, departureTime: new Date(slot.departureTime), duration: slot.duration }));
+    if (times.length === 0) {
+        const failed = slots[0] || {};
+        throw createApiError(response, failed.error || 'Failed to fetch travel times', failed.code);
+    }
+    return { times };
+}
 
-    renderChart(results);
+// The selected day, or every weekday in the picker
+function getTeamMeetingDates() {
+    if (elements.teamDays.value === 'day') {
+        return [state.selectedDate || new Date()];
+    }
+    return getNext7Days()
+        .map(day => day.fullDate)
+        .filter(date => date.getDay() !== 0 && date.getDay() !== 6);
 }
 
-function renderChart(results) {
-    const times = results.times;
-    const isCompareAll = results.isCompareAll;
+// Runs every member's commute for each day over the departures that can
+// reach the meeting window, then ranks the start times
+async function handleAnalyzeTeam() {
+    const team = state.team;
+    if (!team || team.members.length === 0) {
+        showToast('Add at least one commute first', 'warning');
+        return;
+    }
+    if (state.isAnalyzing) return;
 
-    const minDuration = results.minDuration;
-    const maxDuration = results.maxDuration;
-    const range = maxDuration - minDuration;
+    if (state.rateLimitedUntil > Date.now()) {
+        const seconds = Math.ceil((state.rateLimitedUntil - Date.now()) / 1000);
+        showToast(`Rate limit reached. Try again in ${formatCountdown(seconds)}.`, 'warning');
+        return;
+    }
 
-    const displayMin = Math.max(0, minDuration - range * 0.1);
-    const displayRange = maxDuration - displayMin;
+    const meetingStart = elements.teamMeetingStart.value;
+    const meetingEnd = elements.teamMeetingEnd.value;
+    if (!meetingStart || !meetingEnd || timeToMinutes(meetingEnd) < timeToMinutes(meetingStart)) {
+        showToast('The latest start must be after the earliest', 'error');
+        return;
+    }
 
-    let chartHTML = '<div class="chart-bars">';
+    const meetingTimes = generateTimeSlots(meetingStart, meetingEnd, CONFIG.TEAM.MEETING_STEP_MINUTES);
+    const startMinutes = Math.max(0, timeToMinutes(meetingStart) - CONFIG.ARRIVE_BY.LOOKBACK_MINUTES);
+    const endMinutes = Math.max(startMinutes, timeToMinutes(meetingEnd) - CONFIG.DEFAULTS.INTERVAL_MINUTES);
+    const dates = getTeamMeetingDates();
+    const total = dates.length * team.members.length;
 
-    if (isCompareAll) {
-        times.forEach(result => {
-            const optimalClass = result.isOptimal ? ' optimal-group' : '';
+    setAnalyzing(true);
 
-            const optHeight = result.optimistic
-                ? ((result.optimistic.duration - displayMin) / displayRange) * 100
-                : 0;
-            const avgHeight = result.best_guess
-                ? ((result.best_guess.duration - displayMin) / displayRange) * 100
-                : 0;
-            const pessHeight = result.pessimistic
-                ? ((result.pessimistic.duration - displayMin) / displayRange) * 100
-                : 0;
+    try {
+        const runs = [];
+        for (const date of dates) {
+            for (const member of team.members) {
+                const label = `Analyzing ${runs.length + 1}/${total}`;
+                setTeamAnalyzing(true, `${label}...`);
 
-            const optMin = result.optimistic?.durationMinutes || '--';
-            const avgMin = result.best_guess?.durationMinutes || '--';
-            const pessMin = result.pessimistic?.durationMinutes || '--';
+                let results;
+                try {
+                    results = await fetchTeamCommute({
+                        team: team,
+                        member: member,
+                        date: date,
+                        startTime: minutesToTime(startMinutes),
+                        endTime: minutesToTime(endMinutes),
+                        onRetry: (error, delay) => setTeamAnalyzing(true,
+                            `${label}: ${ERROR_KINDS[error.kind].label}, retrying in ${Math.ceil(delay / 1000)}s`)
+                    });
+                } catch (error) {
+                    if (error.offline || error.retryAfter) throw error;
+                    throw new Error(`Couldn't plan ${member.name}'s commute: ${error.message}`);
+                }
+                runs.push({ date, member, results });
+            }
+        }
 
-            chartHTML += `
-                <div class="chart-bar-wrapper stacked${optimalClass}">
-                    <div class="stacked-bars">
-                        <div class="chart-bar bar-pessimistic" 
-                             style="height: ${pessHeight}%"
-                             title="${formatTime(result.time)}: ${pessMin} min (worst)">
-                        </div>
-                        <div class="chart-bar bar-average" 
-                             style="height: ${avgHeight}%"
-                             title="${formatTime(result.time)}: ${avgMin} min (avg)">
-                        </div>
-                        <div class="chart-bar bar-optimistic" 
-                             style="height: ${optHeight}%"
-                             title="${formatTime(result.time)}: ${optMin} min (best)">
-                        </div>
-                    </div>
-                    <span class="bar-tooltip stacked-tooltip">
-                        <strong>${formatTime(result.time)}</strong><br>
-                        🟢 Best: ${optMin} min<br>
-                        🟡 Avg: ${avgMin} min<br>
-                        🔴 Worst: ${pessMin} min
-                    </span>
-                    <span class="chart-time">${formatTimeShort(result.time)}</span>
-                </div>
-            `;
-        });
+        renderTeamResults(planTeamMeeting(runs, meetingTimes, elements.teamObjective.value));
+    } catch (error) {
+        console.error('Team analysis error:', error);
+        if (error.retryAfter) {
+            startRateLimitCountdown(error.retryAfter);
+        } else {
+            showToast(error.offline ? 'Connect to the internet to plan a meeting' : error.message, 'error');
+        }
+    } finally {
+        setAnalyzing(false);
+        setTeamAnalyzing(false);
+    }
+}
 
-        chartHTML += '</div>';
+/**
+ * Ranks meeting start times from every member's departures. runs are
+ * [{ date, member, results }] with fetchTeamCommute results, or null when
+ * that day's window has passed. Each member takes the latest departure that
+ * arrives by the start time; a start time someone can't make is dropped.
+ * Sorted by objective ('total' or 'worst' commute), then the other measure,
+ * then the earlier start.
+ * Returns [{ date, time, total, worst, commutes: [{ member, departure, duration }] }].
+ */
+function planTeamMeeting(runs, meetingTimes, objective) {
+    const dates = [...new Set(runs.map(run => run.date))];
+    const options = [];
 
-        chartHTML += `
-            <div class="chart-legend">
-                <div class="legend-item">
-                    <div class="legend-color optimistic"></div>
-                    <span>Best Case</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color average"></div>
-                    <span>Average</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color pessimistic"></div>
-                    <span>Worst Case</span>
-                </div>
-            </div>
-        `;
+    dates.forEach(date => {
+        const dayRuns = runs.filter(run => run.date === date);
 
-        const minLabel = Math.round(displayMin / 60);
-        const maxLabel = Math.round(maxDuration / 60);
-        chartHTML += `
-            <div class="chart-axis-labels">
-                <span class="axis-label max">${maxLabel} min</span>
-                <span class="axis-label min">${minLabel} min</span>
-            </div>
-        `;
-    } else {
-        times.forEach(result => {
-            const heightPercent = ((result.duration - displayMin) / displayRange) * 100;
-            const optimalClass = result.isOptimal ? ' optimal' : '';
+        meetingTimes.forEach(time => {
+            const meetingAt = combineDateAndTime(date, time).getTime();
+            const commutes = dayRuns.map(({ member, results }) => {
+                const onTime = (results?.times || []).filter(slot =>
+                    slot.departureTime.getTime() + slot.duration * 1000 <= meetingAt
+                );
+                const departure = onTime[onTime.length - 1];
+                return departure && { member, departure: departure.time, duration: departure.duration };
+            });
+            if (commutes.some(commute => !commute)) return;
 
-            chartHTML += `
-                <div class="chart-bar-wrapper">
-                    <div class="chart-bar traffic-${result.trafficLevel}${optimalClass}" 
-                         style="height: ${heightPercent}%"
-                         data-time="${formatTime(result.time)}"
-                         data-duration="${result.durationMinutes} min">
-                        <span class="bar-tooltip">${formatTime(result.time)}<br>${result.durationMinutes} min</span>
-                    </div>
-                    <span class="chart-time">${formatTimeShort(result.time)}</span>
-                </div>
-            `;
+            const durations = commutes.map(commute => commute.duration);
+            options.push({
+                date: date,
+                time: time,
+                total: durations.reduce((sum, duration) => sum + duration, 0),
+                worst: Math.max(...durations),
+                commutes: commutes
+            });
         });
+    });
 
-        chartHTML += '</div>';
-
-        chartHTML += `
-            <div class="chart-legend">
-                <div class="legend-item">
-                    <div class="legend-color low"></div>
-                    <span>Light</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color medium"></div>
-                    <span>Moderate</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color high"></div>
-                    <span>Heavy</span>
-                </div>
-            </div>
-        `;
+    const primary = objective === 'worst' ? 'worst' : 'total';
+    const secondary = primary === 'worst' ? 'total' : 'worst';
+    return options.sort((a, b) =>
+        a[primary] - b[primary] || a[secondary] - b[secondary] || a.date - b.date ||
+        timeToMinutes(a.time) - timeToMinutes(b.time)
+    );
+}
 
-        const minLabel = Math.round(displayMin / 60);
-        const maxLabel = Math.round(maxDuration / 60);
-        chartHTML += `
-            <div class="chart-axis-labels">
-                <span class="axis-label max">${maxLabel} min</span>
-                <span class="axis-label min">${minLabel} min</span>
-            </div>
+// Top start times, then when each member leaves for the best one
+function renderTeamResults(options) {
+    elements.teamResults.classList.remove('hidden');
+    if (options.length === 0) {
+        elements.teamResults.innerHTML = `
+            <p class="team-results-empty">No start time works for everyone. Try a later window or another day.</p>
         `;
+        return;
     }
 
-    elements.chartContainer.innerHTML = chartHTML;
-}
+    const toMinutes = seconds => Math.round(seconds / 60);
+    const describe = option => `${WEEKDAY_NAMES[option.date.getDay()]} ${formatTime(option.time)}`;
+    const longest = option => option.commutes.reduce((a, b) => b.duration > a.duration ? b : a);
+    const best = options[0];
 
-function resetResults() {
-    elements.bestTime.textContent = '--:--';
-    elements.duration.textContent = '-- min';
-    elements.savings.textContent = 'Save -- min';
-    elements.chartContainer.innerHTML = `
-        <div class="chart-placeholder">
-            <p>Select a day and tap "Analyze" to see travel times</p>
-        </div>
+    elements.teamResults.innerHTML = `
+        <ol class="team-options">
+            ${options.slice(0, CONFIG.TEAM.TOP_OPTIONS).map((option, index) => `
+                <li class="team-option${index === 0 ? ' best' : ''}">
+                    <span class="team-option-time">${describe(option)}</span>
+                    <span class="team-option-stats">
+                        ${toMinutes(option.total)} min total · longest ${toMinutes(option.worst)} min
+                        (${escapeHTML(longest(option).member.name)})
+                    </span>
+                </li>
+            `).join('')}
+        </ol>
+        <h4 class="team-breakdown-title">Leaving for ${describe(best)}</h4>
+        <ul class="team-breakdown">
+            ${[...best.commutes].sort((a, b) => b.duration - a.duration).map(commute => `
+                <li class="team-breakdown-row">
+                    <span>${CONFIG.TRAVEL_MODES[commute.member.travelMode]?.icon || ''} ${escapeHTML(commute.member.name)}</span>
+                    <span>Leave ${formatTime(commute.departure)} · ${toMinutes(commute.duration)} min</span>
+                </li>
+            `).join('')}
+        </ul>
     `;
 }
 
-function updateRouteDisplay() {
-    const homeShort = shortenAddress(state.homeAddress);
-    const workShort = shortenAddress(state.workAddress);
-    elements.homeDisplay.textContent = homeShort;
-    elements.workDisplay.textContent = workShort;
+function setTeamAnalyzing(isAnalyzing, text = 'Find Best Time') {
+    elements.teamAnalyzeBtn.disabled = isAnalyzing;
+    elements.teamAnalyzeBtn.textContent = text;
 }
 
 // ========================================
 // Settings Modal
 // ========================================
 function openSettingsModal() {
-    elements.settingsHome.value = state.homeAddress;
-    elements.settingsWork.value = state.workAddress;
-    elements.morningStart.value = state.timeSettings.morningStart;
-    elements.morningEnd.value = state.timeSettings.morningEnd;
-    elements.eveningStart.value = state.timeSettings.eveningStart;
-    elements.eveningEnd.value = state.timeSettings.eveningEnd;
-    elements.trafficModel.value = state.trafficModel;
+    // A shared route isn't in the editor until it's saved
+    const routeId = state.activeRouteId === CONFIG.SHARE.ROUTE_ID ? 'new' : state.activeRouteId;
+    renderSettingsRouteOptions(routeId);
+    loadRouteIntoSettings(routeId);
     elements.settingsModal.classList.remove('hidden');
 }
 
+function renderSettingsRouteOptions(selectedId) {
+    elements.settingsRoute.innerHTML = state.routes.map(route =>
+        `<option value="${route.id}">${escapeHTML(route.name)}</option>`
+    ).join('') + '<option value="new">+ New route</option>';
+    elements.settingsRoute.value = selectedId || 'new';
+}
+
+// Fill the route editor; 'new' starts a blank route with default windows
+function loadRouteIntoSettings(routeId) {
+    const route = state.routes.find(r => r.id === routeId) || createRoute({});
+    state.editingRouteId = routeId === 'new' ? null : route.id;
+
+    elements.settingsRouteName.value = route.name;
+    elements.settingsHome.value = route.origin;
+    elements.settingsWork.value = route.destination;
+    setInputPlace(elements.settingsHome, route.originPlace);
+    setInputPlace(elements.settingsWork, route.destinationPlace);
+    renderStopsEditor(elements.settingsStops, route.stops || []);
+    elements.morningStart.value = route.timeSettings.morningStart;
+    elements.morningEnd.value = route.timeSettings.morningEnd;
+    elements.eveningStart.value = route.timeSettings.eveningStart;
+    elements.eveningEnd.value = route.timeSettings.eveningEnd;
+    elements.trafficModel.value = route.trafficModel;
+    elements.slotInterval.value = route.slotInterval || CONFIG.DEFAULTS.INTERVAL_MINUTES;
+    elements.deleteRouteBtn.classList.toggle('hidden', !state.editingRouteId || state.routes.length < 2);
+}
+
 function closeSettingsModal() {
     elements.settingsModal.classList.add('hidden');
 }
 
-function handleSettingsSave(e) {
+async function handleSettingsSave(e) {
     e.preventDefault();
 
-    state.homeAddress = elements.settingsHome.value.trim();
-    state.workAddress = elements.settingsWork.value.trim();
-    state.trafficModel = elements.trafficModel.value;
-    state.timeSettings.morningStart = elements.morningStart.value;
-    state.timeSettings.morningEnd = elements.morningEnd.value;
-    state.timeSettings.eveningStart = elements.eveningStart.value;
-    state.timeSettings.eveningEnd = elements.eveningEnd.value;
+    const origin = elements.settingsHome.value.trim();
+    const destination = elements.settingsWork.value.trim();
+    if (!origin || !destination) {
+        showToast('Please fill in both addresses', 'error');
+        return;
+    }
+
+    let places;
+    try {
+        places = await Promise.all([elements.settingsHome, elements.settingsWork].map(resolveAddressInput));
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const fields = {
+        name: elements.settingsRouteName.value.trim() || `${shortenAddress(origin)} → ${shortenAddress(destination)}`,
+        origin: origin,
+        destination: destination,
+        originPlace: places[0],
+        destinationPlace: places[1],
+        stops: readStopsEditor(elements.settingsStops),
+        trafficModel: elements.trafficModel.value,
+        slotInterval: parseSlotInterval(elements.slotInterval.value) ?? CONFIG.DEFAULTS.INTERVAL_MINUTES,
+        timeSettings: {
+            morningStart: elements.morningStart.value,
+            morningEnd: elements.morningEnd.value,
+            eveningStart: elements.eveningStart.value,
+            eveningEnd: elements.eveningEnd.value
+        }
+    };
+
+    let routeId = state.editingRouteId;
+    if (routeId) {
+        Object.assign(state.routes.find(route => route.id === routeId), fields);
+    } else {
+        const route = createRoute(fields);
+        state.routes.push(route);
+        routeId = route.id;
+    }
+
+    // Saving a route makes it the one on the main screen
+    const previousRouteId = state.activeRouteId;
+    state.activeRouteId = routeId;
+    state.analysisResults = null;
+    state.weekResults = null;
+    state.weekDrillDay = null;
 
     saveSettings();
+    syncWatchedRoute(getActiveRoute());
+    renderRouteSwitcher();
     updateRouteDisplay();
+    updateModeControls();
+    resetResults();
     closeSettingsModal();
-    showToast('Settings saved!', 'success');
+    showToast(previousRouteId === routeId ? 'Settings saved!' : `Switched to ${fields.name}`, 'success');
+}
+
+function handleDeleteRoute() {
+    const route = state.routes.find(r => r.id === state.editingRouteId);
+    if (!route || state.routes.length < 2) return;
+    if (!confirm(`Delete the route "${route.name}"?`)) return;
+
+    state.routes = state.routes.filter(r => r.id !== route.id);
+    deleteRouteHistory(route.id);
+    deleteLastAnalyses(route.id);
+    if (route.watching) {
+        unwatchRoute(route).catch(error => console.warn('Failed to stop watching deleted route:', error));
+    }
+    if (state.activeRouteId === route.id) {
+        state.activeRouteId = state.routes[0].id;
+        state.analysisResults = null;
+        state.weekResults = null;
+        state.weekDrillDay = null;
+        resetResults();
+    }
+
+    saveSettings();
+    renderRouteSwitcher();
+    updateRouteDisplay();
+    renderSettingsRouteOptions(state.activeRouteId);
+    loadRouteIntoSettings(state.activeRouteId);
+    showToast(`Deleted ${route.name}`, 'success');
 }
 
-function handleClearData() {
+async function handleClearData() {
     if (confirm('Clear all saved data? This will reset the app.')) {
+        await unwatchAllRoutes();
         localStorage.clear();
+        await deleteHistoryDb();
         location.reload();
     }
 }
@@ -709,11 +4726,30 @@ function handleClearData() {
 // ========================================
 // UI Helpers
 // ========================================
-function setAnalyzing(isAnalyzing) {
+// Runs started with an AbortController can be cancelled from the Cancel button
+function setAnalyzing(isAnalyzing, controller = null) {
     state.isAnalyzing = isAnalyzing;
+    state.analysisController = isAnalyzing ? controller : null;
     elements.analyzeBtn.disabled = isAnalyzing;
     elements.btnText.classList.toggle('hidden', isAnalyzing);
     elements.btnLoader.classList.toggle('hidden', !isAnalyzing);
+    elements.cancelBtn.classList.toggle('hidden', !state.analysisController);
+    elements.chartContainer.querySelectorAll('.retry-failed-btn').forEach(button => {
+        button.disabled = isAnalyzing;
+    });
+    setAnalyzingProgress('Analyzing...');
+}
+
+function handleCancelAnalysis() {
+    if (!state.analysisController) return;
+
+    state.analysisController.abort();
+    elements.cancelBtn.classList.add('hidden');
+    setAnalyzingProgress('Cancelling...');
+}
+
+function setAnalyzingProgress(text) {
+    elements.btnLoaderText.textContent = text;
 }
 
 function showToast(message, type = 'info') {
@@ -730,6 +4766,57 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+// Persistent toast that counts down until the rate limit window reopens.
+// A later refusal replaces the countdown already on screen.
+function startRateLimitCountdown(seconds) {
+    stopRateLimitCountdown();
+    state.rateLimitedUntil = Date.now() + seconds * 1000;
+
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-warning';
+    elements.toastContainer.appendChild(toast);
+    setTimeout(() => toast.classList.add('show'), 10);
+
+    const countdown = { toast, timer: null };
+    const tick = () => {
+        const remaining = Math.ceil((state.rateLimitedUntil - Date.now()) / 1000);
+        if (remaining > 0) {
+            toast.textContent = `Rate limit reached. Try again in ${formatCountdown(remaining)}`;
+            return;
+        }
+
+        clearInterval(countdown.timer);
+        state.rateLimitCountdown = null;
+        toast.textContent = 'Ready to analyze again';
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        }, 1500);
+    };
+
+    state.rateLimitCountdown = countdown;
+    tick();
+    countdown.timer = setInterval(tick, 1000);
+}
+
+function stopRateLimitCountdown() {
+    const countdown = state.rateLimitCountdown;
+    if (!countdown) return;
+
+    clearInterval(countdown.timer);
+    countdown.toast.remove();
+    state.rateLimitCountdown = null;
+}
+
+function formatCountdown(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
 function formatTime(timeString) {
     const [hours, minutes] = timeString.split(':').map(Number);
     const period = hours >= 12 ? 'PM' : 'AM';
@@ -743,6 +4830,36 @@ function formatTimeShort(timeString) {
     return `${displayHours}:${String(minutes).padStart(2, '0')}`;
 }
 
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function escapeAttribute(text) {
+    return escapeHTML(text).replace(/"/g, '&quot;');
+}
+
+// Arrow keys, Home and End move between items that share one tab stop
+// (day chips, direction tabs, chart bars). activate(item) runs for groups
+// where moving also selects.
+function handleRovingKeydown(e, items, activate = null) {
+    const index = items.indexOf(e.target);
+    if (index === -1) return;
+
+    const last = items.length - 1;
+    const moves = { ArrowLeft: index - 1, ArrowUp: index - 1, ArrowRight: index + 1, ArrowDown: index + 1, Home: 0, End: last };
+    if (!Object.hasOwn(moves, e.key)) return;
+    e.preventDefault();
+
+    const target = items[Math.min(Math.max(moves[e.key], 0), last)];
+    items.forEach(item => {
+        item.tabIndex = item === target ? 0 : -1;
+    });
+    target.focus();
+    if (activate) activate(target);
+}
+
 function shortenAddress(address) {
     if (!address) return '';
     const parts = address.split(',');
@@ -750,8 +4867,37 @@ function shortenAddress(address) {
     return short.length > 20 ? short.substring(0, 20) + '...' : short;
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Resolves after ms, or rejects as cancelled as soon as signal aborts
+function sleepUnlessCancelled(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(toConnectionError(signal.reason));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(toConnectionError(signal.reason));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function formatDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Local midnight of a YYYY-MM-DD date
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
 }
 
 // Initialize on load
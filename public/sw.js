@@ -0,0 +1,88 @@
+/**
+ * Commute Optimizer Service Worker
+ * Keeps the app shell available offline and shows "time to leave" pushes
+ * from the route monitor
+ */
+
+// ========================================
+// Offline Shell
+// ========================================
+const SHELL_CACHE = 'commute-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/index.css', '/index.js', '/manifest.json', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells cached by earlier versions of this worker
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first so deploys show up right away, falling back to the cached
+// shell offline. API responses aren't cached; the app keeps its own copy
+// of the last analysis.
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then((response) => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy)));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(event.request, { ignoreSearch: true });
+                if (cached) return cached;
+                return event.request.mode === 'navigate' ? caches.match('/index.html') : Response.error();
+            })
+    );
+});
+
+// ========================================
+// Push Notifications
+// ========================================
+self.addEventListener('push', (event) => {
+    let notification = {};
+    try {
+        notification = event.data ? event.data.json() : {};
+    } catch {
+        notification = { body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(notification.title || 'Commute Optimizer', {
+            body: notification.body || '',
+            tag: notification.tag,
+            renotify: Boolean(notification.tag),
+            data: { url: notification.url || '/' }
+        })
+    );
+});
+
+// Focus an open app window if there is one, otherwise open the app
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            const existing = windowClients.find(client => client.url.startsWith(self.location.origin));
+            return existing ? existing.focus() : self.clients.openWindow(url);
+        })
+    );
+});
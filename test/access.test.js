@@ -0,0 +1,130 @@
+/**
+ * Session tokens and the access gate (api/_lib/access.js): signing and
+ * verifying tokens, renewing them into the same subject, and the checks
+ * every lookup passes through, down to the global spend ceiling.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION, checkAccess, createSession, issueToken, verifyToken } from '../api/_lib/access.js';
+import { SPEND_CEILING, checkSpendCeiling, createMemoryRateLimitStore, setRateLimitStore } from '../api/_lib/rate-limit.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2030, 0, 8, 9, 0);
+
+process.env.SESSION_SECRET = SECRET;
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+});
+
+function request(token, headers = {}) {
+    return {
+        headers: {
+            host: 'commute.example.com',
+            origin: 'https://commute.example.com',
+            'x-real-ip': '203.0.113.7',
+            ...(token && { authorization: `Bearer ${token}` }),
+            ...headers
+        }
+    };
+}
+
+function response() {
+    return { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+}
+
+test('tokens verify into their subject and expiry', () => {
+    const { token, subject, expiresAt } = issueToken(SECRET, undefined, NOW);
+
+    assert.match(subject, /^[a-f0-9]{32}$/);
+    assert.equal(expiresAt, NOW + SESSION.ttlSeconds * 1000);
+    assert.deepEqual(verifyToken(token, SECRET, { now: NOW }), { subject, expiresAt });
+});
+
+test('tokens with a wrong secret, signature or payload are invalid', () => {
+    const { token } = issueToken(SECRET, undefined, NOW);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'f'.repeat(32), iat: 0, exp: 9999999999 })).toString('base64url');
+
+    for (const candidate of [
+        token.replace(/.$/, character => (character === 'A' ? 'B' : 'A')),
+        `${forged}.${signature}`,
+        `${payload}.${signature}.extra`,
+        payload,
+        '',
+        undefined
+    ]) {
+        assert.deepEqual(verifyToken(candidate, SECRET, { now: NOW }), { error: 'INVALID_TOKEN' });
+    }
+    assert.deepEqual(verifyToken(token, 'other-secret', { now: NOW }), { error: 'INVALID_TOKEN' });
+
+    // Correctly signed, but not a subject we'd have issued
+    const { token: badSubject } = issueToken(SECRET, '../admin', NOW);
+    assert.deepEqual(verifyToken(badSubject, SECRET, { now: NOW }), { error: 'INVALID_TOKEN' });
+});
+
+test('tokens expire, and a grace period only matters for renewal', () => {
+    const { token, subject } = issueToken(SECRET, undefined, NOW);
+    const later = NOW + (SESSION.ttlSeconds + 60) * 1000;
+
+    assert.deepEqual(verifyToken(token, SECRET, { now: later }), { error: 'TOKEN_EXPIRED' });
+    assert.equal(verifyToken(token, SECRET, { now: later, graceSeconds: 120 }).subject, subject);
+});
+
+test('renewing with a previous token keeps its subject', async () => {
+    const { token, subject } = issueToken(SECRET);
+
+    const renewed = await createSession(request(token), SECRET);
+    assert.equal(verifyToken(renewed.token, SECRET).subject, subject);
+
+    const fresh = await createSession(request(null), SECRET);
+    assert.notEqual(verifyToken(fresh.token, SECRET).subject, subject);
+});
+
+test('checkAccess lets valid tokens from allowed origins through', async () => {
+    const { token } = issueToken(SECRET);
+    const res = response();
+
+    assert.equal(await checkAccess(request(token), res, 5), null);
+    assert.equal(res.headers['RateLimit-Remaining'], 115);
+});
+
+test('checkAccess refuses other origins and missing, bad or expired tokens', async () => {
+    const { token } = issueToken(SECRET);
+    const { token: expired } = issueToken(SECRET, undefined, Date.now() - (SESSION.ttlSeconds + 1) * 1000);
+    const code = async req => (await checkAccess(req, response()))?.code;
+
+    assert.equal(await code(request(token, { origin: 'https://evil.example' })), 'ORIGIN_NOT_ALLOWED');
+    assert.equal(await code(request(null)), 'MISSING_TOKEN');
+    assert.equal(await code(request(`${token}x`)), 'INVALID_TOKEN');
+    assert.equal(await code(request(expired)), 'TOKEN_EXPIRED');
+});
+
+test('the spend ceiling counts every subject, and only lookups', async t => {
+    t.mock.method(console, 'error', () => {});
+    const { dailyUsd } = SPEND_CEILING;
+    SPEND_CEILING.dailyUsd = SPEND_CEILING.lookupCostUsd * 3;
+    t.after(() => { SPEND_CEILING.dailyUsd = dailyUsd; });
+
+    assert.equal(await checkAccess(request(issueToken(SECRET).token), response(), 2), null);
+    assert.equal(await checkAccess(request(issueToken(SECRET).token), response(), 1), null);
+    assert.equal(await checkAccess(request(issueToken(SECRET).token), response(), 1, { lookups: 0 }), null);
+
+    const res = response();
+    const denied = await checkAccess(request(issueToken(SECRET).token), res, 1);
+    assert.equal(denied.code, 'SPEND_CEILING');
+    assert.ok(res.headers['Retry-After'] > 0);
+});
+
+test('the spend ceiling fails closed when usage cannot be counted', async t => {
+    t.mock.method(console, 'error', () => {});
+    setRateLimitStore({
+        async get() { throw new Error('store down'); },
+        async increment() { throw new Error('store down'); }
+    });
+
+    const spend = await checkSpendCeiling(1);
+    assert.equal(spend.allowed, false);
+    assert.equal(spend.retryAfter, 60);
+});
@@ -0,0 +1,41 @@
+/**
+ * Departure slots for /api/window and /api/team-window (api/_lib/batch.js):
+ * wall-clock times on the client's calendar day, as absolute instants.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDepartureSlots } from '../api/_lib/batch.js';
+
+const WINDOW = { startTime: '07:00', endTime: '08:00', intervalMinutes: 30 };
+
+test('spaces slots through the window, both ends included', () => {
+    const slots = buildDepartureSlots({ ...WINDOW, date: '2030-01-08' });
+
+    assert.deepEqual(slots.map(slot => slot.time), ['07:00', '07:30', '08:00']);
+    assert.equal(slots[0].departureTime.toISOString(), '2030-01-08T07:00:00.000Z');
+});
+
+test('applies the client timezone offset', () => {
+    // Date#getTimezoneOffset is positive west of UTC, e.g. 480 for UTC-8
+    const [slot] = buildDepartureSlots({ ...WINDOW, date: '2030-01-08', timezoneOffset: 480 });
+
+    assert.equal(slot.departureTime.toISOString(), '2030-01-08T15:00:00.000Z');
+});
+
+test('accepts leap days only in leap years', () => {
+    assert.ok(buildDepartureSlots({ ...WINDOW, date: '2028-02-29' }));
+    assert.equal(buildDepartureSlots({ ...WINDOW, date: '2027-02-29' }), null);
+});
+
+test('rejects dates that do not exist instead of rolling them over', () => {
+    for (const date of ['2027-02-31', '2027-04-31', '2027-13-01', '2027-00-10', '2027-01-00', '2027-01-32']) {
+        assert.equal(buildDepartureSlots({ ...WINDOW, date }), null, date);
+    }
+});
+
+test('rejects malformed dates and times', () => {
+    assert.equal(buildDepartureSlots({ ...WINDOW, date: '2027-1-5' }), null);
+    assert.equal(buildDepartureSlots({ ...WINDOW, date: '2027-01-05', startTime: '7:00' }), null);
+    assert.equal(buildDepartureSlots({ ...WINDOW, date: '2027-01-05', endTime: '24:00' }), null);
+});
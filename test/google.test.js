@@ -0,0 +1,43 @@
+/**
+ * Waypoint validation (api/_lib/google.js), which every route-taking
+ * endpoint and saved subscription relies on before building cache keys.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WAYPOINT_LIMITS, validateWaypoints } from '../api/_lib/google.js';
+
+test('accepts no stops, and stops with or without a dwell time', () => {
+    assert.equal(validateWaypoints(undefined), null);
+    assert.equal(validateWaypoints([]), null);
+    assert.equal(validateWaypoints([{ location: 'Cafe' }, { location: 'School', dwellMinutes: 5 }]), null);
+    assert.equal(validateWaypoints([{ location: 'Gym', dwellMinutes: WAYPOINT_LIMITS.maxDwellMinutes }]), null);
+});
+
+test('rejects falsy stops', () => {
+    for (const stop of [null, 0, '', false]) {
+        assert.match(validateWaypoints([stop]), /Each waypoint/, `stop ${JSON.stringify(stop)}`);
+        assert.match(validateWaypoints([{ location: 'Cafe' }, stop]), /Each waypoint/, `stop ${JSON.stringify(stop)}`);
+    }
+});
+
+test('rejects blank, non-string and overlong locations', () => {
+    assert.ok(validateWaypoints([{ location: '   ' }]));
+    assert.ok(validateWaypoints([{ location: 42 }]));
+    assert.ok(validateWaypoints([{}]));
+    assert.ok(validateWaypoints([{ location: 'x'.repeat(WAYPOINT_LIMITS.maxLocationLength + 1) }]));
+});
+
+test('requires dwellMinutes to be a number in range', () => {
+    assert.ok(validateWaypoints([{ location: 'Cafe', dwellMinutes: '5' }]));
+    assert.ok(validateWaypoints([{ location: 'Cafe', dwellMinutes: null }]));
+    assert.ok(validateWaypoints([{ location: 'Cafe', dwellMinutes: -1 }]));
+    assert.ok(validateWaypoints([{ location: 'Cafe', dwellMinutes: NaN }]));
+    assert.ok(validateWaypoints([{ location: 'Cafe', dwellMinutes: WAYPOINT_LIMITS.maxDwellMinutes + 1 }]));
+});
+
+test('rejects anything but a list, and too many stops', () => {
+    assert.equal(validateWaypoints('Cafe'), 'waypoints must be a list');
+    const stops = Array.from({ length: WAYPOINT_LIMITS.maxWaypoints + 1 }, (_, index) => ({ location: `Stop ${index}` }));
+    assert.match(validateWaypoints(stops), /At most/);
+});
@@ -0,0 +1,85 @@
+/**
+ * Push sender tests for the no-VAPID fallbacks: the local HTTP stand-in and
+ * the in-memory outbox, plus the endpoint check that keeps Web Push on real
+ * push services.
+ */
+
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { PushError, createLocalPushSender, createMemoryPushSender, isPushServiceEndpoint } from '../api/_lib/push.js';
+
+const SUBSCRIPTION = { endpoint: 'local:abc123', keys: { p256dh: 'local', auth: 'local' } };
+const PAYLOAD = { title: 'Home → Work', body: 'Leave by 7:30 AM', tag: 'r1:morning', url: '/' };
+
+const received = [];
+let status = 201;
+let server;
+let url;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, contentType: req.headers['content-type'], body: JSON.parse(body) });
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/push`;
+});
+
+after(() => {
+    server.close();
+});
+
+beforeEach(() => {
+    received.length = 0;
+    status = 201;
+});
+
+test('local sender posts the endpoint and unencrypted payload', async () => {
+    await createLocalPushSender(url).send(SUBSCRIPTION, PAYLOAD);
+
+    assert.deepEqual(received, [{
+        method: 'POST',
+        contentType: 'application/json',
+        body: { endpoint: SUBSCRIPTION.endpoint, payload: PAYLOAD }
+    }]);
+});
+
+test('local sender reports expired subscriptions as gone', async () => {
+    status = 410;
+    await assert.rejects(createLocalPushSender(url).send(SUBSCRIPTION, PAYLOAD), error =>
+        error instanceof PushError && error.statusCode === 410 && error.gone);
+});
+
+test('local sender keeps subscriptions on other failures', async () => {
+    status = 500;
+    await assert.rejects(createLocalPushSender(url).send(SUBSCRIPTION, PAYLOAD), error =>
+        error instanceof PushError && error.statusCode === 500 && !error.gone);
+});
+
+test('memory sender keeps only the most recent notifications', async () => {
+    const sender = createMemoryPushSender({ maxEntries: 2 });
+    for (const tag of ['first', 'second', 'third']) {
+        await sender.send(SUBSCRIPTION, { ...PAYLOAD, tag });
+    }
+
+    assert.deepEqual(sender.sent.map(entry => entry.payload.tag), ['second', 'third']);
+    assert.equal(sender.sent[0].endpoint, SUBSCRIPTION.endpoint);
+});
+
+test('only https endpoints on known push services are accepted', () => {
+    assert.ok(isPushServiceEndpoint('https://fcm.googleapis.com/fcm/send/abc'));
+    assert.ok(isPushServiceEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc'));
+    assert.ok(isPushServiceEndpoint('https://web.push.apple.com/abc'));
+
+    assert.ok(!isPushServiceEndpoint('http://fcm.googleapis.com/fcm/send/abc'));
+    assert.ok(!isPushServiceEndpoint('https://fcm.googleapis.com:8443/fcm/send/abc'));
+    assert.ok(!isPushServiceEndpoint('https://evilpush.services.mozilla.com.example.com/abc'));
+    assert.ok(!isPushServiceEndpoint('https://169.254.169.254/latest/meta-data'));
+    assert.ok(!isPushServiceEndpoint(SUBSCRIPTION.endpoint));
+});
@@ -0,0 +1,142 @@
+/**
+ * Per-subject rate limits (api/_lib/rate-limit.js): the sliding and fixed
+ * minute windows, the daily limit and the RateLimit headers, against a
+ * fresh in-memory store and a pinned clock.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DAY_MS,
+    RATE_LIMIT,
+    checkRateLimit,
+    createMemoryRateLimitStore,
+    setRateLimitHeaders,
+    setRateLimitStore
+} from '../api/_lib/rate-limit.js';
+
+// The start of a minute window, so elapsed time within it is exact
+const WINDOW_START = Date.UTC(2030, 0, 8, 9, 0);
+
+let store;
+
+beforeEach(() => {
+    store = createMemoryRateLimitStore();
+    setRateLimitStore(store);
+});
+
+function at(t, now) {
+    t.mock.method(Date, 'now', () => now);
+}
+
+test('counts cost down to the per-minute limit, then refuses', async t => {
+    at(t, WINDOW_START);
+
+    const first = await checkRateLimit('token:a', 20);
+    assert.equal(first.allowed, true);
+    assert.equal(first.remaining, RATE_LIMIT.maxRequests - 20);
+
+    const rest = await checkRateLimit('token:a', RATE_LIMIT.maxRequests - 20);
+    assert.equal(rest.allowed, true);
+    assert.equal(rest.remaining, 0);
+
+    const refused = await checkRateLimit('token:a', 1);
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.retryAfter >= 1);
+    assert.equal(refused.tooLarge, undefined);
+
+    // Other subjects have their own window
+    assert.equal((await checkRateLimit('token:b', 1)).allowed, true);
+});
+
+test('flags requests larger than the limit as tooLarge without consuming', async t => {
+    at(t, WINDOW_START);
+
+    const refused = await checkRateLimit('token:a', RATE_LIMIT.maxRequests + 1);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.tooLarge, true);
+    assert.equal(refused.retryAfter, undefined);
+
+    assert.equal((await checkRateLimit('token:a', RATE_LIMIT.maxRequests)).allowed, true);
+});
+
+test('sliding windows weight the previous minute by how much still overlaps', async t => {
+    const clock = t.mock.method(Date, 'now', () => WINDOW_START);
+    await checkRateLimit('token:a', RATE_LIMIT.maxRequests);
+
+    // Right after the boundary the previous minute still counts in full
+    clock.mock.mockImplementation(() => WINDOW_START + RATE_LIMIT.windowMs);
+    const early = await checkRateLimit('token:a', 1);
+    assert.equal(early.allowed, false);
+    assert.equal(early.retryAfter, Math.ceil(RATE_LIMIT.windowMs / RATE_LIMIT.maxRequests / 1000));
+
+    // Halfway through, half of it has decayed
+    clock.mock.mockImplementation(() => WINDOW_START + RATE_LIMIT.windowMs * 1.5);
+    const half = RATE_LIMIT.maxRequests / 2;
+    assert.equal((await checkRateLimit('token:a', half + 1)).allowed, false);
+    assert.equal((await checkRateLimit('token:a', half)).allowed, true);
+});
+
+test('waits for the current window to decay when it alone is over the limit', async t => {
+    const clock = t.mock.method(Date, 'now', () => WINDOW_START + RATE_LIMIT.windowMs / 4);
+    await checkRateLimit('token:a', RATE_LIMIT.maxRequests);
+
+    // The rest of this window, then until the whole limit fits again
+    const refused = await checkRateLimit('token:a', RATE_LIMIT.maxRequests);
+    assert.equal(refused.retryAfter, (RATE_LIMIT.windowMs * 0.75 + RATE_LIMIT.windowMs) / 1000);
+
+    clock.mock.mockImplementation(() => WINDOW_START + RATE_LIMIT.windowMs * 2);
+    assert.equal((await checkRateLimit('token:a', RATE_LIMIT.maxRequests)).allowed, true);
+});
+
+test('fixed windows reset at the boundary', async t => {
+    RATE_LIMIT.algorithm = 'fixed';
+    t.after(() => { RATE_LIMIT.algorithm = 'sliding'; });
+    const clock = t.mock.method(Date, 'now', () => WINDOW_START + RATE_LIMIT.windowMs / 4);
+    await checkRateLimit('token:a', RATE_LIMIT.maxRequests);
+
+    const refused = await checkRateLimit('token:a', 1);
+    assert.equal(refused.retryAfter, RATE_LIMIT.windowMs * 0.75 / 1000);
+
+    clock.mock.mockImplementation(() => WINDOW_START + RATE_LIMIT.windowMs);
+    assert.equal((await checkRateLimit('token:a', RATE_LIMIT.maxRequests)).allowed, true);
+});
+
+test('refuses past the daily limit until UTC midnight', async t => {
+    at(t, WINDOW_START);
+    await store.increment('ratelimit:token:a:d:2030-01-08', RATE_LIMIT.dailyLimit - 1, DAY_MS);
+
+    assert.equal((await checkRateLimit('token:a', 1)).allowed, true);
+
+    const refused = await checkRateLimit('token:a', 1);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+    assert.equal(refused.retryAfter, 15 * 60 * 60);
+    assert.match(refused.reason, /Daily limit/);
+});
+
+test('lets requests through when the store fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    setRateLimitStore({
+        async get() { throw new Error('store down'); },
+        async increment() { throw new Error('store down'); }
+    });
+
+    const check = await checkRateLimit('token:a', 1);
+    assert.equal(check.allowed, true);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('sends the RateLimit headers, with Retry-After only on refusals', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+    setRateLimitHeaders(res, { limit: 120, remaining: 0, resetSeconds: 30, retryAfter: 12 });
+    assert.equal(headers['RateLimit-Policy'], `${RATE_LIMIT.maxRequests};w=60, ${RATE_LIMIT.dailyLimit};w=86400`);
+    assert.equal(headers['RateLimit-Remaining'], 0);
+    assert.equal(headers['Retry-After'], 12);
+
+    delete headers['Retry-After'];
+    setRateLimitHeaders(res, { limit: 120, remaining: 40, resetSeconds: 30 });
+    assert.equal(headers['Retry-After'], undefined);
+});
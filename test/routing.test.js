@@ -0,0 +1,144 @@
+/**
+ * Routing provider tests: the mock's fixtures and traffic curve that
+ * development and the other tests rely on for predictable travel times,
+ * and how place IDs reach providers without a geocoder.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGoogleProvider,
+    createMockProvider,
+    createOsrmProvider,
+    loadMockFixtures,
+    parseLatLng,
+    resolvePlaceQueries
+} from '../api/_lib/routing.js';
+
+const FIXTURES = [
+    { origin: 'Home St', destination: 'Office Ave', durationMinutes: 20, distanceKm: 12, summary: 'Main Rd' }
+];
+
+// 03:00 UTC is free-flowing; 08:00 UTC is the morning peak
+const NIGHT = '2030-01-08T03:00:00Z';
+const PEAK = '2030-01-08T08:00:00Z';
+
+test('answers fixture pairs in either direction, ignoring case and spacing', async () => {
+    const provider = createMockProvider({ fixtures: FIXTURES });
+    const outbound = await provider.fetchDirections({ origin: 'Home St', destination: 'Office Ave', departureTime: NIGHT });
+    const inbound = await provider.fetchDirections({ origin: 'office  ave', destination: 'HOME ST', departureTime: NIGHT });
+
+    assert.equal(outbound.summary, 'Main Rd');
+    assert.equal(outbound.distance, 12000);
+    assert.equal(outbound.duration, inbound.duration);
+    assert.ok(outbound.duration >= 20 * 60 && outbound.duration < 21 * 60);
+    assert.equal(typeof outbound.durationText, 'string');
+});
+
+test('gives other pairs a stable time within the configured range', async () => {
+    const provider = createMockProvider();
+    const query = { origin: 'Somewhere', destination: 'Elsewhere', departureTime: NIGHT };
+    const first = await provider.fetchDirections(query);
+    const second = await createMockProvider().fetchDirections(query);
+
+    assert.equal(first.duration, second.duration);
+    assert.ok(first.duration >= 10 * 60 && first.duration <= 51 * 60);
+});
+
+test('adds congestion at the peak, ordered by traffic model', async () => {
+    const provider = createMockProvider({ fixtures: FIXTURES });
+    const lookup = (departureTime, trafficModel) =>
+        provider.fetchDirections({ origin: 'Home St', destination: 'Office Ave', departureTime, trafficModel });
+
+    const night = await lookup(NIGHT, 'best_guess');
+    const [optimistic, bestGuess, pessimistic] = await Promise.all(
+        ['optimistic', 'best_guess', 'pessimistic'].map(model => lookup(PEAK, model)));
+
+    assert.ok(bestGuess.duration > night.duration);
+    assert.ok(optimistic.duration < bestGuess.duration);
+    assert.ok(pessimistic.duration > bestGuess.duration);
+});
+
+test('counts dwell time at stops', async () => {
+    const provider = createMockProvider();
+    const direct = await provider.fetchDirections({
+        origin: 'A', destination: 'C', departureTime: NIGHT,
+        waypoints: [{ location: 'B', dwellMinutes: 0 }]
+    });
+    const withDwell = await provider.fetchDirections({
+        origin: 'A', destination: 'C', departureTime: NIGHT,
+        waypoints: [{ location: 'B', dwellMinutes: 10 }]
+    });
+
+    assert.equal(withDwell.legs.length, 2);
+    assert.equal(withDwell.legs[0].dwellSeconds, 600);
+    assert.ok(withDwell.duration >= direct.duration + 600);
+});
+
+test('waits for the next transit departure', async () => {
+    const provider = createMockProvider({ fixtures: FIXTURES });
+    const query = { origin: 'Home St', destination: 'Office Ave', travelMode: 'transit' };
+    const onTheHeadway = await provider.fetchDirections({ ...query, departureTime: '2030-01-08T03:00:00Z' });
+    const justMissed = await provider.fetchDirections({ ...query, departureTime: '2030-01-08T03:01:00Z' });
+
+    assert.equal(onTheHeadway.transit.departureTime, '2030-01-08T03:00:00.000Z');
+    assert.equal(justMissed.transit.departureTime, '2030-01-08T03:15:00.000Z');
+    assert.equal(justMissed.duration - onTheHeadway.duration, 14 * 60);
+    assert.deepEqual(justMissed.transit.lines, ['Mock Line']);
+});
+
+test('loads the bundled fixtures', () => {
+    const fixtures = loadMockFixtures();
+
+    assert.ok(fixtures.length > 0);
+    fixtures.forEach(fixture => {
+        assert.equal(typeof fixture.origin, 'string');
+        assert.equal(typeof fixture.destination, 'string');
+        assert.ok(fixture.durationMinutes > 0);
+    });
+});
+
+test('reads "lat,lng" coordinates and nothing else', () => {
+    assert.deepEqual(parseLatLng(' 47.61, -122.33 '), { lat: 47.61, lng: -122.33 });
+    assert.equal(parseLatLng('91,0'), null);
+    assert.equal(parseLatLng('place_id:ChIJabc'), null);
+    assert.equal(parseLatLng('Home St'), null);
+});
+
+test('resolves place IDs for providers that cannot take them', async t => {
+    const geocodes = [];
+    t.mock.method(globalThis, 'fetch', async url => {
+        const placeId = new URL(url).searchParams.get('place_id');
+        geocodes.push(placeId);
+        return new Response(JSON.stringify({
+            status: 'OK',
+            results: [{ place_id: placeId, formatted_address: `${placeId} Rd`, geometry: { location: { lat: 47.5, lng: -122.25 } } }]
+        }));
+    });
+    const query = {
+        origin: 'place_id:ChIJhome',
+        destination: '47.6,-122.3',
+        waypoints: [{ location: 'place_id:ChIJcafe', dwellMinutes: 5 }]
+    };
+
+    const osrm = await resolvePlaceQueries(query, createOsrmProvider('http://osrm'), 'key');
+    assert.equal(osrm.origin, '47.5,-122.25');
+    assert.equal(osrm.destination, '47.6,-122.3');
+    assert.deepEqual(osrm.waypoints, [{ location: '47.5,-122.25', dwellMinutes: 5 }]);
+
+    const mock = await resolvePlaceQueries(query, createMockProvider(), 'key');
+    assert.equal(mock.origin, 'ChIJhome Rd');
+
+    // Each place is looked up once; Google takes place IDs as they are
+    assert.deepEqual(geocodes.sort(), ['ChIJcafe', 'ChIJhome']);
+    assert.equal(await resolvePlaceQueries(query, createGoogleProvider(), 'key'), query);
+});
+
+test('reports place IDs that do not resolve as ADDRESS_NOT_FOUND', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ status: 'NOT_FOUND' })));
+
+    await assert.rejects(
+        resolvePlaceQueries({ origin: 'place_id:ChIJgone', destination: '1,1' }, createOsrmProvider('http://osrm'), 'key'),
+        error => error.code === 'ADDRESS_NOT_FOUND'
+    );
+});
@@ -0,0 +1,73 @@
+/**
+ * Request body validation (api/_lib/schema.js), with the window fields the
+ * batch routes share (WINDOW_TIME_SCHEMA in api/_lib/batch.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBody } from '../api/_lib/schema.js';
+import { BATCH_LIMITS, WINDOW_TIME_SCHEMA } from '../api/_lib/batch.js';
+
+const ROUTE_SCHEMA = {
+    origin: { type: 'string', required: true, maxLength: 10 },
+    mode: { type: 'string', enum: ['driving', 'transit'] },
+    stops: { type: 'array', maxLength: 2 },
+    when: {
+        type: ['string', 'integer'],
+        validate: when => (when === 'never' ? { code: 'INVALID_DEPARTURE_TIME', message: 'when must be possible' } : null)
+    }
+};
+
+const WINDOW = { date: '2030-01-08', startTime: '07:00', endTime: '09:00' };
+
+test('accepts bodies that follow the schema', () => {
+    assert.equal(validateBody({ origin: 'Home' }, ROUTE_SCHEMA), null);
+    assert.equal(validateBody({ origin: 'Home', mode: 'transit', stops: [], when: 1893456000 }, ROUTE_SCHEMA), null);
+});
+
+test('rejects anything but a JSON object', () => {
+    for (const body of [undefined, null, 'origin=Home', [{ origin: 'Home' }]]) {
+        assert.equal(validateBody(body, ROUTE_SCHEMA).code, 'INVALID_BODY');
+    }
+});
+
+test('names unknown and missing fields', () => {
+    assert.deepEqual(validateBody({ origin: 'Home', via: 'Work' }, ROUTE_SCHEMA), {
+        code: 'UNKNOWN_FIELD',
+        message: 'Unknown field: via',
+        details: { field: 'via' }
+    });
+    assert.deepEqual(validateBody({ origin: '  ' }, ROUTE_SCHEMA).details, { fields: ['origin'] });
+});
+
+test('checks type, length and allowed values, then the field validator', () => {
+    const problem = body => {
+        const { code, details } = validateBody({ origin: 'Home', ...body }, ROUTE_SCHEMA);
+        return [code, details.field];
+    };
+
+    assert.deepEqual(problem({ origin: 42 }), ['INVALID_FIELD', 'origin']);
+    assert.deepEqual(problem({ origin: 'Somewhere far' }), ['INVALID_FIELD', 'origin']);
+    assert.deepEqual(problem({ stops: [1, 2, 3] }), ['INVALID_FIELD', 'stops']);
+    assert.deepEqual(problem({ mode: 'flying' }), ['INVALID_FIELD', 'mode']);
+    assert.deepEqual(problem({ when: 1.5 }), ['INVALID_FIELD', 'when']);
+    assert.deepEqual(problem({ when: 'never' }), ['INVALID_DEPARTURE_TIME', 'when']);
+});
+
+test('window fields need a date and times, with the rest optional', () => {
+    assert.equal(validateBody(WINDOW, WINDOW_TIME_SCHEMA), null);
+    assert.equal(validateBody({ ...WINDOW, intervalMinutes: 30, timezoneOffset: -330 }, WINDOW_TIME_SCHEMA), null);
+    assert.deepEqual(validateBody({ date: '2030-01-08' }, WINDOW_TIME_SCHEMA).details, { fields: ['startTime', 'endTime'] });
+    assert.equal(validateBody({ ...WINDOW, traffic: 'light' }, WINDOW_TIME_SCHEMA).code, 'UNKNOWN_FIELD');
+});
+
+test('window offsets and intervals must be whole minutes in range', () => {
+    const field = body => validateBody({ ...WINDOW, ...body }, WINDOW_TIME_SCHEMA)?.details.field;
+
+    assert.equal(field({ timezoneOffset: 'abc' }), 'timezoneOffset');
+    assert.equal(field({ timezoneOffset: '60' }), 'timezoneOffset');
+    assert.equal(field({ timezoneOffset: 30.5 }), 'timezoneOffset');
+    assert.equal(field({ timezoneOffset: BATCH_LIMITS.maxTimezoneOffset + 1 }), 'timezoneOffset');
+    assert.equal(field({ intervalMinutes: BATCH_LIMITS.minIntervalMinutes - 1 }), 'intervalMinutes');
+    assert.equal(field({ intervalMinutes: '15' }), 'intervalMinutes');
+});
@@ -0,0 +1,54 @@
+/**
+ * Team membership rules (api/_lib/teams.js): who may change a member, and
+ * what leaves the server.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTeam, removeMember, toPublicTeam, upsertMember } from '../api/_lib/teams.js';
+
+const ALICE = 'session-alice';
+const MALLORY = 'session-mallory';
+
+function teamWithAlice() {
+    const team = buildTeam({ name: 'Platform', destination: '1 Office Sq' });
+    return upsertMember(team, { name: 'Alice', origin: '5 Home Rd', travelMode: 'transit' }, ALICE);
+}
+
+test('the member who added an entry can update and remove it', () => {
+    const { team, memberId } = teamWithAlice();
+
+    const updated = upsertMember(team, { id: memberId, name: 'Alice B', origin: '7 New Rd' }, ALICE);
+    assert.equal(updated.memberId, memberId);
+    assert.equal(updated.team.members.length, 1);
+    assert.equal(updated.team.members[0].origin, '7 New Rd');
+
+    const removed = removeMember(updated.team, memberId, ALICE);
+    assert.deepEqual(removed.team.members, []);
+});
+
+test('other sessions cannot rewrite or remove a member', () => {
+    const { team, memberId } = teamWithAlice();
+
+    const rewrite = upsertMember(team, { id: memberId, name: 'Mallory', origin: 'Elsewhere' }, MALLORY);
+    assert.equal(rewrite.code, 'NOT_MEMBER_OWNER');
+    assert.equal(rewrite.team, undefined);
+
+    const removal = removeMember(team, memberId, MALLORY);
+    assert.equal(removal.code, 'NOT_MEMBER_OWNER');
+    assert.equal(removal.team, undefined);
+});
+
+test('other sessions join as a new member', () => {
+    const { team } = teamWithAlice();
+    const joined = upsertMember(team, { name: 'Bob', origin: '9 Side St' }, MALLORY);
+
+    assert.equal(joined.team.members.length, 2);
+    assert.notEqual(joined.memberId, team.members[0].id);
+});
+
+test('public teams carry no origins or owners', () => {
+    const { team } = teamWithAlice();
+
+    assert.deepEqual(Object.keys(toPublicTeam(team).members[0]).sort(), ['id', 'name', 'travelMode']);
+});